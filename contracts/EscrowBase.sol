@@ -0,0 +1,1438 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./interfaces/IBlocklist.sol";
+import "./interfaces/IWrappedNative.sol";
+
+/**
+ * @title EscrowBase
+ * @dev Trading logic shared by Escrow (deployed directly) and EscrowUpgradeable
+ * (deployed behind a transparent proxy), so a fix lands in both at once.
+ * Built on OpenZeppelin's upgradeable base contracts, which keep their state in
+ * namespaced (ERC-7201) storage, so the same code works with a constructor or
+ * an initializer. New state is added after the existing variables, taking its
+ * slots from __gap, so nothing declared in a derived contract moves.
+ * - Pausable for emergency situations
+ * - Owner controls for emergency recovery (surplus tokens only, never user escrow)
+ * - Gas optimized operations
+ * - Rate limiting to prevent manipulation
+ * - Open offers (no designated buyer) for a public order book
+ * - Partial fills at the offer's unit price
+ * - Sellers can reprice, resize or reassign an active offer in place
+ * - Buy-side bids where the buyer escrows the payment token
+ * - Active offers indexed by seller, buyer and token, and active bids by the
+ *   accounts involved, with paginated views
+ * - EIP-712 signed orders settled straight from the seller's allowance
+ * - EIP-2612 permit variants of createOffer/acceptOffer (one transaction, no approve)
+ * - Optional compliance blocklist: blocked parties cannot trade
+ * - Owner-managed allow-list of base (offered) and quote (payment) tokens, any decimals
+ * - Fee-on-transfer safe: deposits are credited with the amount actually received
+ * - Rebasing tokens: deposits stop once a token's balance falls below what is
+ *   escrowed, and the shortfall is shared pro rata by everyone withdrawing it
+ * - Offers priced in the wrapped native coin can be paid in BNB/ETH, with
+ *   seller proceeds pulled via withdrawProceeds rather than pushed
+ * - Multi-sig ready architecture
+ */
+abstract contract EscrowBase is
+    Initializable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    OwnableUpgradeable,
+    EIP712Upgradeable
+{
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // Offer structure
+    struct Offer {
+        uint256 id;
+        address seller;
+        address buyer;
+        address tokenAddress;
+        address paymentToken;
+        uint256 amount;
+        uint256 filledAmount;
+        uint256 priceInBUSD;
+        bool active;
+        uint256 createdAt;
+    }
+
+    // Signed off-chain order (nothing is locked until a taker settles it)
+    struct Order {
+        address seller;
+        address tokenAddress;
+        uint256 amount;
+        address paymentToken;
+        uint256 priceInBUSD;
+        address buyer;       // address(0) for an open order
+        uint256 expiry;      // Unix timestamp after which the order is void
+        uint256 nonce;
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address seller,address tokenAddress,uint256 amount,address paymentToken,uint256 priceInBUSD,address buyer,uint256 expiry,uint256 nonce)"
+    );
+
+    // Bid structure (buyer escrows paymentToken, seller delivers tokenAddress)
+    struct Bid {
+        uint256 id;
+        address buyer;
+        address seller;
+        address tokenAddress;
+        address paymentToken;
+        uint256 amount;
+        uint256 priceInBUSD;
+        bool active;
+        uint256 createdAt;
+    }
+
+    // State variables
+    uint256 private _offerIdCounter;
+    mapping(uint256 => Offer) private _offers;
+    uint256 private _bidIdCounter;
+    mapping(uint256 => Bid) private _bids;
+
+    // Tokens currently backing active offers and bids, per token (as received,
+    // so net of any transfer fee)
+    mapping(address => uint256) public totalEscrowed;
+
+    // Active offer indexes (open offers are indexed under buyer address(0))
+    EnumerableSet.UintSet private _activeOffers;
+    mapping(address => EnumerableSet.UintSet) private _activeOffersBySeller;
+    mapping(address => EnumerableSet.UintSet) private _activeOffersByBuyer;
+    mapping(address => EnumerableSet.UintSet) private _activeOffersByToken;
+    
+    // Signed order nonces: used/cancelled individually, or all below minNonce
+    mapping(address => mapping(uint256 => bool)) public isNonceUsed;
+    mapping(address => uint256) public minNonce;
+
+    // Rate limiting: max offers (and bids) per address per day
+    mapping(address => uint256) private _lastOfferTime;
+    mapping(address => uint256) private _dailyOfferCount;
+    uint256 public constant MAX_OFFERS_PER_DAY = 50; // Increased for flexibility
+    uint256 public constant OFFER_COOLDOWN = 10 seconds; // Short cooldown to prevent spam
+    
+    // Fee mechanism (optional, set to 0 for no fees)
+    uint256 public platformFeePercent; // 0 = no fees, 100 = 1%
+    uint256 public constant FEE_DENOMINATOR = 10000; // Basis points
+    address public feeCollector;
+
+    // Compliance blocklist (e.g. SWATToken); address(0) disables the check
+    IBlocklist public blocklist;
+
+    // Token allow-list: base tokens can be offered, quote tokens paid with.
+    // Decimals are read once when a token is listed.
+    EnumerableSet.AddressSet private _baseTokens;
+    EnumerableSet.AddressSet private _quoteTokens;
+    mapping(address => uint8) public tokenDecimals;
+
+    // Native coin settlement: offers priced in wrappedNative (e.g. WBNB) can be
+    // paid in BNB/ETH. The payment is wrapped and held here until the seller and
+    // fee collector pull it with withdrawProceeds.
+    IWrappedNative public wrappedNative;
+    mapping(address => uint256) public nativeProceeds;
+
+    // Active bids by buyer and by designated seller (open bids are indexed
+    // under seller address(0))
+    mapping(address => EnumerableSet.UintSet) private _activeBidsByAccount;
+
+    // Reserved slots: new state goes above and shrinks the gap by the slots it uses
+    uint256[49] private __gap;
+
+    // Events
+    event OfferCreated(
+        uint256 indexed offerId,
+        address indexed seller,
+        address indexed buyer,
+        address tokenAddress,
+        address paymentToken,
+        uint256 amount,
+        uint256 priceInBUSD
+    );
+
+    event OfferAccepted(
+        uint256 indexed offerId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 amount,
+        uint256 priceInBUSD
+    );
+
+    event OfferFilled(
+        uint256 indexed offerId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 amount,
+        uint256 paymentAmount,
+        uint256 remainingAmount
+    );
+
+    event OfferCancelled(
+        uint256 indexed offerId,
+        address indexed seller
+    );
+
+    event OfferUpdated(
+        uint256 indexed offerId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 amount,
+        uint256 priceInBUSD
+    );
+
+    event BidCreated(
+        uint256 indexed bidId,
+        address indexed buyer,
+        address indexed seller,
+        address tokenAddress,
+        address paymentToken,
+        uint256 amount,
+        uint256 priceInBUSD
+    );
+
+    event BidAccepted(
+        uint256 indexed bidId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 amount,
+        uint256 priceInBUSD
+    );
+
+    event BidCancelled(
+        uint256 indexed bidId,
+        address indexed buyer
+    );
+
+    event PausedExit(
+        uint256 indexed offerId,
+        address indexed seller,
+        uint256 amount
+    );
+
+    event BidPausedExit(
+        uint256 indexed bidId,
+        address indexed buyer,
+        uint256 amount
+    );
+
+    event EmergencyWithdraw(
+        address indexed token,
+        uint256 amount,
+        address indexed to
+    );
+
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256 nonce,
+        address tokenAddress,
+        address paymentToken,
+        uint256 amount,
+        uint256 paymentAmount
+    );
+
+    event OrderCancelled(address indexed seller, uint256 nonce);
+
+    event MinNonceUpdated(address indexed seller, uint256 minNonce);
+
+    event FeeUpdated(uint256 newFeePercent);
+
+    event BlocklistUpdated(address indexed blocklist);
+
+    event BaseTokenUpdated(address indexed token, bool allowed, uint8 decimals);
+
+    event QuoteTokenUpdated(address indexed token, bool allowed, uint8 decimals);
+
+    event WrappedNativeUpdated(address indexed wrappedNative);
+
+    event ProceedsWithdrawn(address indexed account, uint256 amount, bool unwrapped);
+
+    event FeeCollected(
+        uint256 indexed offerId,
+        address indexed feeCollector,
+        address paymentToken,
+        uint256 feeAmount
+    );
+
+    event BidFeeCollected(
+        uint256 indexed bidId,
+        address indexed feeCollector,
+        address paymentToken,
+        uint256 feeAmount
+    );
+
+    event OrderFeeCollected(
+        bytes32 indexed orderHash,
+        address indexed feeCollector,
+        address paymentToken,
+        uint256 feeAmount
+    );
+
+    /**
+     * @dev Set up the base contracts and the owner (called by the constructor
+     * of Escrow or the initializer of EscrowUpgradeable)
+     * @param initialOwner Address that owns the escrow and collects fees
+     */
+    function __EscrowBase_init(address initialOwner) internal onlyInitializing {
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __Ownable_init(initialOwner);
+        __EIP712_init("SWAT Escrow", "1");
+
+        feeCollector = initialOwner;
+    }
+
+    /**
+     * @dev Create a new trade offer with rate limiting
+     * @param tokenAddress Address of the token to trade
+     * @param amount Amount of tokens to trade (the offer holds what the escrow
+     * actually receives, which is less for fee-on-transfer tokens)
+     * @param paymentToken Address of the token the buyer must pay with (e.g. BUSD)
+     * @param priceInBUSD Total price in paymentToken's smallest units (its own decimals)
+     * @param buyer Address of the designated buyer (address(0) for an open offer)
+     * @return offerId The ID of the created offer
+     */
+    function createOffer(
+        address tokenAddress,
+        uint256 amount,
+        address paymentToken,
+        uint256 priceInBUSD,
+        address buyer
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        return _createOffer(tokenAddress, amount, paymentToken, priceInBUSD, buyer);
+    }
+
+    /**
+     * @dev Create an offer using an EIP-2612 permit instead of a prior approve
+     * The permit is skipped if the allowance is already in place, so a
+     * front-run permit cannot block the offer.
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function createOfferWithPermit(
+        address tokenAddress,
+        uint256 amount,
+        address paymentToken,
+        uint256 priceInBUSD,
+        address buyer,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        _permit(tokenAddress, amount, deadline, v, r, s);
+        return _createOffer(tokenAddress, amount, paymentToken, priceInBUSD, buyer);
+    }
+
+    /**
+     * @dev Create offer (shared by createOffer and createOfferWithPermit)
+     */
+    function _createOffer(
+        address tokenAddress,
+        uint256 amount,
+        address paymentToken,
+        uint256 priceInBUSD,
+        address buyer
+    ) internal returns (uint256) {
+        _requireValidTrade(tokenAddress, amount, paymentToken, priceInBUSD);
+        require(buyer != msg.sender, "Escrow: buyer cannot be seller");
+        _requireNotBlocked(msg.sender);
+        _requireNotBlocked(buyer);
+        
+        _enforceRateLimit();
+
+        // Transfer tokens from seller to escrow
+        amount = _pullEscrow(tokenAddress, amount);
+
+        // Create offer
+        uint256 offerId = _offerIdCounter++;
+        _offers[offerId] = Offer({
+            id: offerId,
+            seller: msg.sender,
+            buyer: buyer,
+            tokenAddress: tokenAddress,
+            paymentToken: paymentToken,
+            amount: amount,
+            filledAmount: 0,
+            priceInBUSD: priceInBUSD,
+            active: true,
+            createdAt: block.timestamp
+        });
+
+        _activeOffers.add(offerId);
+        _activeOffersBySeller[msg.sender].add(offerId);
+        _activeOffersByBuyer[buyer].add(offerId);
+        _activeOffersByToken[tokenAddress].add(offerId);
+
+        emit OfferCreated(offerId, msg.sender, buyer, tokenAddress, paymentToken, amount, priceInBUSD);
+
+        return offerId;
+    }
+
+    /**
+     * @dev Accept an offer and complete the trade
+     * Payment is always pulled in the token chosen by the seller at creation.
+     * Open offers can be taken by anyone except the seller.
+     * Takes whatever is left of a partially filled offer. The seller can
+     * reprice or resize with updateOffer, so the buyer bounds what they pay;
+     * use fillOffer to also fix the amount received.
+     * @param offerId The ID of the offer to accept
+     * @param maxPayment Most the buyer will pay (the quoteAccept gross amount they saw)
+     */
+    function acceptOffer(uint256 offerId, uint256 maxPayment) external nonReentrant whenNotPaused {
+        _acceptOffer(offerId, maxPayment, false);
+    }
+
+    /**
+     * @dev Accept an offer using an EIP-2612 permit on the payment token
+     * @param offerId The ID of the offer to accept
+     * @param maxPayment Most the buyer will pay
+     * @param value Allowance the buyer signed (at least the quoteAccept gross amount)
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function acceptOfferWithPermit(
+        uint256 offerId,
+        uint256 maxPayment,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        _permit(_offers[offerId].paymentToken, value, deadline, v, r, s);
+        _acceptOffer(offerId, maxPayment, false);
+    }
+
+    /**
+     * @dev Accept an offer priced in the wrapped native coin, paying in BNB/ETH
+     * msg.value must equal the quoteAccept gross amount. It is wrapped and
+     * credited to the seller and fee collector, who pull it with withdrawProceeds.
+     * @param offerId The ID of the offer to accept
+     * @param maxPayment Most the buyer will pay
+     */
+    function acceptOfferWithNative(
+        uint256 offerId,
+        uint256 maxPayment
+    ) external payable nonReentrant whenNotPaused {
+        _acceptOffer(offerId, maxPayment, true);
+    }
+
+    /**
+     * @dev Fill the remainder of an offer (shared by the accept variants)
+     */
+    function _acceptOffer(uint256 offerId, uint256 maxPayment, bool payNative) internal {
+        Offer storage offer = _offers[offerId];
+        uint256 fillAmount = offer.amount - offer.filledAmount;
+
+        uint256 paymentAmount = _settleFill(offerId, fillAmount, maxPayment, payNative);
+
+        emit OfferAccepted(offerId, offer.seller, msg.sender, fillAmount, paymentAmount);
+    }
+
+    /**
+     * @dev Buy part of an offer at the offer's unit price
+     * The offer stays active until fully filled or cancelled
+     * @param offerId The ID of the offer to fill
+     * @param amount Amount of offered tokens to buy
+     * @param maxPayment Most the buyer will pay (the quoteFill gross amount they saw)
+     */
+    function fillOffer(uint256 offerId, uint256 amount, uint256 maxPayment) external nonReentrant whenNotPaused {
+        _fillOffer(offerId, amount, maxPayment, false);
+    }
+
+    /**
+     * @dev Buy part of an offer priced in the wrapped native coin, paying in BNB/ETH
+     * msg.value must equal the quoteFill gross amount
+     * @param offerId The ID of the offer to fill
+     * @param amount Amount of offered tokens to buy
+     * @param maxPayment Most the buyer will pay
+     */
+    function fillOfferWithNative(
+        uint256 offerId,
+        uint256 amount,
+        uint256 maxPayment
+    ) external payable nonReentrant whenNotPaused {
+        _fillOffer(offerId, amount, maxPayment, true);
+    }
+
+    /**
+     * @dev Partially fill an offer (shared by the fill variants)
+     */
+    function _fillOffer(uint256 offerId, uint256 amount, uint256 maxPayment, bool payNative) internal {
+        Offer storage offer = _offers[offerId];
+
+        uint256 paymentAmount = _settleFill(offerId, amount, maxPayment, payNative);
+
+        emit OfferFilled(
+            offerId,
+            offer.seller,
+            msg.sender,
+            amount,
+            paymentAmount,
+            offer.amount - offer.filledAmount
+        );
+    }
+
+    /**
+     * @dev Preview how the buyer's payment would be split if the offer were accepted now
+     * @param offerId The ID of the offer
+     * @return sellerAmount Amount the seller receives
+     * @return feeAmount Amount sent to the fee collector
+     * @return grossAmount Total amount the buyer pays
+     */
+    function quoteAccept(uint256 offerId)
+        external
+        view
+        returns (uint256 sellerAmount, uint256 feeAmount, uint256 grossAmount)
+    {
+        Offer storage offer = _offers[offerId];
+        return quoteFill(offerId, offer.amount - offer.filledAmount);
+    }
+
+    /**
+     * @dev Preview how the buyer's payment would be split for a partial fill
+     * @param offerId The ID of the offer
+     * @param amount Amount of offered tokens to buy
+     * @return sellerAmount Amount the seller receives
+     * @return feeAmount Amount sent to the fee collector
+     * @return grossAmount Total amount the buyer pays
+     */
+    function quoteFill(uint256 offerId, uint256 amount)
+        public
+        view
+        returns (uint256 sellerAmount, uint256 feeAmount, uint256 grossAmount)
+    {
+        Offer storage offer = _offers[offerId];
+        require(amount <= offer.amount - offer.filledAmount, "Escrow: fill exceeds remaining amount");
+
+        grossAmount = _fillCost(offer, amount);
+        (sellerAmount, feeAmount) = _splitPayment(grossAmount);
+    }
+
+    /**
+     * @dev Cancel an offer and return tokens to seller
+     * @param offerId The ID of the offer to cancel
+     */
+    function cancelOffer(uint256 offerId) external nonReentrant whenNotPaused {
+        _withdrawOffer(offerId);
+
+        emit OfferCancelled(offerId, msg.sender);
+    }
+
+    /**
+     * @dev Amend an active offer in place instead of cancelling and recreating it
+     * Does not count against the rate limit. Raising the amount pulls the
+     * difference from the seller; lowering it refunds the difference. For
+     * fee-on-transfer tokens a raise only adds what the escrow receives.
+     * Amount and price stay totals, so remaining fills are priced at
+     * newPriceInBUSD / newAmount.
+     * @param offerId The ID of the offer to update
+     * @param newAmount New total amount (must exceed what is already filled)
+     * @param newPriceInBUSD New total price for newAmount in paymentToken
+     * @param newBuyer New designated buyer (address(0) for an open offer)
+     */
+    function updateOffer(
+        uint256 offerId,
+        uint256 newAmount,
+        uint256 newPriceInBUSD,
+        address newBuyer
+    ) external nonReentrant whenNotPaused {
+        Offer storage offer = _sellerOffer(offerId);
+        require(newAmount > offer.filledAmount, "Escrow: amount must exceed filled amount");
+        require(newPriceInBUSD > 0, "Escrow: price must be greater than 0");
+        require(newBuyer != msg.sender, "Escrow: buyer cannot be seller");
+        _requireNotBlocked(newBuyer);
+
+        uint256 oldAmount = offer.amount;
+
+        offer.priceInBUSD = newPriceInBUSD;
+        if (newBuyer != offer.buyer) {
+            _activeOffersByBuyer[offer.buyer].remove(offerId);
+            _activeOffersByBuyer[newBuyer].add(offerId);
+            offer.buyer = newBuyer;
+        }
+
+        if (newAmount > oldAmount) {
+            newAmount = oldAmount + _pullEscrow(offer.tokenAddress, newAmount - oldAmount);
+        }
+        offer.amount = newAmount;
+        if (newAmount < oldAmount) {
+            _releaseEscrow(offer.tokenAddress, msg.sender, oldAmount - newAmount);
+        }
+
+        emit OfferUpdated(offerId, msg.sender, newBuyer, newAmount, newPriceInBUSD);
+    }
+
+    /**
+     * @dev Create a bid by locking payment tokens in escrow
+     * Shares the offer rate limit, so bids and offers count against the same daily quota
+     * @param tokenAddress Address of the token the buyer wants to receive
+     * @param amount Amount of tokens wanted
+     * @param paymentToken Address of the token escrowed as payment (e.g. BUSD)
+     * @param priceInBUSD Total price in paymentToken's smallest units (its own decimals);
+     * the bid pays what the escrow actually receives
+     * @param seller Address of the designated seller (address(0) for an open bid)
+     * @return bidId The ID of the created bid
+     */
+    function createBid(
+        address tokenAddress,
+        uint256 amount,
+        address paymentToken,
+        uint256 priceInBUSD,
+        address seller
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        _requireValidTrade(tokenAddress, amount, paymentToken, priceInBUSD);
+        require(seller != msg.sender, "Escrow: seller cannot be buyer");
+        _requireNotBlocked(msg.sender);
+        _requireNotBlocked(seller);
+
+        _enforceRateLimit();
+
+        // Transfer payment from buyer to escrow
+        priceInBUSD = _pullEscrow(paymentToken, priceInBUSD);
+
+        // Create bid
+        uint256 bidId = _bidIdCounter++;
+        _bids[bidId] = Bid({
+            id: bidId,
+            buyer: msg.sender,
+            seller: seller,
+            tokenAddress: tokenAddress,
+            paymentToken: paymentToken,
+            amount: amount,
+            priceInBUSD: priceInBUSD,
+            active: true,
+            createdAt: block.timestamp
+        });
+        _activeBidsByAccount[msg.sender].add(bidId);
+        _activeBidsByAccount[seller].add(bidId);
+
+        emit BidCreated(bidId, msg.sender, seller, tokenAddress, paymentToken, amount, priceInBUSD);
+
+        return bidId;
+    }
+
+    /**
+     * @dev Fill a bid by delivering the requested tokens to the buyer
+     * The escrowed payment, minus the platform fee, is released to the seller
+     * @param bidId The ID of the bid to accept
+     */
+    function acceptBid(uint256 bidId) external nonReentrant whenNotPaused {
+        Bid storage bid = _activeBid(bidId);
+        require(
+            bid.seller == address(0) || msg.sender == bid.seller,
+            "Escrow: caller is not the designated seller"
+        );
+        require(msg.sender != bid.buyer, "Escrow: buyer cannot accept own bid");
+        _requireNotBlocked(msg.sender);
+        _requireNotBlocked(bid.buyer);
+
+        // Mark bid as inactive first (checks-effects-interactions pattern)
+        _closeBid(bid);
+
+        // Transfer tokens from seller to buyer
+        IERC20(bid.tokenAddress).safeTransferFrom(msg.sender, bid.buyer, bid.amount);
+
+        (uint256 sellerAmount, uint256 feeAmount) = _splitPayment(bid.priceInBUSD);
+
+        // Release escrowed payment to seller, minus the platform fee
+        _releaseEscrow(bid.paymentToken, msg.sender, sellerAmount);
+
+        if (feeAmount > 0) {
+            _releaseEscrow(bid.paymentToken, feeCollector, feeAmount);
+            emit BidFeeCollected(bidId, feeCollector, bid.paymentToken, feeAmount);
+        }
+
+        emit BidAccepted(bidId, bid.buyer, msg.sender, bid.amount, bid.priceInBUSD);
+    }
+
+    /**
+     * @dev Preview how the escrowed payment would be split if the bid were accepted now
+     * @param bidId The ID of the bid
+     * @return sellerAmount Amount the seller receives
+     * @return feeAmount Amount sent to the fee collector
+     * @return grossAmount Total amount escrowed by the buyer
+     */
+    function quoteAcceptBid(uint256 bidId)
+        external
+        view
+        returns (uint256 sellerAmount, uint256 feeAmount, uint256 grossAmount)
+    {
+        grossAmount = _bids[bidId].priceInBUSD;
+        (sellerAmount, feeAmount) = _splitPayment(grossAmount);
+    }
+
+    /**
+     * @dev Cancel a bid and return the escrowed payment to the buyer
+     * @param bidId The ID of the bid to cancel
+     */
+    function cancelBid(uint256 bidId) external nonReentrant whenNotPaused {
+        _withdrawBid(bidId);
+
+        emit BidCancelled(bidId, msg.sender);
+    }
+
+    /**
+     * @dev Settle a seller-signed order in full
+     * Tokens move straight from the seller's allowance to the taker and payment
+     * from the taker to the seller, so nothing is escrowed beforehand.
+     * @param order The order the seller signed
+     * @param signature EIP-712 signature of the order by the seller
+     */
+    function fillOrder(Order calldata order, bytes calldata signature) external nonReentrant whenNotPaused {
+        require(block.timestamp <= order.expiry, "Escrow: order expired");
+        require(
+            order.buyer == address(0) || msg.sender == order.buyer,
+            "Escrow: caller is not the designated buyer"
+        );
+        require(msg.sender != order.seller, "Escrow: seller cannot accept own offer");
+        _requireValidTrade(order.tokenAddress, order.amount, order.paymentToken, order.priceInBUSD);
+        require(isNonceValid(order.seller, order.nonce), "Escrow: nonce already used");
+        _requireNotBlocked(msg.sender);
+        _requireNotBlocked(order.seller);
+
+        bytes32 orderHash = hashOrder(order);
+        require(ECDSA.recover(orderHash, signature) == order.seller, "Escrow: invalid signature");
+
+        isNonceUsed[order.seller][order.nonce] = true;
+
+        (uint256 sellerAmount, uint256 feeAmount) = _splitPayment(order.priceInBUSD);
+
+        IERC20(order.paymentToken).safeTransferFrom(msg.sender, order.seller, sellerAmount);
+
+        if (feeAmount > 0) {
+            IERC20(order.paymentToken).safeTransferFrom(msg.sender, feeCollector, feeAmount);
+            emit OrderFeeCollected(orderHash, feeCollector, order.paymentToken, feeAmount);
+        }
+
+        IERC20(order.tokenAddress).safeTransferFrom(order.seller, msg.sender, order.amount);
+
+        emit OrderFilled(
+            orderHash,
+            order.seller,
+            msg.sender,
+            order.nonce,
+            order.tokenAddress,
+            order.paymentToken,
+            order.amount,
+            order.priceInBUSD
+        );
+    }
+
+    /**
+     * @dev Cancel a single signed order by its nonce
+     */
+    function cancelOrder(uint256 nonce) external {
+        require(isNonceValid(msg.sender, nonce), "Escrow: nonce already used");
+        isNonceUsed[msg.sender][nonce] = true;
+        emit OrderCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @dev Cancel every signed order with a nonce below newMinNonce
+     */
+    function cancelOrdersBelow(uint256 newMinNonce) external {
+        require(newMinNonce > minNonce[msg.sender], "Escrow: nonce must increase");
+        minNonce[msg.sender] = newMinNonce;
+        emit MinNonceUpdated(msg.sender, newMinNonce);
+    }
+
+    /**
+     * @dev Whether a seller's order nonce can still be filled
+     */
+    function isNonceValid(address seller, uint256 nonce) public view returns (bool) {
+        return nonce >= minNonce[seller] && !isNonceUsed[seller][nonce];
+    }
+
+    /**
+     * @dev EIP-712 digest the seller signs for an order
+     */
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.seller,
+                    order.tokenAddress,
+                    order.amount,
+                    order.paymentToken,
+                    order.priceInBUSD,
+                    order.buyer,
+                    order.expiry,
+                    order.nonce
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Get offer details
+     * @param offerId The ID of the offer
+     * @return The offer details
+     */
+    function getOffer(uint256 offerId) external view returns (Offer memory) {
+        return _offers[offerId];
+    }
+
+    /**
+     * @dev Get the current offer counter
+     * @return The number of offers created
+     */
+    function getOfferCount() external view returns (uint256) {
+        return _offerIdCounter;
+    }
+
+    /**
+     * @dev Get a page of active offers
+     * @param offset Index of the first offer to return
+     * @param limit Maximum number of offers to return
+     * @return offers The requested page
+     * @return total Number of active offers
+     */
+    function getActiveOffers(uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_activeOffers, offset, limit);
+    }
+
+    /**
+     * @dev Get a page of active offers created by a seller
+     */
+    function getActiveOffersBySeller(address seller, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_activeOffersBySeller[seller], offset, limit);
+    }
+
+    /**
+     * @dev Get a page of active offers designated to a buyer
+     * Pass address(0) to page through open (public) offers
+     */
+    function getActiveOffersByBuyer(address buyer, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_activeOffersByBuyer[buyer], offset, limit);
+    }
+
+    /**
+     * @dev Get a page of active offers selling a given token
+     */
+    function getActiveOffersByToken(address tokenAddress, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_activeOffersByToken[tokenAddress], offset, limit);
+    }
+
+    /**
+     * @dev Get bid details
+     * @param bidId The ID of the bid
+     * @return The bid details
+     */
+    function getBid(uint256 bidId) external view returns (Bid memory) {
+        return _bids[bidId];
+    }
+
+    /**
+     * @dev Get the current bid counter
+     * @return The number of bids created
+     */
+    function getBidCount() external view returns (uint256) {
+        return _bidIdCounter;
+    }
+
+    /**
+     * @dev Get a page of active bids an account placed or must fill
+     * Pass address(0) to page through open (public) bids
+     */
+    function getActiveBidsByAccount(address account, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Bid[] memory bids, uint256 total)
+    {
+        return _bidPage(_activeBidsByAccount[account], offset, limit);
+    }
+
+    /**
+     * @dev Price of one whole offered token in paymentToken units, using the
+     * offered token's decimals (rounded down)
+     * @param offerId The ID of the offer
+     */
+    function getUnitPrice(uint256 offerId) external view returns (uint256) {
+        Offer storage offer = _offers[offerId];
+        require(offer.amount > 0, "Escrow: offer does not exist");
+        return Math.mulDiv(offer.priceInBUSD, 10 ** tokenDecimals[offer.tokenAddress], offer.amount);
+    }
+
+    /**
+     * @dev Tokens that can currently be offered
+     */
+    function getBaseTokens() external view returns (address[] memory) {
+        return _baseTokens.values();
+    }
+
+    /**
+     * @dev Tokens that can currently be used for payment
+     */
+    function getQuoteTokens() external view returns (address[] memory) {
+        return _quoteTokens.values();
+    }
+
+    /**
+     * @dev Whether a token can currently be offered
+     */
+    function isBaseToken(address token) external view returns (bool) {
+        return _baseTokens.contains(token);
+    }
+
+    /**
+     * @dev Whether a token can currently be used for payment
+     */
+    function isQuoteToken(address token) external view returns (bool) {
+        return _quoteTokens.contains(token);
+    }
+
+    /**
+     * @dev Withdraw proceeds from offers paid in the native coin
+     * Works while paused. Contracts that cannot receive BNB/ETH can take the
+     * wrapped token instead.
+     * @param unwrap True to receive BNB/ETH, false to receive the wrapped token
+     */
+    function withdrawProceeds(bool unwrap) external nonReentrant {
+        uint256 amount = nativeProceeds[msg.sender];
+        require(amount > 0, "Escrow: no proceeds");
+
+        nativeProceeds[msg.sender] = 0;
+
+        if (unwrap) {
+            totalEscrowed[address(wrappedNative)] -= amount;
+            wrappedNative.withdraw(amount);
+            (bool success, ) = msg.sender.call{value: amount}("");
+            require(success, "Escrow: native transfer failed");
+        } else {
+            _releaseEscrow(address(wrappedNative), msg.sender, amount);
+        }
+
+        emit ProceedsWithdrawn(msg.sender, amount, unwrap);
+    }
+
+    /**
+     * @dev Only the wrapped native token may send BNB/ETH here (when unwrapping)
+     */
+    receive() external payable {
+        require(msg.sender == address(wrappedNative), "Escrow: only wrapped native");
+    }
+
+    /**
+     * @dev Pause all escrow operations
+     * Emergency function to stop all trades if needed
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause escrow operations
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @dev Seller pulls back the unfilled part of their own offer while paused
+     * Lets users exit without waiting for the owner to unpause
+     * @param offerId The ID of the offer to withdraw
+     */
+    function pausedExit(uint256 offerId) external nonReentrant whenPaused {
+        uint256 remaining = _withdrawOffer(offerId);
+
+        emit PausedExit(offerId, msg.sender, remaining);
+    }
+
+    /**
+     * @dev Buyer pulls back the payment locked in their own bid while paused
+     * @param bidId The ID of the bid to withdraw
+     */
+    function pausedExitBid(uint256 bidId) external nonReentrant whenPaused {
+        uint256 refund = _withdrawBid(bidId);
+
+        emit BidPausedExit(bidId, msg.sender, refund);
+    }
+
+    /**
+     * @dev Emergency withdrawal function
+     * Allows owner to recover tokens sent to the escrow by mistake.
+     * Tokens backing active offers and bids can never be withdrawn.
+     * @param token Address of token to withdraw
+     * @param amount Amount to withdraw
+     * @param to Recipient address
+     */
+    function emergencyWithdraw(
+        address token,
+        uint256 amount,
+        address to
+    ) external onlyOwner {
+        require(to != address(0), "Escrow: withdraw to zero address");
+        require(paused(), "Escrow: only when paused");
+        require(amount <= getSurplus(token), "Escrow: amount exceeds surplus");
+        
+        IERC20(token).safeTransfer(to, amount);
+        emit EmergencyWithdraw(token, amount, to);
+    }
+
+    /**
+     * @dev Tokens held by the escrow beyond what active offers and bids need
+     * @param token Address of the token
+     * @return Amount the owner could recover via emergencyWithdraw
+     */
+    function getSurplus(address token) public view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 escrowed = totalEscrowed[token];
+        return balance > escrowed ? balance - escrowed : 0;
+    }
+
+    /**
+     * @dev Update platform fee (if needed in future)
+     * @param newFeePercent New fee percentage (100 = 1%)
+     */
+    function updateFee(uint256 newFeePercent) external onlyOwner {
+        require(newFeePercent <= 500, "Escrow: fee too high"); // Max 5%
+        platformFeePercent = newFeePercent;
+        emit FeeUpdated(newFeePercent);
+    }
+
+    /**
+     * @dev Update fee collector address
+     * @param newCollector New fee collector address
+     */
+    function updateFeeCollector(address newCollector) external onlyOwner {
+        require(newCollector != address(0), "Escrow: invalid collector");
+        feeCollector = newCollector;
+    }
+
+    /**
+     * @dev Set the compliance blocklist parties are checked against
+     * @param newBlocklist Blocklist contract (address(0) to disable)
+     */
+    function updateBlocklist(address newBlocklist) external onlyOwner {
+        blocklist = IBlocklist(newBlocklist);
+        emit BlocklistUpdated(newBlocklist);
+    }
+
+    /**
+     * @dev Allow or delist a token that can be offered (and requested in bids)
+     * Delisting only stops new offers, bids and signed orders; existing ones
+     * can still be settled or cancelled.
+     * @param token ERC20 token implementing decimals()
+     * @param allowed Whether the token is listed
+     */
+    function setBaseToken(address token, bool allowed) external onlyOwner {
+        uint8 decimals = _listToken(_baseTokens, token, allowed);
+        emit BaseTokenUpdated(token, allowed, decimals);
+    }
+
+    /**
+     * @dev Allow or delist a token that offers can be paid with
+     * @param token ERC20 token implementing decimals()
+     * @param allowed Whether the token is listed
+     */
+    function setQuoteToken(address token, bool allowed) external onlyOwner {
+        uint8 decimals = _listToken(_quoteTokens, token, allowed);
+        emit QuoteTokenUpdated(token, allowed, decimals);
+    }
+
+    /**
+     * @dev Set the wrapped native token (e.g. WBNB) and list it as a quote token
+     * Can only be set once, since unclaimed proceeds are held in it.
+     * @param token Wrapped native token contract
+     */
+    function setWrappedNative(address token) external onlyOwner {
+        require(address(wrappedNative) == address(0), "Escrow: wrapped native already set");
+
+        uint8 decimals = _listToken(_quoteTokens, token, true);
+        wrappedNative = IWrappedNative(token);
+
+        emit QuoteTokenUpdated(token, true, decimals);
+        emit WrappedNativeUpdated(token);
+    }
+
+    /**
+     * @dev Add a token to (or remove it from) an allow-list, recording its decimals
+     */
+    function _listToken(EnumerableSet.AddressSet storage list, address token, bool allowed)
+        internal
+        returns (uint8 decimals)
+    {
+        require(token != address(0), "Escrow: invalid token address");
+
+        if (allowed) {
+            try IERC20Metadata(token).decimals() returns (uint8 value) {
+                decimals = value;
+            } catch {
+                revert("Escrow: token has no decimals");
+            }
+            tokenDecimals[token] = decimals;
+            list.add(token);
+        } else {
+            decimals = tokenDecimals[token];
+            list.remove(token);
+        }
+    }
+
+    /**
+     * @dev Check the tokens, amount and price of a new offer, bid or signed order
+     * Both tokens must be listed: the offered token as base, the payment token as quote
+     */
+    function _requireValidTrade(
+        address tokenAddress,
+        uint256 amount,
+        address paymentToken,
+        uint256 priceInBUSD
+    ) internal view {
+        require(tokenAddress != address(0), "Escrow: invalid token address");
+        require(paymentToken != address(0), "Escrow: invalid payment token");
+        require(paymentToken != tokenAddress, "Escrow: payment token same as offered token");
+        require(amount > 0, "Escrow: amount must be greater than 0");
+        require(priceInBUSD > 0, "Escrow: price must be greater than 0");
+        require(_baseTokens.contains(tokenAddress), "Escrow: token not allowed");
+        require(_quoteTokens.contains(paymentToken), "Escrow: payment token not allowed");
+    }
+
+    /**
+     * @dev Load an active offer, reverting unless the caller is its seller
+     */
+    function _sellerOffer(uint256 offerId) internal view returns (Offer storage offer) {
+        offer = _offers[offerId];
+        require(offer.active, "Escrow: offer is not active");
+        require(msg.sender == offer.seller, "Escrow: caller is not the seller");
+    }
+
+    /**
+     * @dev Load a bid, reverting unless it is active
+     */
+    function _activeBid(uint256 bidId) internal view returns (Bid storage bid) {
+        bid = _bids[bidId];
+        require(bid.active, "Escrow: bid is not active");
+    }
+
+    /**
+     * @dev Load an active bid, reverting unless the caller is its buyer
+     */
+    function _buyerBid(uint256 bidId) internal view returns (Bid storage bid) {
+        bid = _activeBid(bidId);
+        require(msg.sender == bid.buyer, "Escrow: caller is not the buyer");
+    }
+
+    /**
+     * @dev Revert if the blocklist flags an account
+     */
+    function _requireNotBlocked(address account) internal view {
+        if (address(blocklist) != address(0)) {
+            require(!blocklist.isBlocked(account), "Escrow: party is blocked");
+        }
+    }
+
+    /**
+     * @dev Apply the per-address cooldown and daily limit for new offers and bids
+     */
+    function _enforceRateLimit() internal {
+        require(
+            block.timestamp >= _lastOfferTime[msg.sender] + OFFER_COOLDOWN,
+            "Escrow: cooldown period active"
+        );
+
+        // Reset daily counter if new day
+        if (block.timestamp >= _lastOfferTime[msg.sender] + 1 days) {
+            _dailyOfferCount[msg.sender] = 0;
+        }
+
+        require(
+            _dailyOfferCount[msg.sender] < MAX_OFFERS_PER_DAY,
+            "Escrow: daily offer limit reached"
+        );
+
+        _lastOfferTime[msg.sender] = block.timestamp;
+        _dailyOfferCount[msg.sender]++;
+    }
+
+    /**
+     * @dev Apply an EIP-2612 permit from msg.sender to this contract
+     * Skipped when the allowance already covers value (e.g. permit was front-run)
+     */
+    function _permit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        if (IERC20(token).allowance(msg.sender, address(this)) < value) {
+            IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s);
+        }
+    }
+
+    /**
+     * @dev Mark an offer inactive and drop it from the active indexes
+     */
+    function _closeOffer(Offer storage offer) internal {
+        offer.active = false;
+
+        _activeOffers.remove(offer.id);
+        _activeOffersBySeller[offer.seller].remove(offer.id);
+        _activeOffersByBuyer[offer.buyer].remove(offer.id);
+        _activeOffersByToken[offer.tokenAddress].remove(offer.id);
+    }
+
+    /**
+     * @dev Mark a bid inactive and drop it from the active indexes
+     */
+    function _closeBid(Bid storage bid) internal {
+        bid.active = false;
+
+        _activeBidsByAccount[bid.buyer].remove(bid.id);
+        _activeBidsByAccount[bid.seller].remove(bid.id);
+    }
+
+    /**
+     * @dev Close the caller's own offer and return its unfilled tokens
+     * @return remaining Amount returned to the seller
+     */
+    function _withdrawOffer(uint256 offerId) internal returns (uint256 remaining) {
+        Offer storage offer = _sellerOffer(offerId);
+
+        // Mark offer as inactive first
+        _closeOffer(offer);
+
+        remaining = offer.amount - offer.filledAmount;
+        _releaseEscrow(offer.tokenAddress, msg.sender, remaining);
+    }
+
+    /**
+     * @dev Close the caller's own bid and return its escrowed payment
+     * @return refund Amount returned to the buyer
+     */
+    function _withdrawBid(uint256 bidId) internal returns (uint256 refund) {
+        Bid storage bid = _buyerBid(bidId);
+
+        // Mark bid as inactive first
+        _closeBid(bid);
+
+        refund = bid.priceInBUSD;
+        _releaseEscrow(bid.paymentToken, msg.sender, refund);
+    }
+
+    /**
+     * @dev Copy a slice of an offer index into memory
+     * Order follows the index and can change as offers close
+     */
+    function _offerPage(EnumerableSet.UintSet storage index, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        uint256 end;
+        (end, total) = _pageEnd(index, offset, limit);
+        offers = new Offer[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            offers[i - offset] = _offers[index.at(i)];
+        }
+    }
+
+    /**
+     * @dev Copy a slice of a bid index into memory
+     * Order follows the index and can change as bids close
+     */
+    function _bidPage(EnumerableSet.UintSet storage index, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (Bid[] memory bids, uint256 total)
+    {
+        uint256 end;
+        (end, total) = _pageEnd(index, offset, limit);
+        bids = new Bid[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            bids[i - offset] = _bids[index.at(i)];
+        }
+    }
+
+    /**
+     * @dev End of the page starting at offset (offset itself when past the end)
+     */
+    function _pageEnd(EnumerableSet.UintSet storage index, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (uint256 end, uint256 total)
+    {
+        total = index.length();
+        if (offset >= total) {
+            return (offset, total);
+        }
+        end = limit > total - offset ? total : offset + limit;
+    }
+
+    /**
+     * @dev Pull tokens into escrow, crediting only the balance actually received
+     * Reverts if the escrow already holds less of the token than it owes (a
+     * rebasing token that rebased down) or receives more than was sent.
+     * @return received Amount added to escrow accounting
+     */
+    function _pullEscrow(address token, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        require(balanceBefore >= totalEscrowed[token], "Escrow: token balance below escrowed");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        require(received > 0 && received <= amount, "Escrow: unsupported token");
+        totalEscrowed[token] += received;
+    }
+
+    /**
+     * @dev Transfer tokens out of escrow and release them from escrow accounting
+     * If the balance has fallen below what is escrowed, the payout is scaled
+     * down pro rata so the shortfall is shared rather than left to the last
+     * withdrawal.
+     */
+    function _releaseEscrow(address token, address to, uint256 amount) internal {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 escrowed = totalEscrowed[token];
+        totalEscrowed[token] = escrowed - amount;
+
+        if (balance < escrowed) {
+            amount = Math.mulDiv(amount, balance, escrowed);
+        }
+        IERC20(token).safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev Settle a fill against an offer: pull payment, pay fee, release tokens
+     * @param offerId The ID of the offer
+     * @param fillAmount Amount of offered tokens to release to the caller
+     * @param maxPayment Most the caller agreed to pay, in case the offer was repriced
+     * @param payNative Whether the caller pays in BNB/ETH (msg.value) instead of the payment token
+     * @return paymentAmount Gross amount paid by the caller
+     */
+    function _settleFill(uint256 offerId, uint256 fillAmount, uint256 maxPayment, bool payNative)
+        internal
+        returns (uint256 paymentAmount)
+    {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Escrow: offer is not active");
+        require(
+            offer.buyer == address(0) || msg.sender == offer.buyer,
+            "Escrow: caller is not the designated buyer"
+        );
+        require(msg.sender != offer.seller, "Escrow: seller cannot accept own offer");
+        require(fillAmount > 0, "Escrow: fill amount must be greater than 0");
+        _requireNotBlocked(msg.sender);
+        _requireNotBlocked(offer.seller);
+        require(fillAmount <= offer.amount - offer.filledAmount, "Escrow: fill exceeds remaining amount");
+
+        paymentAmount = _fillCost(offer, fillAmount);
+        require(paymentAmount > 0, "Escrow: fill amount too small");
+        require(paymentAmount <= maxPayment, "Escrow: payment exceeds maxPayment");
+
+        // Update fill state first (checks-effects-interactions pattern)
+        offer.filledAmount += fillAmount;
+        if (offer.filledAmount == offer.amount) {
+            _closeOffer(offer);
+        }
+
+        (uint256 sellerAmount, uint256 feeAmount) = _splitPayment(paymentAmount);
+
+        if (payNative) {
+            // Wrap the payment and credit it for withdrawProceeds
+            require(
+                offer.paymentToken == address(wrappedNative) && offer.paymentToken != address(0),
+                "Escrow: offer not priced in native coin"
+            );
+            require(msg.value == paymentAmount, "Escrow: wrong native amount");
+
+            wrappedNative.deposit{value: paymentAmount}();
+            totalEscrowed[offer.paymentToken] += paymentAmount;
+            nativeProceeds[offer.seller] += sellerAmount;
+            nativeProceeds[feeCollector] += feeAmount;
+        } else {
+            // Transfer payment from buyer to seller, minus the platform fee
+            IERC20(offer.paymentToken).safeTransferFrom(msg.sender, offer.seller, sellerAmount);
+            if (feeAmount > 0) {
+                IERC20(offer.paymentToken).safeTransferFrom(msg.sender, feeCollector, feeAmount);
+            }
+        }
+
+        if (feeAmount > 0) {
+            emit FeeCollected(offerId, feeCollector, offer.paymentToken, feeAmount);
+        }
+
+        // Transfer tokens from escrow to buyer
+        _releaseEscrow(offer.tokenAddress, msg.sender, fillAmount);
+    }
+
+    /**
+     * @dev Price of the next `fillAmount` tokens of an offer
+     * Cumulative cost is rounded up, so fills never underpay the seller and
+     * a fully filled offer always costs exactly priceInBUSD in total
+     */
+    function _fillCost(Offer storage offer, uint256 fillAmount) internal view returns (uint256) {
+        if (fillAmount == 0) {
+            return 0;
+        }
+
+        uint256 costBefore = Math.mulDiv(offer.priceInBUSD, offer.filledAmount, offer.amount, Math.Rounding.Ceil);
+        uint256 costAfter = Math.mulDiv(
+            offer.priceInBUSD,
+            offer.filledAmount + fillAmount,
+            offer.amount,
+            Math.Rounding.Ceil
+        );
+
+        return costAfter - costBefore;
+    }
+
+    /**
+     * @dev Split a gross payment into seller proceeds and platform fee
+     * Fee is rounded down, so any dust stays with the seller
+     */
+    function _splitPayment(uint256 grossAmount)
+        internal
+        view
+        returns (uint256 sellerAmount, uint256 feeAmount)
+    {
+        feeAmount = (grossAmount * platformFeePercent) / FEE_DENOMINATOR;
+        sellerAmount = grossAmount - feeAmount;
+    }
+
+    /**
+     * @dev Get user's remaining offers for today
+     * @param user Address to check
+     * @return remaining Number of offers remaining today
+     */
+    function getRemainingOffers(address user) external view returns (uint256 remaining) {
+        if (block.timestamp >= _lastOfferTime[user] + 1 days) {
+            return MAX_OFFERS_PER_DAY;
+        }
+        uint256 used = _dailyOfferCount[user];
+        return used >= MAX_OFFERS_PER_DAY ? 0 : MAX_OFFERS_PER_DAY - used;
+    }
+}
@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
@@ -12,37 +13,84 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * @dev Enhanced P2P escrow with 15-minute expiry window (like Binance P2P)
  * 
  * Key Features:
- * - 15-minute acceptance window (configurable)
+ * - 15-minute acceptance window by default; sellers may pick their own within owner bounds
+ * - Sellers can extend an open offer before it expires
  * - Automatic expiry after timeout
  * - Seller can cancel anytime before acceptance
  * - Only designated buyer can accept
- * - Expired offers can be reclaimed by seller
+ * - Expired offers can be reclaimed by seller (or in batches by keepers)
+ * - Fiat-style trade flow: Open -> Taken -> PaymentMarked -> Released / Disputed,
+ *   with each stage getting its own offerExpiryTime window
+ * - Arbitrators (appointed by owner, separate from it) rule on disputed offers
+ * - Emergency withdrawal limited to surplus; sellers can exit open offers while paused
+ * - Active offers indexed overall and by seller and buyer, and open disputes,
+ *   with paginated views
  */
 contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
     using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
 
     // Default expiry time: 15 minutes (like Binance P2P)
     uint256 public constant DEFAULT_EXPIRY_TIME = 15 minutes;
     
+    // Trade lifecycle (Accepted = settled on-chain via acceptOffer)
+    enum OfferStatus {
+        Open,
+        Taken,
+        PaymentMarked,
+        Released,
+        Disputed,
+        Cancelled,
+        Expired,
+        Accepted,
+        Resolved
+    }
+
     // Offer structure with expiry
     struct Offer {
         uint256 id;
         address seller;
         address buyer;
         address tokenAddress;
+        address paymentToken;
         uint256 amount;
         uint256 priceInBUSD;
-        bool active;
+        bool active;        // Tokens still held in escrow
+        OfferStatus status;
         uint256 createdAt;
-        uint256 expiresAt;  // NEW: Expiry timestamp
+        uint256 expiresAt;  // Deadline for the current stage
+    }
+
+    // Evidence submitted for a disputed offer (hash of off-chain document)
+    struct Evidence {
+        address submitter;
+        bytes32 evidenceHash;
+        uint256 submittedAt;
     }
 
     // State variables
     uint256 private _offerIdCounter;
     mapping(uint256 => Offer) private _offers;
     
+    // Tokens currently backing active offers, per token
+    mapping(address => uint256) public totalEscrowed;
+
+    // Active offers (tokens still in escrow), overall and by seller and buyer
+    EnumerableSet.UintSet private _activeOffers;
+    mapping(address => EnumerableSet.UintSet) private _activeOffersByAccount;
+
+    // Dispute resolution
+    mapping(address => bool) public isArbitrator;
+    mapping(uint256 => Evidence[]) private _evidence;
+    EnumerableSet.UintSet private _disputedOffers; // Disputed and not yet resolved
+
     // Configurable expiry time (owner can adjust)
     uint256 public offerExpiryTime = DEFAULT_EXPIRY_TIME;
+
+    // Bounds for seller-chosen offer windows (owner can adjust)
+    uint256 public minExpiryTime = 1 minutes;
+    uint256 public maxExpiryTime = 24 hours;
+    uint256 public constant MAX_EXPIRY_BOUND = 7 days;
     
     // Rate limiting
     mapping(address => uint256) private _lastOfferTime;
@@ -56,6 +104,7 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
         address indexed seller,
         address indexed buyer,
         address tokenAddress,
+        address paymentToken,
         uint256 amount,
         uint256 priceInBUSD,
         uint256 expiresAt
@@ -79,24 +128,99 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
         address indexed seller
     );
 
+    event OfferTaken(
+        uint256 indexed offerId,
+        address indexed buyer,
+        uint256 paymentDeadline
+    );
+
+    event PaymentMarked(
+        uint256 indexed offerId,
+        address indexed buyer,
+        uint256 releaseDeadline
+    );
+
+    event OfferReleased(
+        uint256 indexed offerId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 amount
+    );
+
+    event OfferDisputed(
+        uint256 indexed offerId,
+        address indexed raisedBy
+    );
+
+    event EvidenceSubmitted(
+        uint256 indexed offerId,
+        address indexed submitter,
+        bytes32 evidenceHash
+    );
+
+    event DisputeResolved(
+        uint256 indexed offerId,
+        address indexed arbitrator,
+        uint256 buyerAmount,
+        uint256 sellerAmount,
+        bytes32 rulingHash
+    );
+
+    event ArbitratorUpdated(address indexed arbitrator, bool enabled);
+
+    event PausedExit(
+        uint256 indexed offerId,
+        address indexed seller,
+        uint256 amount
+    );
+
+    event EmergencyWithdraw(
+        address indexed token,
+        uint256 amount,
+        address indexed to
+    );
+
+    event OfferExtended(uint256 indexed offerId, uint256 expiresAt);
+
     event ExpiryTimeUpdated(uint256 newExpiryTime);
 
+    event ExpiryBoundsUpdated(uint256 minExpiryTime, uint256 maxExpiryTime);
+
+    modifier onlyArbitrator() {
+        require(isArbitrator[msg.sender], "Not an arbitrator");
+        _;
+    }
+
     constructor() Ownable(msg.sender) {}
 
     /**
-     * @dev Create offer with automatic 15-minute expiry
+     * @dev Create offer with automatic expiry
+     * The seller picks the payment token; acceptance always settles in it
+     * @param expiryTime Acceptance window in seconds (0 uses offerExpiryTime)
      */
     function createOffer(
         address tokenAddress,
         uint256 amount,
+        address paymentToken,
         uint256 priceInBUSD,
-        address buyer
+        address buyer,
+        uint256 expiryTime
     ) external nonReentrant whenNotPaused returns (uint256) {
         require(tokenAddress != address(0), "Invalid token address");
+        require(paymentToken != address(0), "Invalid payment token");
+        require(paymentToken != tokenAddress, "Payment token same as offered token");
         require(amount > 0, "Amount must be > 0");
         require(priceInBUSD > 0, "Price must be > 0");
         require(buyer != address(0), "Invalid buyer address");
         require(buyer != msg.sender, "Buyer cannot be seller");
+
+        if (expiryTime == 0) {
+            expiryTime = offerExpiryTime;
+        }
+        require(
+            expiryTime >= minExpiryTime && expiryTime <= maxExpiryTime,
+            "Expiry out of bounds"
+        );
         
         // Rate limiting
         require(
@@ -118,86 +242,262 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
 
         // Transfer tokens to escrow
         IERC20(tokenAddress).safeTransferFrom(msg.sender, address(this), amount);
+        totalEscrowed[tokenAddress] += amount;
 
         // Create offer with expiry
         uint256 offerId = _offerIdCounter++;
-        uint256 expiresAt = block.timestamp + offerExpiryTime;
+        uint256 expiresAt = block.timestamp + expiryTime;
         
         _offers[offerId] = Offer({
             id: offerId,
             seller: msg.sender,
             buyer: buyer,
             tokenAddress: tokenAddress,
+            paymentToken: paymentToken,
             amount: amount,
             priceInBUSD: priceInBUSD,
             active: true,
+            status: OfferStatus.Open,
             createdAt: block.timestamp,
             expiresAt: expiresAt
         });
 
-        emit OfferCreated(offerId, msg.sender, buyer, tokenAddress, amount, priceInBUSD, expiresAt);
+        _activeOffers.add(offerId);
+        _activeOffersByAccount[msg.sender].add(offerId);
+        _activeOffersByAccount[buyer].add(offerId);
+
+        emit OfferCreated(offerId, msg.sender, buyer, tokenAddress, paymentToken, amount, priceInBUSD, expiresAt);
 
         return offerId;
     }
 
     /**
-     * @dev Accept offer (must be within 15-minute window)
+     * @dev Accept offer (must be within the offer's window)
      */
-    function acceptOffer(uint256 offerId, address busdAddress) external nonReentrant whenNotPaused {
+    function acceptOffer(uint256 offerId) external nonReentrant whenNotPaused {
         Offer storage offer = _offers[offerId];
 
         require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.Open, "Offer already taken");
         require(msg.sender == offer.buyer, "Not the designated buyer");
-        require(busdAddress != address(0), "Invalid BUSD address");
         
         // CHECK EXPIRY - This is the key feature!
         require(block.timestamp <= offer.expiresAt, "Offer has expired");
 
         // Mark inactive
-        offer.active = false;
+        _closeOffer(offer, OfferStatus.Accepted);
 
-        // Transfer BUSD from buyer to seller
-        IERC20(busdAddress).safeTransferFrom(msg.sender, offer.seller, offer.priceInBUSD);
+        // Transfer payment token from buyer to seller
+        IERC20(offer.paymentToken).safeTransferFrom(msg.sender, offer.seller, offer.priceInBUSD);
 
         // Transfer tokens from escrow to buyer
-        IERC20(offer.tokenAddress).safeTransfer(msg.sender, offer.amount);
+        _releaseEscrow(offer.tokenAddress, msg.sender, offer.amount);
 
         emit OfferAccepted(offerId, offer.seller, msg.sender, offer.amount, offer.priceInBUSD);
     }
 
     /**
-     * @dev Cancel offer (seller can cancel anytime)
+     * @dev Buyer locks in the offer to pay off-chain; starts the payment window
      */
-    function cancelOffer(uint256 offerId) external nonReentrant whenNotPaused {
+    function takeOffer(uint256 offerId) external nonReentrant whenNotPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.Open, "Offer already taken");
+        require(msg.sender == offer.buyer, "Not the designated buyer");
+        require(block.timestamp <= offer.expiresAt, "Offer has expired");
+
+        offer.status = OfferStatus.Taken;
+        offer.expiresAt = block.timestamp + offerExpiryTime;
+
+        emit OfferTaken(offerId, msg.sender, offer.expiresAt);
+    }
+
+    /**
+     * @dev Buyer confirms the off-chain payment was sent; starts the release window
+     */
+    function markPaymentSent(uint256 offerId) external nonReentrant whenNotPaused {
         Offer storage offer = _offers[offerId];
 
         require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.Taken, "Offer is not taken");
+        require(msg.sender == offer.buyer, "Not the buyer");
+        require(block.timestamp <= offer.expiresAt, "Payment window has closed");
+
+        offer.status = OfferStatus.PaymentMarked;
+        offer.expiresAt = block.timestamp + offerExpiryTime;
+
+        emit PaymentMarked(offerId, msg.sender, offer.expiresAt);
+    }
+
+    /**
+     * @dev Seller confirms payment was received and releases the escrowed tokens
+     */
+    function releaseOffer(uint256 offerId) external nonReentrant whenNotPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        require(
+            offer.status == OfferStatus.Taken || offer.status == OfferStatus.PaymentMarked,
+            "Offer is not taken"
+        );
         require(msg.sender == offer.seller, "Not the seller");
 
-        offer.active = false;
+        _closeOffer(offer, OfferStatus.Released);
+
+        // Release tokens to buyer
+        _releaseEscrow(offer.tokenAddress, offer.buyer, offer.amount);
+
+        emit OfferReleased(offerId, msg.sender, offer.buyer, offer.amount);
+    }
+
+    /**
+     * @dev Open a dispute once payment is marked
+     * Seller can dispute straight away; buyer only after the release window lapses
+     */
+    function openDispute(uint256 offerId) external nonReentrant whenNotPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.PaymentMarked, "Payment not marked");
+        require(msg.sender == offer.seller || msg.sender == offer.buyer, "Not a trade party");
+        if (msg.sender == offer.buyer) {
+            require(block.timestamp > offer.expiresAt, "Release window still open");
+        }
+
+        offer.status = OfferStatus.Disputed;
+        _disputedOffers.add(offerId);
+
+        emit OfferDisputed(offerId, msg.sender);
+    }
+
+    /**
+     * @dev Record a hash of off-chain evidence for a disputed offer
+     */
+    function submitEvidence(uint256 offerId, bytes32 evidenceHash) external whenNotPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.status == OfferStatus.Disputed, "Offer is not disputed");
+        require(
+            msg.sender == offer.seller || msg.sender == offer.buyer || isArbitrator[msg.sender],
+            "Not a trade party"
+        );
+        require(evidenceHash != bytes32(0), "Invalid evidence hash");
+
+        _evidence[offerId].push(Evidence({
+            submitter: msg.sender,
+            evidenceHash: evidenceHash,
+            submittedAt: block.timestamp
+        }));
+
+        emit EvidenceSubmitted(offerId, msg.sender, evidenceHash);
+    }
+
+    /**
+     * @dev Arbitrator rules on a disputed offer, splitting the escrowed tokens
+     * @param buyerAmount Tokens awarded to the buyer; the rest goes back to the seller
+     * @param rulingHash Hash of the written ruling kept off-chain
+     */
+    function resolveDispute(
+        uint256 offerId,
+        uint256 buyerAmount,
+        bytes32 rulingHash
+    ) external nonReentrant whenNotPaused onlyArbitrator {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.Disputed, "Offer is not disputed");
+        require(buyerAmount <= offer.amount, "Award exceeds escrow");
+        require(msg.sender != offer.seller && msg.sender != offer.buyer, "Arbitrator is a trade party");
+
+        uint256 sellerAmount = offer.amount - buyerAmount;
+
+        _closeOffer(offer, OfferStatus.Resolved);
+        _disputedOffers.remove(offerId);
+
+        if (buyerAmount > 0) {
+            _releaseEscrow(offer.tokenAddress, offer.buyer, buyerAmount);
+        }
+        if (sellerAmount > 0) {
+            _releaseEscrow(offer.tokenAddress, offer.seller, sellerAmount);
+        }
+
+        emit DisputeResolved(offerId, msg.sender, buyerAmount, sellerAmount, rulingHash);
+    }
+
+    /**
+     * @dev Cancel offer (seller while open, buyer backing out after taking it)
+     */
+    function cancelOffer(uint256 offerId) external nonReentrant whenNotPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        if (offer.status == OfferStatus.Open) {
+            require(msg.sender == offer.seller, "Not the seller");
+        } else if (offer.status == OfferStatus.Taken) {
+            require(msg.sender == offer.buyer, "Not the buyer");
+        } else {
+            revert("Offer cannot be cancelled");
+        }
+
+        _closeOffer(offer, OfferStatus.Cancelled);
 
         // Return tokens to seller
-        IERC20(offer.tokenAddress).safeTransfer(msg.sender, offer.amount);
+        _releaseEscrow(offer.tokenAddress, offer.seller, offer.amount);
 
-        emit OfferCancelled(offerId, msg.sender);
+        emit OfferCancelled(offerId, offer.seller);
+    }
+
+    /**
+     * @dev Extend an open offer's window (seller only, before it expires)
+     * @param additionalTime Seconds to add to the current deadline
+     */
+    function extendOffer(uint256 offerId, uint256 additionalTime) external whenNotPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.Open, "Offer already taken");
+        require(msg.sender == offer.seller, "Not the seller");
+        require(block.timestamp <= offer.expiresAt, "Offer has expired");
+        require(additionalTime > 0, "Extension must be > 0");
+
+        uint256 expiresAt = offer.expiresAt + additionalTime;
+        require(expiresAt - block.timestamp <= maxExpiryTime, "Expiry too long");
+
+        offer.expiresAt = expiresAt;
+
+        emit OfferExtended(offerId, expiresAt);
     }
 
     /**
      * @dev Reclaim expired offer (anyone can call, but tokens go to seller)
-     * This allows cleanup of expired offers
+     * This allows cleanup of offers never taken or never paid in time
      */
     function reclaimExpired(uint256 offerId) external nonReentrant {
         Offer storage offer = _offers[offerId];
 
         require(offer.active, "Offer is not active");
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Taken,
+            "Offer cannot be reclaimed"
+        );
         require(block.timestamp > offer.expiresAt, "Offer has not expired yet");
 
-        offer.active = false;
-
-        // Return tokens to seller
-        IERC20(offer.tokenAddress).safeTransfer(offer.seller, offer.amount);
+        _reclaim(offerId);
+    }
 
-        emit OfferExpired(offerId, offer.seller);
+    /**
+     * @dev Reclaim many expired offers in one transaction (for keepers)
+     * Offers that cannot be reclaimed are skipped instead of reverting
+     * @return reclaimed Number of offers reclaimed
+     */
+    function reclaimExpiredBatch(uint256[] calldata offerIds) external nonReentrant returns (uint256 reclaimed) {
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            if (_isReclaimable(_offers[offerIds[i]])) {
+                _reclaim(offerIds[i]);
+                reclaimed++;
+            }
+        }
     }
 
     /**
@@ -226,6 +526,13 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
         return _offers[offerId];
     }
 
+    /**
+     * @dev Get evidence submitted for an offer
+     */
+    function getEvidence(uint256 offerId) external view returns (Evidence[] memory) {
+        return _evidence[offerId];
+    }
+
     /**
      * @dev Get offer count
      */
@@ -233,17 +540,80 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
         return _offerIdCounter;
     }
 
+    /**
+     * @dev Get a page of active offers (e.g. for keepers looking for expired ones)
+     * @param offset Index of the first offer to return
+     * @param limit Maximum number of offers to return
+     * @return offers The requested page
+     * @return total Number of active offers
+     */
+    function getActiveOffers(uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_activeOffers, offset, limit);
+    }
+
+    /**
+     * @dev Get a page of active offers an account is the seller or buyer of
+     */
+    function getActiveOffersByAccount(address account, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_activeOffersByAccount[account], offset, limit);
+    }
+
+    /**
+     * @dev Get a page of offers awaiting an arbitrator's ruling
+     */
+    function getDisputedOffers(uint256 offset, uint256 limit)
+        external
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        return _offerPage(_disputedOffers, offset, limit);
+    }
+
     /**
      * @dev Update expiry time (owner only)
      * @param newExpiryTime New expiry time in seconds
      */
     function updateExpiryTime(uint256 newExpiryTime) external onlyOwner {
-        require(newExpiryTime >= 1 minutes, "Expiry too short");
-        require(newExpiryTime <= 24 hours, "Expiry too long");
+        require(newExpiryTime >= minExpiryTime, "Expiry too short");
+        require(newExpiryTime <= maxExpiryTime, "Expiry too long");
         offerExpiryTime = newExpiryTime;
         emit ExpiryTimeUpdated(newExpiryTime);
     }
 
+    /**
+     * @dev Update bounds for seller-chosen expiry (owner only)
+     * The default expiry time must stay within the new bounds
+     */
+    function updateExpiryBounds(uint256 newMinExpiryTime, uint256 newMaxExpiryTime) external onlyOwner {
+        require(newMinExpiryTime >= 1 minutes, "Expiry too short");
+        require(newMaxExpiryTime <= MAX_EXPIRY_BOUND, "Expiry too long");
+        require(newMinExpiryTime <= newMaxExpiryTime, "Invalid expiry bounds");
+        require(
+            offerExpiryTime >= newMinExpiryTime && offerExpiryTime <= newMaxExpiryTime,
+            "Default expiry out of bounds"
+        );
+        minExpiryTime = newMinExpiryTime;
+        maxExpiryTime = newMaxExpiryTime;
+        emit ExpiryBoundsUpdated(newMinExpiryTime, newMaxExpiryTime);
+    }
+
+    /**
+     * @dev Appoint or remove an arbitrator (owner only)
+     */
+    function setArbitrator(address arbitrator, bool enabled) external onlyOwner {
+        require(arbitrator != address(0), "Invalid arbitrator");
+        isArbitrator[arbitrator] = enabled;
+        emit ArbitratorUpdated(arbitrator, enabled);
+    }
+
     /**
      * @dev Pause contract
      */
@@ -259,7 +629,25 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
     }
 
     /**
-     * @dev Emergency withdrawal (only when paused)
+     * @dev Seller pulls back their own open offer while paused
+     * Offers already taken stay locked so the trade can finish after unpause
+     */
+    function pausedExit(uint256 offerId) external nonReentrant whenPaused {
+        Offer storage offer = _offers[offerId];
+
+        require(offer.active, "Offer is not active");
+        require(offer.status == OfferStatus.Open, "Offer is not open");
+        require(msg.sender == offer.seller, "Not the seller");
+
+        _closeOffer(offer, OfferStatus.Cancelled);
+
+        _releaseEscrow(offer.tokenAddress, offer.seller, offer.amount);
+
+        emit PausedExit(offerId, offer.seller, offer.amount);
+    }
+
+    /**
+     * @dev Emergency withdrawal (only when paused, surplus tokens only)
      */
     function emergencyWithdraw(
         address token,
@@ -268,8 +656,19 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
     ) external onlyOwner {
         require(to != address(0), "Invalid recipient");
         require(paused(), "Only when paused");
+        require(amount <= getSurplus(token), "Amount exceeds surplus");
         
         IERC20(token).safeTransfer(to, amount);
+        emit EmergencyWithdraw(token, amount, to);
+    }
+
+    /**
+     * @dev Tokens held beyond what active offers need
+     */
+    function getSurplus(address token) public view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 escrowed = totalEscrowed[token];
+        return balance > escrowed ? balance - escrowed : 0;
     }
 
     /**
@@ -282,4 +681,68 @@ contract EscrowWithExpiry is ReentrancyGuard, Pausable, Ownable {
         uint256 used = _dailyOfferCount[user];
         return used >= MAX_OFFERS_PER_DAY ? 0 : MAX_OFFERS_PER_DAY - used;
     }
+
+    /**
+     * @dev Whether an offer was never taken or never paid in time
+     */
+    function _isReclaimable(Offer storage offer) internal view returns (bool) {
+        return offer.active &&
+            (offer.status == OfferStatus.Open || offer.status == OfferStatus.Taken) &&
+            block.timestamp > offer.expiresAt;
+    }
+
+    /**
+     * @dev Expire an offer and return its tokens to the seller
+     */
+    function _reclaim(uint256 offerId) internal {
+        Offer storage offer = _offers[offerId];
+
+        _closeOffer(offer, OfferStatus.Expired);
+
+        // Return tokens to seller
+        _releaseEscrow(offer.tokenAddress, offer.seller, offer.amount);
+
+        emit OfferExpired(offerId, offer.seller);
+    }
+
+    /**
+     * @dev Mark an offer inactive with its final status and drop it from the active indexes
+     */
+    function _closeOffer(Offer storage offer, OfferStatus status) internal {
+        offer.active = false;
+        offer.status = status;
+
+        _activeOffers.remove(offer.id);
+        _activeOffersByAccount[offer.seller].remove(offer.id);
+        _activeOffersByAccount[offer.buyer].remove(offer.id);
+    }
+
+    /**
+     * @dev Copy a slice of an offer index into memory
+     * Order follows the index and can change as offers close
+     */
+    function _offerPage(EnumerableSet.UintSet storage index, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (Offer[] memory offers, uint256 total)
+    {
+        total = index.length();
+        if (offset >= total) {
+            return (new Offer[](0), total);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        offers = new Offer[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            offers[i - offset] = _offers[index.at(i)];
+        }
+    }
+
+    /**
+     * @dev Transfer tokens out of escrow and release them from escrow accounting
+     */
+    function _releaseEscrow(address token, address to, uint256 amount) internal {
+        totalEscrowed[token] -= amount;
+        IERC20(token).safeTransfer(to, amount);
+    }
 }
@@ -0,0 +1,664 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlDefaultAdminRulesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./interfaces/IBlocklist.sol";
+import "./interfaces/IReserveFeed.sol";
+
+/**
+ * @title SWATTokenBase
+ * @dev Token logic shared by SWATToken (deployed directly) and SWATTokenUpgradeable
+ * (deployed behind an ERC1967 proxy), so a fix lands in both at once.
+ * Built on OpenZeppelin's upgradeable base contracts, which keep their state in
+ * namespaced (ERC-7201) storage, so the same code works with a constructor or
+ * an initializer. New state is added after the existing variables, taking its
+ * slots from __gap, so nothing declared in a derived contract moves.
+ * - Name: SWAT Coin
+ * - Symbol: SWAT
+ * - Decimals: 18
+ * - Role-based access: MINTER, PAUSER, BURNER and RESCUER, granted by the admin
+ * - Per-minter allowances (a minter can mint at most its allowance until topped up)
+ * - Redemptions: holders burn SWAT and file a payout request that an operator fulfils,
+ *   indexed per holder and while pending, with paginated views
+ * - Proof-of-reserve gated minting once a reserve feed is set
+ * - Compliance controls: blocklist, per-account freeze and wiping of frozen balances
+ * - Checkpointed balances and total supply for historical queries by block
+ * - Timelocked supply cap raises, unpause and emergency withdrawals
+ * - Pausable for emergency situations
+ * - EIP-2612 permit for gasless approvals
+ * - Gas optimized for mainnet deployment
+ * - Multi-sig ready architecture
+ */
+abstract contract SWATTokenBase is
+    Initializable,
+    ERC20Upgradeable,
+    ERC20PermitUpgradeable,
+    AccessControlDefaultAdminRulesUpgradeable,
+    PausableUpgradeable,
+    IBlocklist
+{
+    using Checkpoints for Checkpoints.Trace208;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using EnumerableSet for EnumerableSet.UintSet;
+    
+    // Maximum supply cap to prevent unlimited minting (raisable only through the timelock)
+    uint256 public maxSupply; // 100 million tokens at initialization
+
+    // Roles (DEFAULT_ADMIN_ROLE grants and revokes them)
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant RESCUER_ROLE = keccak256("RESCUER_ROLE");
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+
+    // Delay before a new admin can accept the admin role
+    uint48 public constant ADMIN_TRANSFER_DELAY = 1 days;
+
+    // Sensitive calls must be proposed and wait out this delay before they run
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+
+    enum TimelockAction { RaiseCap, Unpause, EmergencyWithdraw }
+
+    struct TimelockOperation {
+        bytes32 id;
+        TimelockAction action;
+        bytes params;    // ABI-encoded arguments of the timelocked call
+        uint256 readyAt;
+    }
+
+    mapping(bytes32 => TimelockOperation) private _timelockOperations;
+    EnumerableSet.Bytes32Set private _pendingOperations;
+
+    // Remaining amount each minter may mint
+    mapping(address => uint256) public minterAllowance;
+
+    // Blocked accounts can neither send nor receive; frozen accounts cannot send
+    mapping(address => bool) public override isBlocked;
+    mapping(address => bool) public isFrozen;
+
+    // Balance and supply history, keyed by block number
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+    Checkpoints.Trace208 private _totalSupplyCheckpoints;
+
+    // Proof-of-reserve feed; while unset, minting is limited by maxSupply only
+    IReserveFeed public reserveFeed;
+
+    // Oldest attestation minting will accept
+    uint256 public maxAttestationAge;
+
+    // Redemption request filed when a holder burns SWAT for an off-chain payout
+    struct Redemption {
+        uint256 id;
+        address holder;
+        uint256 amount;
+        string payoutReference;    // Where the holder wants to be paid (e.g. bank ref)
+        string settlementReference; // Operator's proof of payout, set on fulfilment
+        bool fulfilled;
+        uint256 requestedAt;
+        uint256 fulfilledAt;
+    }
+
+    Redemption[] private redemptions;
+
+    // Reserve accounting: burned supply still owed to holders, and total paid out
+    uint256 public pendingRedemptions;
+    uint256 public totalRedeemed;
+
+    // Redemption IDs per holder (oldest first), and those awaiting payout
+    mapping(address => EnumerableSet.UintSet) private _redemptionsByHolder;
+    EnumerableSet.UintSet private _pendingRedemptionIds;
+
+    // Reserved slots: new state goes above and shrinks the gap by the slots it uses
+    uint256[47] private __gap;
+    
+    // Events for transparency
+    event EmergencyWithdraw(address indexed token, uint256 amount, address indexed to);
+    event MintingCompleted(uint256 totalSupply);
+    event MinterConfigured(address indexed minter, uint256 allowance);
+    event MinterRemoved(address indexed minter);
+    event Burned(address indexed burner, uint256 amount);
+    event ReserveFeedUpdated(address indexed feed);
+    event MaxAttestationAgeUpdated(uint256 maxAge);
+    event AccountBlocked(address indexed account);
+    event AccountUnblocked(address indexed account);
+    event AccountFrozen(address indexed account);
+    event AccountUnfrozen(address indexed account);
+    event FrozenBalanceWiped(address indexed account, uint256 amount);
+    event OperationProposed(bytes32 indexed id, TimelockAction indexed action, bytes params, uint256 readyAt);
+    event OperationExecuted(bytes32 indexed id, TimelockAction indexed action);
+    event OperationCancelled(bytes32 indexed id, TimelockAction indexed action);
+    event MaxSupplyRaised(uint256 previousCap, uint256 newCap);
+    event RedemptionRequested(uint256 indexed requestId, address indexed holder, uint256 amount, string payoutReference);
+    event RedemptionFulfilled(
+        uint256 indexed requestId,
+        address indexed holder,
+        address indexed operator,
+        uint256 amount,
+        string settlementReference
+    );
+    
+    /**
+     * @dev Sets token name and symbol, called from the constructor or initializer
+     * The admin holds every role, with a minter allowance of the full supply
+     * cap, until duties are handed out
+     * @param admin Address that becomes the admin
+     */
+    function __SWATTokenBase_init(address admin) internal onlyInitializing {
+        __ERC20_init("SWAT Coin", "SWAT");
+        __ERC20Permit_init("SWAT Coin");
+        __AccessControlDefaultAdminRules_init(ADMIN_TRANSFER_DELAY, admin);
+        __Pausable_init();
+
+        maxSupply = 100_000_000 * 10**18;
+        maxAttestationAge = 1 days;
+
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(BURNER_ROLE, admin);
+        _grantRole(RESCUER_ROLE, admin);
+        _grantRole(OPERATOR_ROLE, admin);
+        _grantRole(COMPLIANCE_ROLE, admin);
+        _configureMinter(admin, maxSupply);
+    }
+
+    /**
+     * @dev Mints new tokens to a specified address
+     * Can only be called by a minter, within its remaining allowance
+     * Includes supply cap check for safety, and a reserve check once a feed is set
+     * @param to The address that will receive the minted tokens
+     * @param amount The amount of tokens to mint (in wei, 18 decimals)
+     */
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
+        require(to != address(0), "SWATToken: mint to zero address");
+        require(amount > 0, "SWATToken: mint amount must be greater than 0");
+        require(totalSupply() + amount <= maxSupply, "SWATToken: exceeds max supply");
+        require(amount <= minterAllowance[msg.sender], "SWATToken: exceeds minter allowance");
+        if (address(reserveFeed) != address(0)) {
+            _checkReserves(amount);
+        }
+
+        minterAllowance[msg.sender] -= amount;
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Grant the minter role and set (or top up to) its allowance
+     * Can only be called by the admin
+     * @param minter Address allowed to mint
+     * @param allowance Total amount the minter may mint from now on
+     */
+    function configureMinter(address minter, uint256 allowance) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(minter != address(0), "SWATToken: minter is zero address");
+        _configureMinter(minter, allowance);
+    }
+
+    /**
+     * @dev Set the proof-of-reserve feed minting is checked against
+     * Can only be called by the admin. The feed can be replaced but not removed
+     * @param feed Address of the reserve feed
+     */
+    function setReserveFeed(address feed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(feed != address(0), "SWATToken: feed is zero address");
+        reserveFeed = IReserveFeed(feed);
+        emit ReserveFeedUpdated(feed);
+    }
+
+    /**
+     * @dev Update how old a reserve attestation may be before minting stops
+     * Can only be called by the admin
+     * @param maxAge Maximum attestation age in seconds
+     */
+    function setMaxAttestationAge(uint256 maxAge) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(maxAge > 0, "SWATToken: max age must be greater than 0");
+        maxAttestationAge = maxAge;
+        emit MaxAttestationAgeUpdated(maxAge);
+    }
+
+    /**
+     * @dev Revoke the minter role and clear its allowance
+     * Can only be called by the admin
+     */
+    function removeMinter(address minter) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(MINTER_ROLE, minter);
+        minterAllowance[minter] = 0;
+        emit MinterRemoved(minter);
+    }
+
+    /**
+     * @dev Burn tokens held by the caller
+     * Can only be called by a burner (e.g. the issuer burning redeemed tokens)
+     * @param amount The amount of tokens to burn
+     */
+    function burn(uint256 amount) external onlyRole(BURNER_ROLE) {
+        require(amount > 0, "SWATToken: burn amount must be greater than 0");
+        _burn(msg.sender, amount);
+        emit Burned(msg.sender, amount);
+    }
+
+    /**
+     * @dev Redeem SWAT: burn the caller's tokens and file a payout request
+     * The burned amount stays in pendingRedemptions until an operator pays out
+     * @param amount The amount of tokens to redeem
+     * @param payoutReference Where the payout should be sent (e.g. bank reference)
+     * @return requestId The ID of the redemption request
+     */
+    function redeem(uint256 amount, string calldata payoutReference) external returns (uint256) {
+        require(amount > 0, "SWATToken: redeem amount must be greater than 0");
+        require(bytes(payoutReference).length > 0, "SWATToken: payout reference required");
+
+        _burn(msg.sender, amount);
+
+        uint256 requestId = redemptions.length;
+        redemptions.push(Redemption({
+            id: requestId,
+            holder: msg.sender,
+            amount: amount,
+            payoutReference: payoutReference,
+            settlementReference: "",
+            fulfilled: false,
+            requestedAt: block.timestamp,
+            fulfilledAt: 0
+        }));
+        pendingRedemptions += amount;
+        _redemptionsByHolder[msg.sender].add(requestId);
+        _pendingRedemptionIds.add(requestId);
+
+        emit RedemptionRequested(requestId, msg.sender, amount, payoutReference);
+        return requestId;
+    }
+
+    /**
+     * @dev Mark a redemption as paid out
+     * Can only be called by an operator once the off-chain payout is made
+     * @param requestId The redemption request ID
+     * @param settlementReference Proof of the payout (e.g. bank transfer ID)
+     */
+    function fulfillRedemption(uint256 requestId, string calldata settlementReference)
+        external
+        onlyRole(OPERATOR_ROLE)
+    {
+        Redemption storage redemption = _redemption(requestId);
+        require(_pendingRedemptionIds.remove(requestId), "SWATToken: redemption already fulfilled");
+
+        redemption.fulfilled = true;
+        redemption.fulfilledAt = block.timestamp;
+        redemption.settlementReference = settlementReference;
+        pendingRedemptions -= redemption.amount;
+        totalRedeemed += redemption.amount;
+
+        emit RedemptionFulfilled(requestId, redemption.holder, msg.sender, redemption.amount, settlementReference);
+    }
+
+    /**
+     * @dev Get a redemption request
+     */
+    function getRedemption(uint256 requestId) external view returns (Redemption memory) {
+        return _redemption(requestId);
+    }
+
+    /**
+     * @dev Get the number of redemption requests filed
+     */
+    function getRedemptionCount() external view returns (uint256) {
+        return redemptions.length;
+    }
+
+    /**
+     * @dev Get a page of the IDs of the redemption requests a holder filed, oldest first
+     * @param holder Address that filed the requests
+     * @param offset Index of the first ID to return
+     * @param limit Maximum number of IDs to return
+     * @return ids The requested page (details via getRedemption)
+     * @return total Number of requests the holder filed
+     */
+    function getRedemptionIdsByHolder(address holder, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _idPage(_redemptionsByHolder[holder], offset, limit);
+    }
+
+    /**
+     * @dev Get a page of the IDs of redemption requests awaiting payout
+     * Order can change as requests are fulfilled
+     */
+    function getPendingRedemptionIds(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _idPage(_pendingRedemptionIds, offset, limit);
+    }
+
+    /**
+     * @dev Block an account from sending or receiving SWAT
+     * Can only be called by a compliance officer
+     */
+    function blockAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        require(!isBlocked[account], "SWATToken: account already blocked");
+        isBlocked[account] = true;
+        emit AccountBlocked(account);
+    }
+
+    /**
+     * @dev Remove an account from the blocklist
+     * Can only be called by a compliance officer
+     */
+    function unblockAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        require(isBlocked[account], "SWATToken: account not blocked");
+        isBlocked[account] = false;
+        emit AccountUnblocked(account);
+    }
+
+    /**
+     * @dev Freeze an account's balance (it can still receive, but not send)
+     * Can only be called by a compliance officer
+     */
+    function freezeAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        require(!isFrozen[account], "SWATToken: account already frozen");
+        isFrozen[account] = true;
+        emit AccountFrozen(account);
+    }
+
+    /**
+     * @dev Release a frozen account
+     * Can only be called by a compliance officer
+     */
+    function unfreezeAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        require(isFrozen[account], "SWATToken: account not frozen");
+        isFrozen[account] = false;
+        emit AccountUnfrozen(account);
+    }
+
+    /**
+     * @dev Burn the whole balance of a frozen account (e.g. on a seizure order)
+     * Can only be called by the admin. Works while paused
+     * @param account The frozen account to wipe
+     */
+    function wipeFrozenBalance(address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(isFrozen[account], "SWATToken: account not frozen");
+        uint256 amount = balanceOf(account);
+        require(amount > 0, "SWATToken: nothing to wipe");
+
+        // Skip the transfer restrictions in _update, which would reject a frozen sender
+        _moveTokens(account, address(0), amount);
+        emit FrozenBalanceWiped(account, amount);
+    }
+
+    /**
+     * @dev Balance of an account at the end of a past block
+     * @param account The account to query
+     * @param blockNumber A block before the current one
+     */
+    function balanceOfAt(address account, uint256 blockNumber) external view returns (uint256) {
+        return _balanceCheckpoints[account].upperLookupRecent(_checkpointKey(blockNumber));
+    }
+
+    /**
+     * @dev Total supply at the end of a past block
+     * @param blockNumber A block before the current one
+     */
+    function totalSupplyAt(uint256 blockNumber) external view returns (uint256) {
+        return _totalSupplyCheckpoints.upperLookupRecent(_checkpointKey(blockNumber));
+    }
+
+    /**
+     * @dev Pause all token transfers
+     * Emergency function to stop all transfers if needed
+     * Can only be called by a pauser
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Propose unpausing; unpause() can run once TIMELOCK_DELAY has passed
+     * Can only be called by a pauser while paused
+     */
+    function proposeUnpause() external onlyRole(PAUSER_ROLE) whenPaused {
+        _proposeOperation(TimelockAction.Unpause, "");
+    }
+
+    /**
+     * @dev Unpause token transfers
+     * Resume normal operations after emergency, once the proposal has matured
+     * Can only be called by a pauser
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _executeOperation(TimelockAction.Unpause, "");
+        _unpause();
+    }
+
+    /**
+     * @dev Propose raising the supply cap
+     * Can only be called by the admin
+     * @param newCap The new cap (must be above the current one)
+     */
+    function proposeMaxSupply(uint256 newCap) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newCap > maxSupply, "SWATToken: cap can only be raised");
+        _proposeOperation(TimelockAction.RaiseCap, abi.encode(newCap));
+    }
+
+    /**
+     * @dev Raise the supply cap once the proposal has matured
+     * Can only be called by the admin
+     * @param newCap The cap that was proposed
+     */
+    function raiseMaxSupply(uint256 newCap) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _executeOperation(TimelockAction.RaiseCap, abi.encode(newCap));
+        require(newCap > maxSupply, "SWATToken: cap can only be raised");
+
+        uint256 previousCap = maxSupply;
+        maxSupply = newCap;
+        emit MaxSupplyRaised(previousCap, newCap);
+    }
+
+    /**
+     * @dev Propose an emergency withdrawal
+     * Can only be called by a rescuer
+     * @param token Address of token to withdraw (use address(0) for ETH/BNB)
+     * @param amount Amount to withdraw
+     * @param to Recipient address
+     */
+    function proposeEmergencyWithdraw(address token, uint256 amount, address to) external onlyRole(RESCUER_ROLE) {
+        require(to != address(0), "SWATToken: withdraw to zero address");
+        _proposeOperation(TimelockAction.EmergencyWithdraw, abi.encode(token, amount, to));
+    }
+
+    /**
+     * @dev Emergency withdrawal function
+     * Allows a rescuer to recover accidentally sent tokens, once the
+     * matching proposal has matured
+     * @param token Address of token to withdraw (use address(0) for ETH/BNB)
+     * @param amount Amount to withdraw
+     * @param to Recipient address
+     */
+    function emergencyWithdraw(address token, uint256 amount, address to) external onlyRole(RESCUER_ROLE) {
+        require(to != address(0), "SWATToken: withdraw to zero address");
+        _executeOperation(TimelockAction.EmergencyWithdraw, abi.encode(token, amount, to));
+        
+        if (token == address(0)) {
+            // Withdraw BNB
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "SWATToken: BNB transfer failed");
+        } else {
+            // Withdraw ERC20 tokens
+            IERC20(token).transfer(to, amount);
+        }
+        
+        emit EmergencyWithdraw(token, amount, to);
+    }
+
+    /**
+     * @dev Cancel a pending timelocked operation
+     * Can only be called by the admin
+     * @param id The operation ID (from OperationProposed or getPendingOperations)
+     */
+    function cancelOperation(bytes32 id) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_pendingOperations.remove(id), "SWATToken: operation not pending");
+        TimelockAction action = _timelockOperations[id].action;
+        delete _timelockOperations[id];
+        emit OperationCancelled(id, action);
+    }
+
+    /**
+     * @dev All timelocked operations waiting to be executed or cancelled
+     */
+    function getPendingOperations() external view returns (TimelockOperation[] memory operations) {
+        uint256 count = _pendingOperations.length();
+        operations = new TimelockOperation[](count);
+        for (uint256 i = 0; i < count; i++) {
+            operations[i] = _timelockOperations[_pendingOperations.at(i)];
+        }
+    }
+
+    /**
+     * @dev Operation ID for a timelocked call with the given arguments
+     */
+    function getOperationId(TimelockAction action, bytes memory params) public pure returns (bytes32) {
+        return keccak256(abi.encode(action, params));
+    }
+
+    /**
+     * @dev Queue a timelocked operation
+     */
+    function _proposeOperation(TimelockAction action, bytes memory params) internal {
+        bytes32 id = getOperationId(action, params);
+        require(_pendingOperations.add(id), "SWATToken: operation already pending");
+
+        uint256 readyAt = block.timestamp + TIMELOCK_DELAY;
+        _timelockOperations[id] = TimelockOperation({id: id, action: action, params: params, readyAt: readyAt});
+        emit OperationProposed(id, action, params, readyAt);
+    }
+
+    /**
+     * @dev Consume a matured timelocked operation, reverting if it is missing or early
+     */
+    function _executeOperation(TimelockAction action, bytes memory params) internal {
+        bytes32 id = getOperationId(action, params);
+        require(_pendingOperations.contains(id), "SWATToken: operation not proposed");
+        require(block.timestamp >= _timelockOperations[id].readyAt, "SWATToken: timelock not expired");
+
+        _pendingOperations.remove(id);
+        delete _timelockOperations[id];
+        emit OperationExecuted(id, action);
+    }
+
+    /**
+     * @dev Grant the minter role with the given allowance
+     */
+    function _configureMinter(address minter, uint256 allowance) internal {
+        _grantRole(MINTER_ROLE, minter);
+        minterAllowance[minter] = allowance;
+        emit MinterConfigured(minter, allowance);
+    }
+
+    /**
+     * @dev Refuse to mint on a stale attestation or past the attested reserves
+     * Redeemed tokens are burned before their fiat is paid out, so the reserves
+     * still back pendingRedemptions until fulfillRedemption
+     */
+    function _checkReserves(uint256 amount) internal view {
+        (uint256 reserves, uint256 updatedAt) = reserveFeed.latestReserves();
+        require(
+            updatedAt <= block.timestamp && block.timestamp - updatedAt <= maxAttestationAge,
+            "SWATToken: reserve attestation stale"
+        );
+        require(totalSupply() + pendingRedemptions + amount <= reserves, "SWATToken: exceeds reserves");
+    }
+
+    /**
+     * @dev Look up a redemption request, reverting if it does not exist
+     */
+    function _redemption(uint256 requestId) private view returns (Redemption storage) {
+        require(requestId < redemptions.length, "SWATToken: redemption does not exist");
+        return redemptions[requestId];
+    }
+
+    /**
+     * @dev Copy a slice of an ID index into memory
+     */
+    function _idPage(EnumerableSet.UintSet storage index, uint256 offset, uint256 limit)
+        private
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        total = index.length();
+        if (offset >= total) {
+            return (new uint256[](0), total);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        ids = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            ids[i - offset] = index.at(i);
+        }
+    }
+
+    /**
+     * @dev Override transfer to add pause and compliance checks
+     * Blocked accounts cannot send, receive or move tokens as a spender;
+     * frozen accounts cannot send (this also stops burns and redemptions)
+     */
+    function _update(address from, address to, uint256 amount) internal override whenNotPaused {
+        require(!isBlocked[from] && !isBlocked[to] && !isBlocked[_msgSender()], "SWATToken: account blocked");
+        require(!isFrozen[from], "SWATToken: account frozen");
+        _moveTokens(from, to, amount);
+    }
+
+    /**
+     * @dev Move tokens and record the new balances and supply for this block
+     */
+    function _moveTokens(address from, address to, uint256 amount) private {
+        super._update(from, to, amount);
+
+        uint48 key = SafeCast.toUint48(block.number);
+        if (from == address(0) || to == address(0)) {
+            _totalSupplyCheckpoints.push(key, SafeCast.toUint208(totalSupply()));
+        }
+        if (from != address(0)) {
+            _balanceCheckpoints[from].push(key, SafeCast.toUint208(balanceOf(from)));
+        }
+        if (to != address(0)) {
+            _balanceCheckpoints[to].push(key, SafeCast.toUint208(balanceOf(to)));
+        }
+    }
+
+    /**
+     * @dev Checkpoint key for a historical lookup (the current block is still changing)
+     */
+    function _checkpointKey(uint256 blockNumber) private view returns (uint48) {
+        require(blockNumber < block.number, "SWATToken: block not yet mined");
+        return SafeCast.toUint48(blockNumber);
+    }
+
+    /**
+     * @dev Returns the number of decimals used for token amounts
+     * @return uint8 The number of decimals (18)
+     */
+    function decimals() public pure override returns (uint8) {
+        return 18;
+    }
+
+    /**
+     * @dev Returns the address of the current owner (BEP20 compatibility)
+     * The owner is the default admin
+     * @return address The owner's address
+     */
+    function getOwner() external view returns (address) {
+        return owner();
+    }
+
+    /**
+     * @dev Receive function to accept BNB
+     */
+    receive() external payable {}
+}
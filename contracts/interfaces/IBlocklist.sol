@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IBlocklist
+ * @dev Compliance blocklist consulted by the escrows (implemented by SWATToken)
+ */
+interface IBlocklist {
+    /**
+     * @dev Whether an account is blocked from sending or receiving
+     */
+    function isBlocked(address account) external view returns (bool);
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IReserveFeed
+ * @dev Proof-of-reserve feed consulted before minting SWAT
+ * An attestor reports the reserves backing the token (18 decimals, in SWAT units)
+ * together with the time the attestation was made
+ */
+interface IReserveFeed {
+    /**
+     * @dev Latest attested reserves and when they were attested
+     * @return reserves Reserves backing SWAT (18 decimals)
+     * @return updatedAt Timestamp of the attestation
+     */
+    function latestReserves() external view returns (uint256 reserves, uint256 updatedAt);
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWrappedNative
+ * @dev Wrapped native coin (WBNB on BSC, WETH on Ethereum) used by Escrow to
+ * settle offers priced in BNB/ETH
+ */
+interface IWrappedNative is IERC20 {
+    /**
+     * @dev Wrap msg.value, minting the same amount to the caller
+     */
+    function deposit() external payable;
+
+    /**
+     * @dev Burn amount and send the caller that much native coin
+     */
+    function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../upgradeable/EscrowUpgradeable.sol";
+
+/**
+ * @title EscrowUpgradeableV2
+ * @dev Mock next implementation of EscrowUpgradeable for upgrade tests
+ * Adds functions and keeps its own state in ERC-7201 namespaced storage,
+ * leaving existing storage intact
+ */
+contract EscrowUpgradeableV2 is EscrowUpgradeable {
+    /// @custom:storage-location erc7201:swat.storage.EscrowUpgradeableV2
+    struct EscrowUpgradeableV2Storage {
+        uint256 releaseNumber;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("swat.storage.EscrowUpgradeableV2")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant ESCROW_V2_STORAGE_LOCATION =
+        0xb5157dd6358755ae56e867140d6b655cafca452aeb4506f9d895f1b4759f2c00;
+
+    function _getEscrowV2Storage() private pure returns (EscrowUpgradeableV2Storage storage $) {
+        assembly {
+            $.slot := ESCROW_V2_STORAGE_LOCATION
+        }
+    }
+
+    function releaseNumber() external view returns (uint256) {
+        return _getEscrowV2Storage().releaseNumber;
+    }
+
+    function setReleaseNumber(uint256 number) external onlyOwner {
+        _getEscrowV2Storage().releaseNumber = number;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
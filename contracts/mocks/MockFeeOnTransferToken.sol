@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeOnTransferToken
+ * @dev Mock ERC20 that burns a percentage of every transfer, so the
+ * recipient receives less than the amount sent
+ * Allows anyone to mint for testing purposes
+ */
+contract MockFeeOnTransferToken is ERC20 {
+    uint256 public immutable feeBasisPoints;
+
+    constructor(uint256 feeBasisPoints_) ERC20("Fee Token", "FEE") {
+        feeBasisPoints = feeBasisPoints_;
+    }
+
+    /**
+     * @dev Mint tokens for testing (anyone can call)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * feeBasisPoints) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
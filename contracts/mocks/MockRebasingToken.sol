@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockRebasingToken
+ * @dev Mock rebasing ERC20: holders own shares, and balances are shares
+ * times a global index that anyone can move up or down
+ * Allows anyone to mint for testing purposes
+ */
+contract MockRebasingToken is ERC20 {
+    uint256 private constant ONE = 1e18;
+
+    mapping(address => uint256) public sharesOf;
+    uint256 public totalShares;
+    uint256 public index = ONE;
+
+    constructor() ERC20("Rebasing Token", "REB") {}
+
+    /**
+     * @dev Mint tokens for testing (anyone can call)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Rescale every balance, e.g. 0.9e18 for a 10% negative rebase
+     */
+    function rebase(uint256 newIndex) external {
+        require(newIndex > 0, "MockRebasingToken: zero index");
+        index = newIndex;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (sharesOf[account] * index) / ONE;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (totalShares * index) / ONE;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        uint256 shares = (value * ONE) / index;
+
+        if (from == address(0)) {
+            totalShares += shares;
+        } else {
+            require(sharesOf[from] >= shares, "MockRebasingToken: insufficient balance");
+            sharesOf[from] -= shares;
+        }
+
+        if (to == address(0)) {
+            totalShares -= shares;
+        } else {
+            sharesOf[to] += shares;
+        }
+
+        emit Transfer(from, to, value);
+    }
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IReserveFeed.sol";
+
+/**
+ * @title MockReserveFeed
+ * @dev Mock proof-of-reserve feed for local testing
+ * The deployer is the attestor and posts reserve figures by hand
+ */
+contract MockReserveFeed is IReserveFeed {
+    address public attestor;
+    uint256 private reserves;
+    uint256 private updatedAt;
+
+    event AttestationPosted(uint256 reserves, uint256 updatedAt);
+
+    constructor() {
+        attestor = msg.sender;
+    }
+
+    modifier onlyAttestor() {
+        require(msg.sender == attestor, "MockReserveFeed: caller is not the attestor");
+        _;
+    }
+
+    /**
+     * @dev Post reserves attested as of now
+     */
+    function postAttestation(uint256 _reserves) external onlyAttestor {
+        _post(_reserves, block.timestamp);
+    }
+
+    /**
+     * @dev Post reserves with an explicit attestation time (e.g. to simulate stale data)
+     */
+    function postAttestationAt(uint256 _reserves, uint256 _updatedAt) external onlyAttestor {
+        _post(_reserves, _updatedAt);
+    }
+
+    /**
+     * @dev Latest attested reserves and when they were attested
+     */
+    function latestReserves() external view override returns (uint256, uint256) {
+        return (reserves, updatedAt);
+    }
+
+    function _post(uint256 _reserves, uint256 _updatedAt) internal {
+        reserves = _reserves;
+        updatedAt = _updatedAt;
+        emit AttestationPosted(_reserves, _updatedAt);
+    }
+}
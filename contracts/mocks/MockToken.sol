@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockToken
+ * @dev Mock ERC20 with configurable decimals for local testing
+ * (e.g. a 6-decimal USDC or an 8-decimal WBTC)
+ * Allows anyone to mint for testing purposes
+ */
+contract MockToken is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20(name, symbol) {
+        _decimals = decimals_;
+    }
+
+    /**
+     * @dev Mint tokens for testing (anyone can call)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockWBNB
+ * @dev WBNB/WETH9-style wrapper for local testing: deposit BNB to mint,
+ * withdraw to burn and get the BNB back
+ */
+contract MockWBNB is ERC20 {
+    event Deposit(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, uint256 amount);
+
+    constructor() ERC20("Wrapped BNB", "WBNB") {}
+
+    receive() external payable {
+        deposit();
+    }
+
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "MockWBNB: BNB transfer failed");
+        emit Withdrawal(msg.sender, amount);
+    }
+}
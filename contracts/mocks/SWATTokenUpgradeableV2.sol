@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../upgradeable/SWATTokenUpgradeable.sol";
+
+/**
+ * @title SWATTokenUpgradeableV2
+ * @dev Mock next implementation of SWATTokenUpgradeable for upgrade tests
+ * Adds functions and keeps its own state in ERC-7201 namespaced storage,
+ * leaving existing storage intact
+ */
+contract SWATTokenUpgradeableV2 is SWATTokenUpgradeable {
+    /// @custom:storage-location erc7201:swat.storage.SWATTokenUpgradeableV2
+    struct SWATTokenUpgradeableV2Storage {
+        uint256 releaseNumber;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("swat.storage.SWATTokenUpgradeableV2")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant SWAT_TOKEN_V2_STORAGE_LOCATION =
+        0x207167b5b93a6cb0168199b1a9a4f6cd5f52053d2f672529f391449d8616e200;
+
+    function _getSWATTokenV2Storage() private pure returns (SWATTokenUpgradeableV2Storage storage $) {
+        assembly {
+            $.slot := SWAT_TOKEN_V2_STORAGE_LOCATION
+        }
+    }
+
+    function releaseNumber() external view returns (uint256) {
+        return _getSWATTokenV2Storage().releaseNumber;
+    }
+
+    function setReleaseNumber(uint256 number) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _getSWATTokenV2Storage().releaseNumber = number;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
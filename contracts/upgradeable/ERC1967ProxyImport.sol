@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+// Compiles OpenZeppelin's proxies so deploy and upgrade scripts can use their artifacts:
+// ERC1967Proxy for UUPS (SWATToken), TransparentUpgradeableProxy and its ProxyAdmin (Escrow)
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../EscrowBase.sol";
+
+/**
+ * @title EscrowUpgradeable
+ * @dev Upgradeable version of Escrow, deployed behind a TransparentUpgradeableProxy
+ * Same logic as Escrow (both inherit EscrowBase); initialize() replaces the
+ * constructor, so fixes ship without stranding open offers. Upgrades go through
+ * the proxy's ProxyAdmin (owned by the escrow owner) rather than UUPS, which
+ * keeps the upgrade code out of this implementation: the escrow logic alone is
+ * close to the 24KB contract size limit. State belongs in EscrowBase, taken
+ * from its __gap; a later version that needs state of its own keeps it in
+ * ERC-7201 namespaced storage.
+ */
+contract EscrowUpgradeable is EscrowBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializer sets the owner (replaces the constructor)
+     * @param initialOwner Address that owns the escrow and collects fees
+     */
+    function initialize(address initialOwner) external initializer {
+        __EscrowBase_init(initialOwner);
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "../SWATTokenBase.sol";
+
+/**
+ * @title SWATTokenUpgradeable
+ * @dev UUPS-upgradeable version of SWATToken, deployed behind an ERC1967 proxy
+ * Same logic as SWATToken (both inherit SWATTokenBase); initialize() replaces
+ * the constructor and the admin authorizes upgrades. State belongs in
+ * SWATTokenBase, taken from its __gap; a later version that needs state of its
+ * own keeps it in ERC-7201 namespaced storage.
+ */
+contract SWATTokenUpgradeable is SWATTokenBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializer that sets token name and symbol (replaces the constructor)
+     * @param admin Address that becomes the admin
+     */
+    function initialize(address admin) external initializer {
+        __SWATTokenBase_init(admin);
+        __UUPSUpgradeable_init();
+    }
+
+    /**
+     * @dev Only the admin can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
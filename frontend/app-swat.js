@@ -1,13 +1,7 @@
 // Trust Wallet ONLY Frontend - WalletConnect Integration
-// Contract addresses (UPDATED - Latest Deployment)
-let CONTRACT_ADDRESSES = {
-    SWAT: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
-    BUSD: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
-    Escrow: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
-    MockFactory: '0x2279B7A0a67DB372996a5FaB50D91eAA73d2eBe6',
-    MockRouter: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9',
-    MockBUSD: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
-};
+// Contract addresses for the connected chain, taken from window.SWAT_DEPLOYMENTS
+// (frontend/config.js, written by scripts/deploy.js from deployments/<network>.json)
+let CONTRACT_ADDRESSES = {};
 
 // Contract ABIs
 const SWAT_ABI = [
@@ -18,20 +12,92 @@ const SWAT_ABI = [
     "function balanceOf(address) view returns (uint256)",
     "function transfer(address to, uint256 amount) returns (bool)",
     "function approve(address spender, uint256 amount) returns (bool)",
+    "function nonces(address owner) view returns (uint256)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function redeem(uint256 amount, string payoutReference) returns (uint256)",
+    "function fulfillRedemption(uint256 requestId, string settlementReference)",
+    "function getRedemption(uint256 requestId) view returns (tuple(uint256 id, address holder, uint256 amount, string payoutReference, string settlementReference, bool fulfilled, uint256 requestedAt, uint256 fulfilledAt))",
+    "function getRedemptionCount() view returns (uint256)",
+    "function getRedemptionIdsByHolder(address holder, uint256 offset, uint256 limit) view returns (uint256[] ids, uint256 total)",
+    "function getPendingRedemptionIds(uint256 offset, uint256 limit) view returns (uint256[] ids, uint256 total)",
+    "function OPERATOR_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function isBlocked(address account) view returns (bool)",
+    "function isFrozen(address account) view returns (bool)",
     "event Transfer(address indexed from, address indexed to, uint256 value)"
 ];
 
 const ESCROW_ABI = [
-    "function createOffer(address tokenAddress, uint256 amount, uint256 priceInBUSD, address buyer) returns (uint256)",
-    "function acceptOffer(uint256 offerId, address busdAddress)",
+    "function createOffer(address tokenAddress, uint256 amount, address paymentToken, uint256 priceInBUSD, address buyer) returns (uint256)",
+    "function acceptOffer(uint256 offerId, uint256 maxPayment)",
+    "function acceptOfferWithNative(uint256 offerId, uint256 maxPayment) payable",
+    "function fillOfferWithNative(uint256 offerId, uint256 amount, uint256 maxPayment) payable",
+    "function withdrawProceeds(bool unwrap)",
+    "function nativeProceeds(address account) view returns (uint256)",
+    "function wrappedNative() view returns (address)",
+    "function createOfferWithPermit(address tokenAddress, uint256 amount, address paymentToken, uint256 priceInBUSD, address buyer, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (uint256)",
+    "function acceptOfferWithPermit(uint256 offerId, uint256 maxPayment, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function fillOffer(uint256 offerId, uint256 amount, uint256 maxPayment)",
     "function cancelOffer(uint256 offerId)",
-    "function getOffer(uint256 offerId) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, uint256 amount, uint256 priceInBUSD, bool active, uint256 createdAt))",
+    "function updateOffer(uint256 offerId, uint256 newAmount, uint256 newPriceInBUSD, address newBuyer)",
+    "function getOffer(uint256 offerId) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 filledAmount, uint256 priceInBUSD, bool active, uint256 createdAt))",
     "function getOfferCount() view returns (uint256)",
-    "event OfferCreated(uint256 indexed offerId, address indexed seller, address indexed buyer, address tokenAddress, uint256 amount, uint256 priceInBUSD)",
+    "function getActiveOffersBySeller(address seller, uint256 offset, uint256 limit) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 filledAmount, uint256 priceInBUSD, bool active, uint256 createdAt)[] offers, uint256 total)",
+    "function getActiveOffersByBuyer(address buyer, uint256 offset, uint256 limit) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 filledAmount, uint256 priceInBUSD, bool active, uint256 createdAt)[] offers, uint256 total)",
+    "function createBid(address tokenAddress, uint256 amount, address paymentToken, uint256 priceInBUSD, address seller) returns (uint256)",
+    "function acceptBid(uint256 bidId)",
+    "function cancelBid(uint256 bidId)",
+    "function getBid(uint256 bidId) view returns (tuple(uint256 id, address buyer, address seller, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD, bool active, uint256 createdAt))",
+    "function getBidCount() view returns (uint256)",
+    "function getActiveBidsByAccount(address account, uint256 offset, uint256 limit) view returns (tuple(uint256 id, address buyer, address seller, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD, bool active, uint256 createdAt)[] bids, uint256 total)",
+    "function quoteAcceptBid(uint256 bidId) view returns (uint256 sellerAmount, uint256 feeAmount, uint256 grossAmount)",
+    "function quoteAccept(uint256 offerId) view returns (uint256 sellerAmount, uint256 feeAmount, uint256 grossAmount)",
+    "function quoteFill(uint256 offerId, uint256 amount) view returns (uint256 sellerAmount, uint256 feeAmount, uint256 grossAmount)",
+    "function getUnitPrice(uint256 offerId) view returns (uint256)",
+    "function getBaseTokens() view returns (address[])",
+    "function getQuoteTokens() view returns (address[])",
+    "event OfferCreated(uint256 indexed offerId, address indexed seller, address indexed buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD)",
     "event OfferAccepted(uint256 indexed offerId, address indexed seller, address indexed buyer, uint256 amount, uint256 priceInBUSD)",
-    "event OfferCancelled(uint256 indexed offerId, address indexed seller)"
+    "event OfferFilled(uint256 indexed offerId, address indexed seller, address indexed buyer, uint256 amount, uint256 paymentAmount, uint256 remainingAmount)",
+    "event OfferCancelled(uint256 indexed offerId, address indexed seller)",
+    "event OfferUpdated(uint256 indexed offerId, address indexed seller, address indexed buyer, uint256 amount, uint256 priceInBUSD)",
+    "event BidCreated(uint256 indexed bidId, address indexed buyer, address indexed seller, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD)",
+    "event BidAccepted(uint256 indexed bidId, address indexed buyer, address indexed seller, uint256 amount, uint256 priceInBUSD)",
+    "event BidCancelled(uint256 indexed bidId, address indexed buyer)",
+    "event OrderFilled(bytes32 indexed orderHash, address indexed seller, address indexed buyer, uint256 nonce, address tokenAddress, address paymentToken, uint256 amount, uint256 paymentAmount)",
+    "event FeeCollected(uint256 indexed offerId, address indexed feeCollector, address paymentToken, uint256 feeAmount)"
 ];
 
+const ESCROW_WITH_EXPIRY_ABI = [
+    "function getOffer(uint256 offerId) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD, bool active, uint8 status, uint256 createdAt, uint256 expiresAt))",
+    "function getOfferCount() view returns (uint256)",
+    "function getActiveOffersByAccount(address account, uint256 offset, uint256 limit) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD, bool active, uint8 status, uint256 createdAt, uint256 expiresAt)[] offers, uint256 total)",
+    "function getDisputedOffers(uint256 offset, uint256 limit) view returns (tuple(uint256 id, address seller, address buyer, address tokenAddress, address paymentToken, uint256 amount, uint256 priceInBUSD, bool active, uint8 status, uint256 createdAt, uint256 expiresAt)[] offers, uint256 total)",
+    "function getTimeRemaining(uint256 offerId) view returns (uint256)",
+    "function extendOffer(uint256 offerId, uint256 additionalTime)",
+    "function reclaimExpired(uint256 offerId)",
+    "function getEvidence(uint256 offerId) view returns (tuple(address submitter, bytes32 evidenceHash, uint256 submittedAt)[])",
+    "function isArbitrator(address account) view returns (bool)",
+    "function resolveDispute(uint256 offerId, uint256 buyerAmount, bytes32 rulingHash)",
+    "event OfferExtended(uint256 indexed offerId, uint256 expiresAt)",
+    "event OfferDisputed(uint256 indexed offerId, address indexed raisedBy)",
+    "event DisputeResolved(uint256 indexed offerId, address indexed arbitrator, uint256 buyerAmount, uint256 sellerAmount, bytes32 rulingHash)"
+];
+
+// Page size for the indexed offer views
+const OFFER_PAGE_SIZE = 20;
+
+// EIP-2612 permit lifetime
+const PERMIT_VALIDITY_SECONDS = 20 * 60;
+
+// Max blocks per getLogs request when scanning trade history
+const HISTORY_BLOCK_RANGE = 2000;
+
+// EscrowWithExpiry.OfferStatus values
+const OFFER_STATUS_OPEN = 0;
+const OFFER_STATUS_TAKEN = 1;
+const OFFER_STATUS_LABELS = ['OPEN', 'TAKEN', 'PAYMENT MARKED', 'RELEASED', 'DISPUTED', 'CANCELLED', 'EXPIRED', 'ACCEPTED', 'RESOLVED'];
+
 const FACTORY_ABI = [
     "function getPair(address tokenA, address tokenB) view returns (address)"
 ];
@@ -48,8 +114,16 @@ let signer;
 let userAddress;
 let swatContract;
 let escrowContract;
+let escrowWithExpiryContract;
 let factoryContract;
 let walletConnectProvider;
+let historyRows = [];
+// Trade history is scanned from the deployment's startBlock
+let historyStartBlock = 0;
+// Symbol and decimals per token address, read once per connection
+let tokenInfoCache = {};
+// Offers priced in this token (WBNB) are paid in BNB
+let wrappedNativeAddress = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -79,8 +153,19 @@ function setupEventListeners() {
     
     document.getElementById('transferForm').addEventListener('submit', handleTransfer);
     document.getElementById('maxBtn').addEventListener('click', setMaxAmount);
+    document.getElementById('redeemForm').addEventListener('submit', handleRedeem);
     document.getElementById('createOfferForm').addEventListener('submit', handleCreateOffer);
+    document.getElementById('createBidForm').addEventListener('submit', handleCreateBid);
+    document.getElementById('withdrawNative').addEventListener('click', () => withdrawProceeds(true));
+    document.getElementById('withdrawWrapped').addEventListener('click', () => withdrawProceeds(false));
     document.getElementById('refreshPrice').addEventListener('click', refreshPrice);
+    document.getElementById('loadHistory').addEventListener('click', loadHistory);
+    document.getElementById('exportHistory').addEventListener('click', exportHistoryCsv);
+    document.getElementById('historyFrom').addEventListener('change', renderHistory);
+    document.getElementById('historyTo').addEventListener('change', renderHistory);
+
+    // Tick offer countdowns locally between refreshes
+    setInterval(updateCountdowns, 1000);
 }
 
 function showWalletModal() {
@@ -222,10 +307,27 @@ async function initializeContracts() {
         const network = await provider.getNetwork();
         console.log('Connected to network:', network.chainId);
 
+        const deployment = (window.SWAT_DEPLOYMENTS || {})[network.chainId];
+        if (!deployment) {
+            throw new Error(`No SWAT deployment found for chain ${network.chainId}. ` +
+                'Run scripts/deploy.js on this network to generate frontend/config.js');
+        }
+        CONTRACT_ADDRESSES = deployment.contracts;
+        historyStartBlock = deployment.startBlock;
+
         // Initialize contracts
         swatContract = new ethers.Contract(CONTRACT_ADDRESSES.SWAT, SWAT_ABI, signer);
         escrowContract = new ethers.Contract(CONTRACT_ADDRESSES.Escrow, ESCROW_ABI, signer);
-        factoryContract = new ethers.Contract(CONTRACT_ADDRESSES.MockFactory, FACTORY_ABI, provider);
+        // Older deployment files predate EscrowWithExpiry
+        escrowWithExpiryContract = CONTRACT_ADDRESSES.EscrowWithExpiry
+            ? new ethers.Contract(CONTRACT_ADDRESSES.EscrowWithExpiry, ESCROW_WITH_EXPIRY_ABI, signer)
+            : null;
+        // Only set when scripts/addLiquidity.js has created the mock DEX pair
+        factoryContract = CONTRACT_ADDRESSES.MockFactory
+            ? new ethers.Contract(CONTRACT_ADDRESSES.MockFactory, FACTORY_ABI, provider)
+            : null;
+
+        await loadTokenLists();
 
         // Update UI
         document.getElementById('connectWallet').style.display = 'none';
@@ -257,8 +359,13 @@ async function disconnectWallet() {
     userAddress = null;
     swatContract = null;
     escrowContract = null;
+    escrowWithExpiryContract = null;
     factoryContract = null;
     walletConnectProvider = null;
+    CONTRACT_ADDRESSES = {};
+    historyStartBlock = 0;
+    tokenInfoCache = {};
+    wrappedNativeAddress = null;
 
     // Update UI
     document.getElementById('connectWallet').style.display = 'block';
@@ -292,7 +399,12 @@ async function refreshData() {
         const formattedSupply = ethers.utils.formatEther(totalSupply);
         document.getElementById('totalSupply').textContent = parseFloat(formattedSupply).toLocaleString() + ' SWAT';
 
+        await loadRedemptions();
         await loadOffers();
+        await loadBids();
+        await loadProceeds();
+        await loadTimedOffers();
+        await loadDisputes();
         await refreshPrice();
 
     } catch (error) {
@@ -314,6 +426,14 @@ async function handleTransfer(e) {
     try {
         showLoading();
 
+        // Check compliance status first so the user gets a clear reason instead of a revert
+        const complianceError = await getTransferComplianceError(userAddress, recipient);
+        if (complianceError) {
+            hideLoading();
+            showStatus('error', complianceError, 'transferStatus');
+            return;
+        }
+
         const amountWei = ethers.utils.parseEther(amount);
         const tx = await swatContract.transfer(recipient, amountWei);
 
@@ -330,8 +450,39 @@ async function handleTransfer(e) {
     } catch (error) {
         console.error('Transfer error:', error);
         hideLoading();
-        showStatus('error', 'Transfer failed: ' + error.message, 'transferStatus');
+        showStatus('error', 'Transfer failed: ' + describeTransferError(error), 'transferStatus');
+    }
+}
+
+async function getTransferComplianceError(from, to) {
+    if (await swatContract.isBlocked(from)) {
+        return 'Transfer blocked: your address is on the SWAT blocklist';
+    }
+    if (await swatContract.isFrozen(from)) {
+        return 'Transfer blocked: your SWAT balance is frozen';
+    }
+    if (await swatContract.isBlocked(to)) {
+        return `Transfer blocked: ${formatAddress(to)} is on the SWAT blocklist`;
+    }
+    return null;
+}
+
+// Map SWAT compliance reverts to readable messages
+function describeTransferError(error) {
+    const message = (error.error && error.error.message) || error.message;
+    if (message.includes('account blocked')) {
+        return 'an address in this transfer is on the SWAT blocklist';
+    }
+    if (message.includes('account frozen')) {
+        return 'the sending balance is frozen';
     }
+    if (message.includes('party is blocked')) {
+        return 'a party to this trade is on the blocklist';
+    }
+    if (message.includes('payment exceeds maxPayment')) {
+        return 'the seller changed this offer after you opened it, please review the new price';
+    }
+    return error.message;
 }
 
 function setMaxAmount() {
@@ -339,12 +490,214 @@ function setMaxAmount() {
     document.getElementById('transferAmount').value = available;
 }
 
+async function handleRedeem(e) {
+    e.preventDefault();
+
+    const amount = document.getElementById('redeemAmount').value;
+    const payoutReference = document.getElementById('payoutReference').value.trim();
+
+    if (!payoutReference) {
+        showStatus('error', 'Enter where the payout should be sent', 'redeemStatus');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const amountWei = ethers.utils.parseEther(amount);
+        const tx = await swatContract.redeem(amountWei, payoutReference);
+
+        showStatus('info', 'Redemption submitted. Waiting for confirmation...', 'redeemStatus');
+
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Burned ${amount} SWAT. Your payout will be processed by an operator.`, 'redeemStatus');
+
+        document.getElementById('redeemForm').reset();
+        await refreshData();
+
+    } catch (error) {
+        console.error('Redeem error:', error);
+        hideLoading();
+        showStatus('error', 'Redemption failed: ' + error.message, 'redeemStatus');
+    }
+}
+
+async function loadRedemptions() {
+    try {
+        const redemptionsList = document.getElementById('redemptionsList');
+        const isOperator = await swatContract.hasRole(await swatContract.OPERATOR_ROLE(), userAddress);
+        // Holders see their own requests; operators also see everyone's pending ones
+        let ids = await fetchAllPages((offset) =>
+            swatContract.getRedemptionIdsByHolder(userAddress, offset, OFFER_PAGE_SIZE));
+        if (isOperator) {
+            ids = ids.concat(await fetchAllPages((offset) =>
+                swatContract.getPendingRedemptionIds(offset, OFFER_PAGE_SIZE)));
+        }
+
+        // The operator's own pending requests appear in both lists; show newest first
+        const uniqueIds = [...new Set(ids.map((id) => id.toNumber()))].sort((a, b) => b - a);
+
+        redemptionsList.innerHTML = '';
+        for (const id of uniqueIds) {
+            const redemption = await swatContract.getRedemption(id);
+            redemptionsList.appendChild(createRedemptionCard(redemption, isOperator));
+        }
+
+        if (redemptionsList.children.length === 0) {
+            redemptionsList.innerHTML = '<p class="empty-state">No redemption requests</p>';
+        }
+
+    } catch (error) {
+        console.error('Error loading redemptions:', error);
+    }
+}
+
+function createRedemptionCard(redemption, isOperator) {
+    const card = document.createElement('div');
+    card.className = 'offer-card';
+
+    const amount = ethers.utils.formatEther(redemption.amount);
+    const requestedAt = new Date(redemption.requestedAt.toNumber() * 1000).toLocaleString();
+
+    card.innerHTML = `
+        <div class="offer-header">
+            <span class="offer-id">Redemption #${redemption.id}</span>
+            <span class="offer-status">${redemption.fulfilled ? 'FULFILLED' : 'PENDING'}</span>
+        </div>
+        <div class="offer-details">
+            <div class="offer-detail">
+                <span class="offer-detail-label">Amount</span>
+                <span class="offer-detail-value">${parseFloat(amount).toFixed(2)} SWAT</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Holder</span>
+                <span class="offer-detail-value">${formatAddress(redemption.holder)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Payout</span>
+                <span class="offer-detail-value">${escapeHtml(redemption.payoutReference)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Requested</span>
+                <span class="offer-detail-value">${requestedAt}</span>
+            </div>
+            ${redemption.fulfilled ? `
+            <div class="offer-detail">
+                <span class="offer-detail-label">Settlement</span>
+                <span class="offer-detail-value">${escapeHtml(redemption.settlementReference) || '-'}</span>
+            </div>` : ''}
+        </div>
+        ${isOperator && !redemption.fulfilled ? `
+        <div class="offer-actions">
+            <button class="btn-accept" onclick="fulfillRedemption(${redemption.id})">Mark Paid</button>
+        </div>` : ''}
+    `;
+
+    return card;
+}
+
+async function fulfillRedemption(requestId) {
+    const settlementReference = prompt('Settlement reference for the payout (e.g. bank transfer ID):');
+    if (settlementReference === null) {
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await swatContract.fulfillRedemption(requestId, settlementReference);
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Redemption #${requestId} marked as fulfilled`, 'redeemStatus');
+
+        await loadRedemptions();
+
+    } catch (error) {
+        console.error('Fulfil redemption error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to fulfil redemption: ' + error.message, 'redeemStatus');
+    }
+}
+
+async function getTokenInfo(address) {
+    const key = address.toLowerCase();
+
+    if (!tokenInfoCache[key]) {
+        const token = new ethers.Contract(address, SWAT_ABI, provider);
+        const decimals = await token.decimals();
+        // The demo BUSD is a SWATToken deployment, so its own symbol would read SWAT
+        const isDemoBUSD = !!CONTRACT_ADDRESSES.BUSD && key === CONTRACT_ADDRESSES.BUSD.toLowerCase();
+        const symbol = isDemoBUSD ? 'BUSD' : await token.symbol();
+        tokenInfoCache[key] = { address, symbol, decimals };
+    }
+
+    return tokenInfoCache[key];
+}
+
+async function getPairInfo(tokenAddress, paymentToken) {
+    return {
+        base: await getTokenInfo(tokenAddress),
+        quote: await getTokenInfo(paymentToken)
+    };
+}
+
+// Amounts are always converted with the token's own decimals (USDC has 6, WBTC 8)
+function formatTokenAmount(amount, info) {
+    return ethers.utils.formatUnits(amount, info.decimals);
+}
+
+function parseTokenAmount(value, info) {
+    return ethers.utils.parseUnits(value, info.decimals);
+}
+
+function displayAmount(amount, info) {
+    const value = parseFloat(formatTokenAmount(amount, info));
+    return `${value.toLocaleString(undefined, { maximumFractionDigits: Math.min(info.decimals, 8) })} ${info.symbol}`;
+}
+
+function isWrappedNative(address) {
+    return !!wrappedNativeAddress && wrappedNativeAddress !== ethers.constants.AddressZero &&
+        address.toLowerCase() === wrappedNativeAddress.toLowerCase();
+}
+
+// Fill the token pickers from the escrow allow-list
+async function loadTokenLists() {
+    const baseTokens = await escrowContract.getBaseTokens();
+    const quoteTokens = await escrowContract.getQuoteTokens();
+    wrappedNativeAddress = await escrowContract.wrappedNative();
+
+    const fill = async (selectId, addresses, preferred) => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '';
+        for (const address of addresses) {
+            const info = await getTokenInfo(address);
+            const option = document.createElement('option');
+            option.value = address;
+            option.textContent = isWrappedNative(address) ?
+                `${info.symbol} (paid in BNB)` : `${info.symbol} (${info.decimals} decimals)`;
+            option.selected = !!preferred && address.toLowerCase() === preferred.toLowerCase();
+            select.appendChild(option);
+        }
+    };
+
+    await fill('offerToken', baseTokens, CONTRACT_ADDRESSES.SWAT);
+    await fill('offerPaymentToken', quoteTokens, CONTRACT_ADDRESSES.BUSD);
+    await fill('bidToken', baseTokens, CONTRACT_ADDRESSES.SWAT);
+    await fill('bidPaymentToken', quoteTokens, CONTRACT_ADDRESSES.BUSD);
+}
+
 async function handleCreateOffer(e) {
     e.preventDefault();
 
     const amount = document.getElementById('offerAmount').value;
     const price = document.getElementById('offerPrice').value;
-    const buyer = document.getElementById('buyerAddress').value;
+    const tokenAddress = document.getElementById('offerToken').value;
+    const paymentToken = document.getElementById('offerPaymentToken').value;
+    // Empty buyer creates a public offer anyone can take
+    const buyer = document.getElementById('buyerAddress').value.trim() || ethers.constants.AddressZero;
 
     if (!ethers.utils.isAddress(buyer)) {
         showStatus('error', 'Invalid buyer address', 'escrowStatus');
@@ -354,25 +707,42 @@ async function handleCreateOffer(e) {
     try {
         showLoading();
 
-        const amountWei = ethers.utils.parseEther(amount);
-        const priceWei = ethers.utils.parseEther(price);
-
-        showStatus('info', 'Approving tokens...', 'escrowStatus');
-        const approveTx = await swatContract.approve(CONTRACT_ADDRESSES.Escrow, amountWei);
-        await approveTx.wait();
+        const { base, quote } = await getPairInfo(tokenAddress, paymentToken);
+        const amountWei = parseTokenAmount(amount, base);
+        const priceWei = parseTokenAmount(price, quote);
+        const tokenContract = new ethers.Contract(tokenAddress, SWAT_ABI, signer);
+
+        let tx;
+        if (await supportsPermit(tokenContract)) {
+            // Sign a permit so the offer takes a single transaction
+            showStatus('info', `Sign the ${base.symbol} permit in your wallet...`, 'escrowStatus');
+            const permit = await signPermit(tokenContract, CONTRACT_ADDRESSES.Escrow, amountWei);
+
+            showStatus('info', 'Creating offer...', 'escrowStatus');
+            tx = await escrowContract.createOfferWithPermit(
+                tokenAddress,
+                amountWei,
+                paymentToken,
+                priceWei,
+                buyer,
+                permit.deadline,
+                permit.v,
+                permit.r,
+                permit.s
+            );
+        } else {
+            showStatus('info', `Step 1/2: Approving ${base.symbol}...`, 'escrowStatus');
+            const approveTx = await tokenContract.approve(CONTRACT_ADDRESSES.Escrow, amountWei);
+            await approveTx.wait();
 
-        showStatus('info', 'Creating offer...', 'escrowStatus');
-        const tx = await escrowContract.createOffer(
-            CONTRACT_ADDRESSES.SWAT,
-            amountWei,
-            priceWei,
-            buyer
-        );
+            showStatus('info', 'Step 2/2: Creating offer...', 'escrowStatus');
+            tx = await escrowContract.createOffer(tokenAddress, amountWei, paymentToken, priceWei, buyer);
+        }
 
         await tx.wait();
 
         hideLoading();
-        showStatus('success', `Offer created successfully! ${amount} SWAT for ${price} BUSD`, 'escrowStatus');
+        showStatus('success', `Offer created successfully! ${amount} ${base.symbol} for ${price} ${quote.symbol}`, 'escrowStatus');
 
         await new Promise(resolve => setTimeout(resolve, 1000));
         
@@ -383,50 +753,111 @@ async function handleCreateOffer(e) {
     } catch (error) {
         console.error('Create offer error:', error);
         hideLoading();
-        showStatus('error', 'Failed to create offer: ' + error.message, 'escrowStatus');
+        showStatus('error', 'Failed to create offer: ' + describeTransferError(error), 'escrowStatus');
     }
 }
 
 async function loadOffers() {
     try {
-        const offerCount = await escrowContract.getOfferCount();
         const offersList = document.getElementById('offersList');
+        offersList.innerHTML = '';
 
-        if (offerCount.toNumber() === 0) {
+        // Offers the user sells, then offers designated to the user
+        const selling = await fetchAllPages((offset) =>
+            escrowContract.getActiveOffersBySeller(userAddress, offset, OFFER_PAGE_SIZE));
+        const buying = await fetchAllPages((offset) =>
+            escrowContract.getActiveOffersByBuyer(userAddress, offset, OFFER_PAGE_SIZE));
+
+        for (const offer of selling.concat(buying)) {
+            const offerId = offer.id.toNumber();
+            const quote = await escrowContract.quoteAccept(offerId);
+            const tokens = await getPairInfo(offer.tokenAddress, offer.paymentToken);
+            offersList.appendChild(createOfferCard(offer, offerId, quote, tokens));
+        }
+
+        if (offersList.children.length === 0) {
             offersList.innerHTML = '<p class="empty-state">No active offers</p>';
-            return;
         }
 
-        offersList.innerHTML = '';
+        await loadMarketOffers(0);
+
+    } catch (error) {
+        console.error('Error loading offers:', error);
+    }
+}
+
+// Collect every entry of a paged getter returning (entries, total)
+async function fetchAllPages(fetchPage) {
+    let entries = [];
+    let total = 1;
+
+    while (entries.length < total) {
+        const page = await fetchPage(entries.length);
+        total = page.total.toNumber();
+        if (page[0].length === 0) {
+            break;
+        }
+        entries = entries.concat(page[0]);
+    }
+
+    return entries;
+}
 
-        for (let i = 0; i < offerCount.toNumber(); i++) {
-            const offer = await escrowContract.getOffer(i);
+async function loadMarketOffers(offset) {
+    try {
+        const marketOffersList = document.getElementById('marketOffersList');
 
-            if (offer.seller.toLowerCase() === userAddress.toLowerCase() ||
-                offer.buyer.toLowerCase() === userAddress.toLowerCase()) {
+        // Open offers are indexed under the zero buyer address
+        const page = await escrowContract.getActiveOffersByBuyer(
+            ethers.constants.AddressZero, offset, OFFER_PAGE_SIZE);
 
-                if (offer.active) {
-                    const offerCard = createOfferCard(offer, i);
-                    offersList.appendChild(offerCard);
-                }
+        if (offset === 0) {
+            marketOffersList.innerHTML = '';
+        } else {
+            const loadMore = document.getElementById('loadMoreOffers');
+            if (loadMore) {
+                loadMore.remove();
             }
         }
 
-        if (offersList.children.length === 0) {
-            offersList.innerHTML = '<p class="empty-state">No active offers</p>';
+        for (const offer of page.offers) {
+            // The user's own open offers are already listed under "Your Offers"
+            if (offer.seller.toLowerCase() === userAddress.toLowerCase()) {
+                continue;
+            }
+            const offerId = offer.id.toNumber();
+            const quote = await escrowContract.quoteAccept(offerId);
+            const tokens = await getPairInfo(offer.tokenAddress, offer.paymentToken);
+            marketOffersList.appendChild(createOfferCard(offer, offerId, quote, tokens));
+        }
+
+        const loaded = offset + page.offers.length;
+        if (loaded < page.total.toNumber()) {
+            const button = document.createElement('button');
+            button.id = 'loadMoreOffers';
+            button.className = 'btn-secondary';
+            button.textContent = 'Load more';
+            button.onclick = () => loadMarketOffers(loaded);
+            marketOffersList.appendChild(button);
+        }
+
+        if (marketOffersList.children.length === 0) {
+            marketOffersList.innerHTML = '<p class="empty-state">No public offers</p>';
         }
 
     } catch (error) {
-        console.error('Error loading offers:', error);
+        console.error('Error loading marketplace offers:', error);
     }
 }
 
-function createOfferCard(offer, offerId) {
+function createOfferCard(offer, offerId, quote, tokens) {
     const card = document.createElement('div');
     card.className = 'offer-card';
 
-    const amount = ethers.utils.formatEther(offer.amount);
-    const price = ethers.utils.formatEther(offer.priceInBUSD);
+    const { base, quote: payment } = tokens;
+    const filledPercent = offer.filledAmount.mul(100).div(offer.amount).toNumber();
+    // Price of one whole offered token, in the payment token
+    const unitPrice = offer.priceInBUSD.mul(ethers.BigNumber.from(10).pow(base.decimals)).div(offer.amount);
     const isSeller = offer.seller.toLowerCase() === userAddress.toLowerCase();
 
     card.innerHTML = `
@@ -437,11 +868,27 @@ function createOfferCard(offer, offerId) {
         <div class="offer-details">
             <div class="offer-detail">
                 <span class="offer-detail-label">Amount</span>
-                <span class="offer-detail-value">${parseFloat(amount).toFixed(2)} SWAT</span>
+                <span class="offer-detail-value">${displayAmount(offer.amount, base)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Filled</span>
+                <span class="offer-detail-value">${displayAmount(offer.filledAmount, base)} (${filledPercent}%)</span>
             </div>
             <div class="offer-detail">
                 <span class="offer-detail-label">Price</span>
-                <span class="offer-detail-value">${parseFloat(price).toFixed(2)} BUSD</span>
+                <span class="offer-detail-value">${displayAmount(offer.priceInBUSD, payment)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Unit Price</span>
+                <span class="offer-detail-value">${displayAmount(unitPrice, payment)} / ${base.symbol}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Platform Fee</span>
+                <span class="offer-detail-value">${displayAmount(quote.feeAmount, payment)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Seller Receives</span>
+                <span class="offer-detail-value">${displayAmount(quote.sellerAmount, payment)}</span>
             </div>
             <div class="offer-detail">
                 <span class="offer-detail-label">Seller</span>
@@ -449,13 +896,15 @@ function createOfferCard(offer, offerId) {
             </div>
             <div class="offer-detail">
                 <span class="offer-detail-label">Buyer</span>
-                <span class="offer-detail-value">${formatAddress(offer.buyer)}</span>
+                <span class="offer-detail-value">${offer.buyer === ethers.constants.AddressZero ? 'Anyone' : formatAddress(offer.buyer)}</span>
             </div>
         </div>
         <div class="offer-actions">
             ${isSeller ?
-            `<button class="btn-cancel" onclick="cancelOffer(${offerId})">Cancel Offer</button>` :
-            `<button class="btn-accept" onclick="acceptOffer(${offerId})">Accept Offer</button>`
+            `<button class="btn-accept" onclick="editOffer(${offerId})">Edit</button>
+             <button class="btn-cancel" onclick="cancelOffer(${offerId})">Cancel Offer</button>` :
+            `<button class="btn-accept" onclick="acceptOffer(${offerId})">Accept Offer</button>
+             <button class="btn-accept" onclick="fillOffer(${offerId})">Buy Part</button>`
         }
         </div>
     `;
@@ -484,6 +933,99 @@ async function cancelOffer(offerId) {
     }
 }
 
+async function supportsPermit(tokenContract) {
+    try {
+        await tokenContract.nonces(userAddress);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function signPermit(tokenContract, spender, value) {
+    const { chainId } = await provider.getNetwork();
+    const deadline = Math.floor(Date.now() / 1000) + PERMIT_VALIDITY_SECONDS;
+
+    const domain = {
+        name: await tokenContract.name(),
+        version: '1',
+        chainId,
+        verifyingContract: tokenContract.address
+    };
+    const types = {
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    };
+    const message = {
+        owner: userAddress,
+        spender,
+        value,
+        nonce: await tokenContract.nonces(userAddress),
+        deadline
+    };
+
+    const signature = await signer._signTypedData(domain, types, message);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { deadline, v, r, s };
+}
+
+async function editOffer(offerId) {
+    try {
+        const offer = await escrowContract.getOffer(offerId);
+        const { base, quote } = await getPairInfo(offer.tokenAddress, offer.paymentToken);
+
+        const amountInput = prompt(`New total amount of ${base.symbol}:`, formatTokenAmount(offer.amount, base));
+        if (amountInput === null) {
+            return;
+        }
+        const priceInput = prompt(`New total price in ${quote.symbol}:`, formatTokenAmount(offer.priceInBUSD, quote));
+        if (priceInput === null) {
+            return;
+        }
+        const currentBuyer = offer.buyer === ethers.constants.AddressZero ? '' : offer.buyer;
+        const buyerInput = prompt('Buyer address (leave empty for anyone):', currentBuyer);
+        if (buyerInput === null) {
+            return;
+        }
+
+        const newAmount = parseTokenAmount(amountInput, base);
+        const newPrice = parseTokenAmount(priceInput, quote);
+        const newBuyer = buyerInput.trim() || ethers.constants.AddressZero;
+
+        if (newBuyer !== ethers.constants.AddressZero && !ethers.utils.isAddress(newBuyer)) {
+            showStatus('error', 'Invalid buyer address', 'escrowStatus');
+            return;
+        }
+
+        showLoading();
+
+        // Topping up pulls the extra tokens from the seller
+        if (newAmount.gt(offer.amount)) {
+            const tokenContract = new ethers.Contract(offer.tokenAddress, SWAT_ABI, signer);
+            const approveTx = await tokenContract.approve(CONTRACT_ADDRESSES.Escrow, newAmount.sub(offer.amount));
+            await approveTx.wait();
+        }
+
+        const tx = await escrowContract.updateOffer(offerId, newAmount, newPrice, newBuyer);
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Offer #${offerId} updated`, 'escrowStatus');
+
+        await refreshData();
+
+    } catch (error) {
+        console.error('Edit offer error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to update offer: ' + error.message, 'escrowStatus');
+    }
+}
+
 async function acceptOffer(offerId) {
     if (!signer) {
         showStatus('error', 'Please connect your wallet first', 'escrowStatus');
@@ -495,37 +1037,59 @@ async function acceptOffer(offerId) {
         
         const offer = await escrowContract.getOffer(offerId);
         
-        if (offer.buyer.toLowerCase() !== userAddress.toLowerCase()) {
+        if (offer.buyer !== ethers.constants.AddressZero &&
+            offer.buyer.toLowerCase() !== userAddress.toLowerCase()) {
             throw new Error('You are not the designated buyer for this offer');
         }
+
+        const { base, quote: payment } = await getPairInfo(offer.tokenAddress, offer.paymentToken);
         
+        // Payment token is fixed by the seller when the offer is created
         const busdContract = new ethers.Contract(
-            CONTRACT_ADDRESSES.BUSD,
+            offer.paymentToken,
             SWAT_ABI,
             signer
         );
         
-        const busdBalance = await busdContract.balanceOf(userAddress);
-        if (busdBalance.lt(offer.priceInBUSD)) {
-            throw new Error(`Insufficient BUSD balance. Need ${ethers.utils.formatEther(offer.priceInBUSD)} BUSD`);
-        }
+        // Price of whatever is left after any partial fills; also the most the
+        // escrow may charge, so a reprice while the transaction is pending reverts
+        const quote = await escrowContract.quoteAccept(offerId);
+        const remaining = offer.amount.sub(offer.filledAmount);
+        const payNative = isWrappedNative(offer.paymentToken);
         
-        showStatus('info', 'Step 1/2: Approving BUSD spending...', 'escrowStatus');
-        const approveTx = await busdContract.approve(
-            CONTRACT_ADDRESSES.Escrow,
-            offer.priceInBUSD
-        );
-        await approveTx.wait();
+        const busdBalance = payNative ? await signer.getBalance() : await busdContract.balanceOf(userAddress);
+        if (busdBalance.lt(quote.grossAmount)) {
+            const symbol = payNative ? 'BNB' : payment.symbol;
+            throw new Error(`Insufficient ${symbol} balance. Need ${formatTokenAmount(quote.grossAmount, payment)} ${symbol}`);
+        }
         
-        showStatus('info', 'Step 2/2: Accepting offer...', 'escrowStatus');
-        const acceptTx = await escrowContract.acceptOffer(
-            offerId,
-            CONTRACT_ADDRESSES.BUSD
-        );
+        let acceptTx;
+        if (payNative) {
+            // Pays in BNB; the seller pulls the proceeds later
+            showStatus('info', 'Accepting offer with BNB...', 'escrowStatus');
+            acceptTx = await escrowContract.acceptOfferWithNative(offerId, quote.grossAmount, { value: quote.grossAmount });
+        } else if (await supportsPermit(busdContract)) {
+            showStatus('info', 'Sign the payment permit in your wallet...', 'escrowStatus');
+            const permit = await signPermit(busdContract, CONTRACT_ADDRESSES.Escrow, quote.grossAmount);
+
+            showStatus('info', 'Accepting offer...', 'escrowStatus');
+            acceptTx = await escrowContract.acceptOfferWithPermit(
+                offerId, quote.grossAmount, quote.grossAmount, permit.deadline, permit.v, permit.r, permit.s);
+        } else {
+            showStatus('info', `Step 1/2: Approving ${payment.symbol} spending...`, 'escrowStatus');
+            const approveTx = await busdContract.approve(
+                CONTRACT_ADDRESSES.Escrow,
+                quote.grossAmount
+            );
+            await approveTx.wait();
+
+            showStatus('info', 'Step 2/2: Accepting offer...', 'escrowStatus');
+            acceptTx = await escrowContract.acceptOffer(offerId, quote.grossAmount);
+        }
         await acceptTx.wait();
         
         hideLoading();
-        showStatus('success', `Offer accepted! You received ${ethers.utils.formatEther(offer.amount)} SWAT`, 'escrowStatus');
+        showStatus('success', `Offer accepted! You received ${displayAmount(remaining, base)}`, 'escrowStatus');
         
         await new Promise(resolve => setTimeout(resolve, 1000));
         await refreshData();
@@ -534,52 +1098,891 @@ async function acceptOffer(offerId) {
     } catch (error) {
         console.error('Accept offer error:', error);
         hideLoading();
-        showStatus('error', 'Failed to accept offer: ' + error.message, 'escrowStatus');
+        showStatus('error', 'Failed to accept offer: ' + describeTransferError(error), 'escrowStatus');
     }
 }
 
-async function refreshPrice() {
+async function fillOffer(offerId) {
+    if (!signer) {
+        showStatus('error', 'Please connect your wallet first', 'escrowStatus');
+        return;
+    }
+
     try {
-        const pairAddress = await factoryContract.getPair(
-            CONTRACT_ADDRESSES.SWAT,
-            CONTRACT_ADDRESSES.MockBUSD
-        );
+        const offer = await escrowContract.getOffer(offerId);
+        const { base, quote: payment } = await getPairInfo(offer.tokenAddress, offer.paymentToken);
 
-        if (pairAddress === ethers.constants.AddressZero) {
-            document.getElementById('priceValue').textContent = 'No liquidity';
+        const fillInput = prompt(`How much ${base.symbol} do you want to buy from this offer?`);
+        if (!fillInput) {
             return;
         }
 
-        const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, provider);
-        const reserves = await pairContract.getReserves();
-        const token0 = await pairContract.token0();
+        showLoading();
 
-        let swatReserve, busdReserve;
-        if (token0.toLowerCase() === CONTRACT_ADDRESSES.SWAT.toLowerCase()) {
-            swatReserve = reserves.reserve0;
-            busdReserve = reserves.reserve1;
-        } else {
-            swatReserve = reserves.reserve1;
-            busdReserve = reserves.reserve0;
+        const fillAmount = parseTokenAmount(fillInput, base);
+        const remaining = offer.amount.sub(offer.filledAmount);
+
+        if (fillAmount.gt(remaining)) {
+            throw new Error(`Only ${displayAmount(remaining, base)} left in this offer`);
         }
 
-        const swatReserveEther = parseFloat(ethers.utils.formatEther(swatReserve));
-        const busdReserveEther = parseFloat(ethers.utils.formatEther(busdReserve));
-        const price = busdReserveEther / swatReserveEther;
+        const quote = await escrowContract.quoteFill(offerId, fillAmount);
 
-        document.getElementById('priceValue').textContent = '$' + price.toFixed(6);
-        document.getElementById('currentPrice').textContent = '$' + price.toFixed(2);
-        document.getElementById('swatReserve').textContent = swatReserveEther.toFixed(2) + ' SWAT';
-        document.getElementById('busdReserve').textContent = busdReserveEther.toFixed(2) + ' BUSD';
-        document.getElementById('liquidityPool').textContent = '$' + busdReserveEther.toFixed(0);
+        const busdContract = new ethers.Contract(
+            offer.paymentToken,
+            SWAT_ABI,
+            signer
+        );
 
-        const deviation = Math.abs(price - 1.0);
-        const deviationPercent = (deviation * 100).toFixed(2);
-        const isStable = deviation <= 0.02;
+        const payNative = isWrappedNative(offer.paymentToken);
+        const busdBalance = payNative ? await signer.getBalance() : await busdContract.balanceOf(userAddress);
+        if (busdBalance.lt(quote.grossAmount)) {
+            const symbol = payNative ? 'BNB' : payment.symbol;
+            throw new Error(`Insufficient ${symbol} balance. Need ${formatTokenAmount(quote.grossAmount, payment)} ${symbol}`);
+        }
 
-        document.getElementById('priceDeviation').textContent = deviationPercent + '%';
-        document.getElementById('priceStatus').textContent = isStable ? 'STABLE' : 'UNSTABLE';
-        document.getElementById('priceStatus').className = 'status-badge ' + (isStable ? 'stable' : 'unstable');
+        let fillTx;
+        if (payNative) {
+            showStatus('info', 'Filling offer with BNB...', 'escrowStatus');
+            fillTx = await escrowContract.fillOfferWithNative(offerId, fillAmount, quote.grossAmount, { value: quote.grossAmount });
+        } else {
+            showStatus('info', `Step 1/2: Approving ${payment.symbol} spending...`, 'escrowStatus');
+            const approveTx = await busdContract.approve(
+                CONTRACT_ADDRESSES.Escrow,
+                quote.grossAmount
+            );
+            await approveTx.wait();
+
+            showStatus('info', 'Step 2/2: Filling offer...', 'escrowStatus');
+            fillTx = await escrowContract.fillOffer(offerId, fillAmount, quote.grossAmount);
+        }
+        await fillTx.wait();
+
+        hideLoading();
+        showStatus('success', `Bought ${fillInput} ${base.symbol} for ${displayAmount(quote.grossAmount, payment)}`, 'escrowStatus');
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        await refreshData();
+        await loadOffers();
+
+    } catch (error) {
+        console.error('Fill offer error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to fill offer: ' + describeTransferError(error), 'escrowStatus');
+    }
+}
+
+async function loadProceeds() {
+    if (!escrowContract || !userAddress) return;
+
+    try {
+        const proceeds = await escrowContract.nativeProceeds(userAddress);
+        document.getElementById('nativeProceeds').textContent = parseFloat(ethers.utils.formatEther(proceeds)).toFixed(4);
+    } catch (error) {
+        console.error('Error loading proceeds:', error);
+    }
+}
+
+// Proceeds are pulled rather than pushed, so a seller that cannot receive BNB
+// can still take them as WBNB
+async function withdrawProceeds(unwrap) {
+    if (!signer) {
+        showStatus('error', 'Please connect your wallet first', 'escrowStatus');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const proceeds = await escrowContract.nativeProceeds(userAddress);
+        if (proceeds.isZero()) {
+            throw new Error('No proceeds to withdraw');
+        }
+
+        const tx = await escrowContract.withdrawProceeds(unwrap);
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Withdrew ${ethers.utils.formatEther(proceeds)} ${unwrap ? 'BNB' : 'WBNB'}`, 'escrowStatus');
+
+        await loadProceeds();
+
+    } catch (error) {
+        console.error('Withdraw proceeds error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to withdraw proceeds: ' + error.message, 'escrowStatus');
+    }
+}
+
+async function handleCreateBid(e) {
+    e.preventDefault();
+
+    const amount = document.getElementById('bidAmount').value;
+    const price = document.getElementById('bidPrice').value;
+    const tokenAddress = document.getElementById('bidToken').value;
+    const paymentToken = document.getElementById('bidPaymentToken').value;
+    // Empty seller creates a public bid anyone can fill
+    const seller = document.getElementById('sellerAddress').value.trim() || ethers.constants.AddressZero;
+
+    if (!ethers.utils.isAddress(seller)) {
+        showStatus('error', 'Invalid seller address', 'escrowStatus');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const { base, quote } = await getPairInfo(tokenAddress, paymentToken);
+        const amountWei = parseTokenAmount(amount, base);
+        const priceWei = parseTokenAmount(price, quote);
+
+        const busdContract = new ethers.Contract(
+            paymentToken,
+            SWAT_ABI,
+            signer
+        );
+
+        showStatus('info', `Approving ${quote.symbol}...`, 'escrowStatus');
+        const approveTx = await busdContract.approve(CONTRACT_ADDRESSES.Escrow, priceWei);
+        await approveTx.wait();
+
+        showStatus('info', 'Creating bid...', 'escrowStatus');
+        const tx = await escrowContract.createBid(
+            tokenAddress,
+            amountWei,
+            paymentToken,
+            priceWei,
+            seller
+        );
+
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Bid created successfully! ${price} ${quote.symbol} for ${amount} ${base.symbol}`, 'escrowStatus');
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        document.getElementById('createBidForm').reset();
+        await refreshData();
+
+    } catch (error) {
+        console.error('Create bid error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to create bid: ' + error.message, 'escrowStatus');
+    }
+}
+
+async function loadBids() {
+    try {
+        const bidsList = document.getElementById('bidsList');
+        bidsList.innerHTML = '';
+
+        // Bids the user placed or must fill, then open bids (indexed under the zero seller address)
+        const mine = await fetchAllPages((offset) =>
+            escrowContract.getActiveBidsByAccount(userAddress, offset, OFFER_PAGE_SIZE));
+        const open = await fetchAllPages((offset) =>
+            escrowContract.getActiveBidsByAccount(ethers.constants.AddressZero, offset, OFFER_PAGE_SIZE));
+
+        const listed = new Set();
+        for (const bid of mine.concat(open)) {
+            const bidId = bid.id.toNumber();
+            // The user's own open bids appear in both lists
+            if (listed.has(bidId)) {
+                continue;
+            }
+            listed.add(bidId);
+
+            const quote = await escrowContract.quoteAcceptBid(bidId);
+            const tokens = await getPairInfo(bid.tokenAddress, bid.paymentToken);
+            bidsList.appendChild(createBidCard(bid, bidId, quote, tokens));
+        }
+
+        if (bidsList.children.length === 0) {
+            bidsList.innerHTML = '<p class="empty-state">No active bids</p>';
+        }
+
+    } catch (error) {
+        console.error('Error loading bids:', error);
+    }
+}
+
+function createBidCard(bid, bidId, quote, tokens) {
+    const card = document.createElement('div');
+    card.className = 'offer-card';
+
+    const { base, quote: payment } = tokens;
+    const isBuyer = bid.buyer.toLowerCase() === userAddress.toLowerCase();
+
+    card.innerHTML = `
+        <div class="offer-header">
+            <span class="offer-id">Bid #${bidId}</span>
+            <span class="offer-status active">ACTIVE</span>
+        </div>
+        <div class="offer-details">
+            <div class="offer-detail">
+                <span class="offer-detail-label">Wants</span>
+                <span class="offer-detail-value">${displayAmount(bid.amount, base)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Pays</span>
+                <span class="offer-detail-value">${displayAmount(bid.priceInBUSD, payment)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Seller Receives</span>
+                <span class="offer-detail-value">${displayAmount(quote.sellerAmount, payment)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Buyer</span>
+                <span class="offer-detail-value">${formatAddress(bid.buyer)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Seller</span>
+                <span class="offer-detail-value">${bid.seller === ethers.constants.AddressZero ? 'Anyone' : formatAddress(bid.seller)}</span>
+            </div>
+        </div>
+        <div class="offer-actions">
+            ${isBuyer ?
+            `<button class="btn-cancel" onclick="cancelBid(${bidId})">Cancel Bid</button>` :
+            `<button class="btn-accept" onclick="acceptBid(${bidId})">Sell to Bid</button>`
+        }
+        </div>
+    `;
+
+    return card;
+}
+
+async function cancelBid(bidId) {
+    try {
+        showLoading();
+
+        const tx = await escrowContract.cancelBid(bidId);
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', 'Bid cancelled successfully', 'escrowStatus');
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        await refreshData();
+
+    } catch (error) {
+        console.error('Cancel bid error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to cancel bid: ' + error.message, 'escrowStatus');
+    }
+}
+
+async function acceptBid(bidId) {
+    if (!signer) {
+        showStatus('error', 'Please connect your wallet first', 'escrowStatus');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const bid = await escrowContract.getBid(bidId);
+        const base = await getTokenInfo(bid.tokenAddress);
+        const tokenContract = new ethers.Contract(bid.tokenAddress, SWAT_ABI, signer);
+
+        const tokenBalance = await tokenContract.balanceOf(userAddress);
+        if (tokenBalance.lt(bid.amount)) {
+            throw new Error(`Insufficient ${base.symbol} balance. Need ${displayAmount(bid.amount, base)}`);
+        }
+
+        showStatus('info', `Step 1/2: Approving ${base.symbol} spending...`, 'escrowStatus');
+        const approveTx = await tokenContract.approve(CONTRACT_ADDRESSES.Escrow, bid.amount);
+        await approveTx.wait();
+
+        showStatus('info', 'Step 2/2: Filling bid...', 'escrowStatus');
+        const acceptTx = await escrowContract.acceptBid(bidId);
+        await acceptTx.wait();
+
+        hideLoading();
+        showStatus('success', `Bid filled! You sold ${displayAmount(bid.amount, base)}`, 'escrowStatus');
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        await refreshData();
+
+    } catch (error) {
+        console.error('Accept bid error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to fill bid: ' + describeTransferError(error), 'escrowStatus');
+    }
+}
+
+async function loadTimedOffers() {
+    try {
+        const timedOffersList = document.getElementById('timedOffersList');
+        if (!escrowWithExpiryContract) {
+            timedOffersList.innerHTML = '<p class="empty-state">Timed offers are not deployed on this network</p>';
+            return;
+        }
+
+        // Active offers the user sells or is the designated buyer of
+        const offers = await fetchAllPages((offset) =>
+            escrowWithExpiryContract.getActiveOffersByAccount(userAddress, offset, OFFER_PAGE_SIZE));
+        timedOffersList.innerHTML = '';
+
+        for (const offer of offers) {
+            const offerId = offer.id.toNumber();
+            const remaining = await escrowWithExpiryContract.getTimeRemaining(offerId);
+            const tokens = await getPairInfo(offer.tokenAddress, offer.paymentToken);
+            timedOffersList.appendChild(createTimedOfferCard(offer, offerId, remaining, tokens));
+        }
+
+        if (timedOffersList.children.length === 0) {
+            timedOffersList.innerHTML = '<p class="empty-state">No timed offers</p>';
+        }
+
+        updateCountdowns();
+
+    } catch (error) {
+        console.error('Error loading timed offers:', error);
+    }
+}
+
+function createTimedOfferCard(offer, offerId, remaining, tokens) {
+    const card = document.createElement('div');
+    card.className = 'offer-card';
+
+    const { base, quote: payment } = tokens;
+    const isSeller = offer.seller.toLowerCase() === userAddress.toLowerCase();
+    const isExpired = remaining.isZero();
+    const reclaimable = offer.status === OFFER_STATUS_OPEN || offer.status === OFFER_STATUS_TAKEN;
+    // Deadline in local clock time, derived from the on-chain countdown
+    const deadline = Date.now() + remaining.toNumber() * 1000;
+
+    let actions = '';
+    if (isExpired && reclaimable) {
+        actions = `<button class="btn-cancel" onclick="reclaimExpired(${offerId})">Reclaim</button>`;
+    } else if (isSeller && offer.status === OFFER_STATUS_OPEN) {
+        actions = `<button class="btn-accept" onclick="extendOffer(${offerId})">Extend</button>`;
+    }
+
+    card.innerHTML = `
+        <div class="offer-header">
+            <span class="offer-id">Offer #${offerId}</span>
+            <span class="offer-status active">${OFFER_STATUS_LABELS[offer.status]}</span>
+        </div>
+        <div class="offer-details">
+            <div class="offer-detail">
+                <span class="offer-detail-label">Amount</span>
+                <span class="offer-detail-value">${displayAmount(offer.amount, base)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Price</span>
+                <span class="offer-detail-value">${displayAmount(offer.priceInBUSD, payment)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">${isSeller ? 'Buyer' : 'Seller'}</span>
+                <span class="offer-detail-value">${formatAddress(isSeller ? offer.buyer : offer.seller)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Time Remaining</span>
+                <span class="offer-detail-value countdown" data-deadline="${deadline}">--:--</span>
+            </div>
+        </div>
+        <div class="offer-actions">
+            ${actions}
+        </div>
+    `;
+
+    return card;
+}
+
+function updateCountdowns() {
+    document.querySelectorAll('.countdown').forEach(el => {
+        const seconds = Math.max(0, Math.floor((Number(el.dataset.deadline) - Date.now()) / 1000));
+
+        if (seconds === 0) {
+            el.textContent = 'Expired';
+            return;
+        }
+
+        const hours = Math.floor(seconds / 3600);
+        const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+        const secs = String(seconds % 60).padStart(2, '0');
+        el.textContent = hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+    });
+}
+
+async function extendOffer(offerId) {
+    const minutesInput = prompt('Extend the offer by how many minutes?');
+    if (!minutesInput) {
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await escrowWithExpiryContract.extendOffer(offerId, Math.floor(parseFloat(minutesInput) * 60));
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Offer #${offerId} extended`, 'escrowStatus');
+
+        await loadTimedOffers();
+
+    } catch (error) {
+        console.error('Extend offer error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to extend offer: ' + error.message, 'escrowStatus');
+    }
+}
+
+async function reclaimExpired(offerId) {
+    try {
+        showLoading();
+
+        const tx = await escrowWithExpiryContract.reclaimExpired(offerId);
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Offer #${offerId} reclaimed, tokens returned to seller`, 'escrowStatus');
+
+        await refreshData();
+
+    } catch (error) {
+        console.error('Reclaim offer error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to reclaim offer: ' + error.message, 'escrowStatus');
+    }
+}
+
+async function loadDisputes() {
+    try {
+        const disputesList = document.getElementById('disputesList');
+        if (!escrowWithExpiryContract) {
+            disputesList.innerHTML = '<p class="empty-state">Timed offers are not deployed on this network</p>';
+            return;
+        }
+
+        const isArbitrator = await escrowWithExpiryContract.isArbitrator(userAddress);
+
+        if (!isArbitrator) {
+            disputesList.innerHTML = '<p class="empty-state">Only arbitrators can review disputes</p>';
+            return;
+        }
+
+        const offers = await fetchAllPages((offset) =>
+            escrowWithExpiryContract.getDisputedOffers(offset, OFFER_PAGE_SIZE));
+        disputesList.innerHTML = '';
+
+        for (const offer of offers) {
+            const offerId = offer.id.toNumber();
+            const evidence = await escrowWithExpiryContract.getEvidence(offerId);
+            const tokens = await getPairInfo(offer.tokenAddress, offer.paymentToken);
+            disputesList.appendChild(createDisputeCard(offer, offerId, evidence, tokens));
+        }
+
+        if (disputesList.children.length === 0) {
+            disputesList.innerHTML = '<p class="empty-state">No open disputes</p>';
+        }
+
+    } catch (error) {
+        console.error('Error loading disputes:', error);
+    }
+}
+
+function createDisputeCard(offer, offerId, evidence, tokens) {
+    const card = document.createElement('div');
+    card.className = 'offer-card';
+
+    const { base, quote: payment } = tokens;
+    const evidenceItems = evidence.map(item =>
+        `<span class="offer-detail-value">${formatAddress(item.submitter)}: ${item.evidenceHash.substring(0, 10)}...</span>`
+    ).join('');
+
+    card.innerHTML = `
+        <div class="offer-header">
+            <span class="offer-id">Offer #${offerId}</span>
+            <span class="offer-status">DISPUTED</span>
+        </div>
+        <div class="offer-details">
+            <div class="offer-detail">
+                <span class="offer-detail-label">Escrowed</span>
+                <span class="offer-detail-value">${displayAmount(offer.amount, base)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Price</span>
+                <span class="offer-detail-value">${displayAmount(offer.priceInBUSD, payment)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Seller</span>
+                <span class="offer-detail-value">${formatAddress(offer.seller)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Buyer</span>
+                <span class="offer-detail-value">${formatAddress(offer.buyer)}</span>
+            </div>
+            <div class="offer-detail">
+                <span class="offer-detail-label">Evidence (${evidence.length})</span>
+                ${evidenceItems}
+            </div>
+        </div>
+        <div class="offer-actions">
+            <button class="btn-accept" onclick="resolveDispute(${offerId})">Rule</button>
+        </div>
+    `;
+
+    return card;
+}
+
+async function resolveDispute(offerId) {
+    const offer = await escrowWithExpiryContract.getOffer(offerId);
+    const base = await getTokenInfo(offer.tokenAddress);
+
+    const buyerInput = prompt(`How much of the escrowed ${base.symbol} goes to the buyer? The rest returns to the seller.`);
+    if (buyerInput === null) {
+        return;
+    }
+
+    const rulingNote = prompt('Ruling reference (hashed and recorded on-chain):') || '';
+
+    try {
+        showLoading();
+
+        const buyerAmount = parseTokenAmount(buyerInput || '0', base);
+        const rulingHash = rulingNote ? ethers.utils.id(rulingNote) : ethers.constants.HashZero;
+
+        const tx = await escrowWithExpiryContract.resolveDispute(offerId, buyerAmount, rulingHash);
+        await tx.wait();
+
+        hideLoading();
+        showStatus('success', `Dispute on offer #${offerId} resolved`, 'disputesStatus');
+
+        await loadDisputes();
+
+    } catch (error) {
+        console.error('Resolve dispute error:', error);
+        hideLoading();
+        showStatus('error', 'Failed to resolve dispute: ' + error.message, 'disputesStatus');
+    }
+}
+
+/**
+ * Events matching any of the filters from the deployment block to toBlock,
+ * fetched HISTORY_BLOCK_RANGE blocks at a time to stay within RPC log limits
+ */
+async function queryHistoryEvents(contract, filters, toBlock) {
+    const events = [];
+    for (let start = historyStartBlock; start <= toBlock; start += HISTORY_BLOCK_RANGE) {
+        const end = Math.min(start + HISTORY_BLOCK_RANGE - 1, toBlock);
+        for (const filter of filters) {
+            events.push(...await contract.queryFilter(filter, start, end));
+        }
+    }
+    return events;
+}
+
+async function loadHistory() {
+    if (!escrowContract) {
+        showStatus('error', 'Connect your wallet first', 'historyStatus');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const timestamps = {};
+        const offers = {};
+        const bids = {};
+        const rows = [];
+
+        const getTimestamp = async (blockNumber) => {
+            if (timestamps[blockNumber] === undefined) {
+                timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+            }
+            return timestamps[blockNumber];
+        };
+        const getOffer = async (offerId) => {
+            const key = offerId.toString();
+            if (!offers[key]) {
+                offers[key] = await escrowContract.getOffer(offerId);
+            }
+            return offers[key];
+        };
+        const getBid = async (bidId) => {
+            const key = bidId.toString();
+            if (!bids[key]) {
+                bids[key] = await escrowContract.getBid(bidId);
+            }
+            return bids[key];
+        };
+        const isUser = (address) => address.toLowerCase() === userAddress.toLowerCase();
+
+        const latestBlock = await provider.getBlockNumber();
+
+        // Settled trades where the user sold or bought (full accepts and partial fills)
+        const tradeEvents = await queryHistoryEvents(escrowContract, [
+            escrowContract.filters.OfferAccepted(null, userAddress),
+            escrowContract.filters.OfferAccepted(null, null, userAddress),
+            escrowContract.filters.OfferFilled(null, userAddress),
+            escrowContract.filters.OfferFilled(null, null, userAddress)
+        ], latestBlock);
+
+        for (const event of tradeEvents) {
+            const isSeller = isUser(event.args.seller);
+            const offer = await getOffer(event.args.offerId);
+            // OfferAccepted carries the payment as priceInBUSD, OfferFilled as paymentAmount
+            const payment = event.event === 'OfferFilled' ? event.args.paymentAmount : event.args.priceInBUSD;
+
+            rows.push({
+                timestamp: await getTimestamp(event.blockNumber),
+                type: isSeller ? 'Sell' : 'Buy',
+                reference: `#${event.args.offerId}`,
+                counterparty: isSeller ? event.args.buyer : event.args.seller,
+                amount: event.args.amount,
+                token: await getTokenInfo(offer.tokenAddress),
+                payment,
+                paymentToken: await getTokenInfo(offer.paymentToken),
+                txHash: event.transactionHash
+            });
+        }
+
+        // Bids the user placed or filled
+        const bidEvents = await queryHistoryEvents(escrowContract, [
+            escrowContract.filters.BidAccepted(null, userAddress),
+            escrowContract.filters.BidAccepted(null, null, userAddress)
+        ], latestBlock);
+
+        for (const event of bidEvents) {
+            const isSeller = isUser(event.args.seller);
+            const bid = await getBid(event.args.bidId);
+
+            rows.push({
+                timestamp: await getTimestamp(event.blockNumber),
+                type: isSeller ? 'Sell' : 'Buy',
+                reference: `bid #${event.args.bidId}`,
+                counterparty: isSeller ? event.args.buyer : event.args.seller,
+                amount: event.args.amount,
+                token: await getTokenInfo(bid.tokenAddress),
+                payment: event.args.priceInBUSD,
+                paymentToken: await getTokenInfo(bid.paymentToken),
+                txHash: event.transactionHash
+            });
+        }
+
+        // Signed orders the user made or filled
+        const orderEvents = await queryHistoryEvents(escrowContract, [
+            escrowContract.filters.OrderFilled(null, userAddress),
+            escrowContract.filters.OrderFilled(null, null, userAddress)
+        ], latestBlock);
+
+        for (const event of orderEvents) {
+            const isSeller = isUser(event.args.seller);
+
+            rows.push({
+                timestamp: await getTimestamp(event.blockNumber),
+                type: isSeller ? 'Sell' : 'Buy',
+                reference: `order #${event.args.nonce}`,
+                counterparty: isSeller ? event.args.buyer : event.args.seller,
+                amount: event.args.amount,
+                token: await getTokenInfo(event.args.tokenAddress),
+                payment: event.args.paymentAmount,
+                paymentToken: await getTokenInfo(event.args.paymentToken),
+                txHash: event.transactionHash
+            });
+        }
+
+        // Bid and order settlements move SWAT straight between the parties
+        const tradeTxHashes = new Set(rows.map(row => row.txHash));
+
+        const cancelEvents = await queryHistoryEvents(escrowContract, [
+            escrowContract.filters.OfferCancelled(null, userAddress)
+        ], latestBlock);
+
+        for (const event of cancelEvents) {
+            const offer = await getOffer(event.args.offerId);
+
+            rows.push({
+                timestamp: await getTimestamp(event.blockNumber),
+                type: 'Cancel',
+                reference: `#${event.args.offerId}`,
+                counterparty: offer.buyer,
+                amount: offer.amount.sub(offer.filledAmount), // Returned to the seller
+                token: await getTokenInfo(offer.tokenAddress),
+                payment: null,
+                paymentToken: await getTokenInfo(offer.paymentToken),
+                txHash: event.transactionHash
+            });
+        }
+
+        const transferEvents = await queryHistoryEvents(swatContract, [
+            swatContract.filters.Transfer(userAddress),
+            swatContract.filters.Transfer(null, userAddress)
+        ], latestBlock);
+
+        for (const event of transferEvents) {
+            const isSender = isUser(event.args.from);
+            const counterparty = isSender ? event.args.to : event.args.from;
+
+            // Escrow deposits and payouts, and the legs of trades, are already listed
+            if (counterparty.toLowerCase() === CONTRACT_ADDRESSES.Escrow.toLowerCase() ||
+                tradeTxHashes.has(event.transactionHash)) {
+                continue;
+            }
+
+            rows.push({
+                timestamp: await getTimestamp(event.blockNumber),
+                type: isSender ? 'Sent' : 'Received',
+                reference: '',
+                counterparty,
+                amount: event.args.value,
+                token: await getTokenInfo(CONTRACT_ADDRESSES.SWAT),
+                payment: null,
+                paymentToken: null,
+                txHash: event.transactionHash
+            });
+        }
+
+        historyRows = rows.sort((a, b) => b.timestamp - a.timestamp);
+        renderHistory();
+
+        hideLoading();
+
+    } catch (error) {
+        console.error('Error loading history:', error);
+        hideLoading();
+        showStatus('error', 'Failed to load history: ' + error.message, 'historyStatus');
+    }
+}
+
+function getFilteredHistory() {
+    const fromValue = document.getElementById('historyFrom').value;
+    const toValue = document.getElementById('historyTo').value;
+
+    // Date inputs are local days; the "to" day is inclusive
+    const from = fromValue ? new Date(fromValue + 'T00:00:00').getTime() / 1000 : 0;
+    const to = toValue ? new Date(toValue + 'T23:59:59').getTime() / 1000 : Infinity;
+
+    return historyRows.filter(row => row.timestamp >= from && row.timestamp <= to);
+}
+
+function formatHistoryRow(row) {
+    const amount = formatTokenAmount(row.amount, row.token);
+    const payment = row.payment ? formatTokenAmount(row.payment, row.paymentToken) : '';
+    const unitPrice = row.payment && !row.amount.isZero() ? (parseFloat(payment) / parseFloat(amount)).toFixed(6) : '';
+
+    return {
+        date: new Date(row.timestamp * 1000).toISOString(),
+        type: row.reference ? `${row.type} ${row.reference}` : row.type,
+        counterparty: row.counterparty === ethers.constants.AddressZero ? '' : row.counterparty,
+        amount,
+        symbol: row.token.symbol,
+        payment,
+        paymentSymbol: row.payment ? row.paymentToken.symbol : '',
+        unitPrice,
+        txHash: row.txHash
+    };
+}
+
+function renderHistory() {
+    const tbody = document.getElementById('historyRows');
+    const rows = getFilteredHistory();
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No history in this range</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => {
+        const formatted = formatHistoryRow(row);
+        return `
+            <tr>
+                <td>${formatted.date.substring(0, 16).replace('T', ' ')}</td>
+                <td>${formatted.type}</td>
+                <td>${formatted.counterparty ? formatAddress(formatted.counterparty) : '-'}</td>
+                <td>${displayAmount(row.amount, row.token)}</td>
+                <td>${row.payment ? displayAmount(row.payment, row.paymentToken) : '-'}</td>
+                <td>${formatted.unitPrice || '-'}</td>
+                <td title="${formatted.txHash}">${formatted.txHash.substring(0, 10)}...</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function exportHistoryCsv() {
+    const rows = getFilteredHistory();
+
+    if (rows.length === 0) {
+        showStatus('error', 'No history to export', 'historyStatus');
+        return;
+    }
+
+    const header = ['Date', 'Type', 'Counterparty', 'Amount', 'Token', 'Payment Amount', 'Payment Token', 'Unit Price', 'Tx Hash'];
+    const lines = rows.map(row => {
+        const formatted = formatHistoryRow(row);
+        return [
+            formatted.date,
+            formatted.type,
+            formatted.counterparty,
+            formatted.amount,
+            formatted.symbol,
+            formatted.payment,
+            formatted.paymentSymbol,
+            formatted.unitPrice,
+            formatted.txHash
+        ].join(',');
+    });
+
+    const csv = [header.join(',')].concat(lines).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `swat-history-${userAddress.substring(0, 8)}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function refreshPrice() {
+    try {
+        if (!factoryContract) {
+            document.getElementById('priceValue').textContent = 'No liquidity';
+            return;
+        }
+
+        const pairAddress = await factoryContract.getPair(
+            CONTRACT_ADDRESSES.SWAT,
+            CONTRACT_ADDRESSES.MockBUSD
+        );
+
+        if (pairAddress === ethers.constants.AddressZero) {
+            document.getElementById('priceValue').textContent = 'No liquidity';
+            return;
+        }
+
+        const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+        const reserves = await pairContract.getReserves();
+        const token0 = await pairContract.token0();
+
+        let swatReserve, busdReserve;
+        if (token0.toLowerCase() === CONTRACT_ADDRESSES.SWAT.toLowerCase()) {
+            swatReserve = reserves.reserve0;
+            busdReserve = reserves.reserve1;
+        } else {
+            swatReserve = reserves.reserve1;
+            busdReserve = reserves.reserve0;
+        }
+
+        const swatReserveEther = parseFloat(ethers.utils.formatEther(swatReserve));
+        const busdReserveEther = parseFloat(ethers.utils.formatEther(busdReserve));
+        const price = busdReserveEther / swatReserveEther;
+
+        document.getElementById('priceValue').textContent = '$' + price.toFixed(6);
+        document.getElementById('currentPrice').textContent = '$' + price.toFixed(2);
+        document.getElementById('swatReserve').textContent = swatReserveEther.toFixed(2) + ' SWAT';
+        document.getElementById('busdReserve').textContent = busdReserveEther.toFixed(2) + ' BUSD';
+        document.getElementById('liquidityPool').textContent = '$' + busdReserveEther.toFixed(0);
+
+        const deviation = Math.abs(price - 1.0);
+        const deviationPercent = (deviation * 100).toFixed(2);
+        const isStable = deviation <= 0.02;
+
+        document.getElementById('priceDeviation').textContent = deviationPercent + '%';
+        document.getElementById('priceStatus').textContent = isStable ? 'STABLE' : 'UNSTABLE';
+        document.getElementById('priceStatus').className = 'status-badge ' + (isStable ? 'stable' : 'unstable');
 
     } catch (error) {
         console.error('Error refreshing price:', error);
@@ -603,6 +2006,13 @@ function formatAddress(address) {
     return address.substring(0, 6) + '...' + address.substring(38);
 }
 
+// Free-text values come from other users, so never inject them as markup
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function showStatus(type, message, elementId) {
     const statusEl = document.getElementById(elementId);
     statusEl.className = `status-message ${type}`;
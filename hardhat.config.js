@@ -4,12 +4,19 @@ require("dotenv").config();
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    // 0.8.22+ is required by OpenZeppelin's UUPS/ERC1967 proxy code
+    version: "0.8.22",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200,
       },
+      // Storage layouts are checked by scripts/upgrade.js before upgrading a proxy
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
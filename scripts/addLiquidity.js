@@ -2,6 +2,7 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const { getNetworkInfo, getAddressUrl } = require("./helpers/networks");
+const { writeFrontendConfig } = require("./helpers/frontendConfig");
 
 /**
  * PancakeSwap Router Addresses
@@ -245,6 +246,7 @@ async function main() {
 
   fs.writeFileSync(filepath, JSON.stringify(deploymentData, null, 2));
   console.log("💾 Deployment data updated with liquidity info");
+  console.log("🖥️  Frontend config written to:", writeFrontendConfig());
 
   // Summary
   console.log("\n" + "=".repeat(60));
@@ -0,0 +1,101 @@
+// Post a proof-of-reserve attestation for SWAT (local/testnet mock feed)
+//
+// Usage:
+//   RESERVE_AMOUNT=1000000 npx hardhat run scripts/attestReserves.js --network localhost
+//
+// On first run this deploys MockReserveFeed, records it in the deployment file
+// and points SWATToken at it, so minting is gated by the posted reserves.
+//
+// Environment:
+//   RESERVE_AMOUNT   Attested reserves in SWAT (default: 1000000)
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getNetworkInfo, getAddressUrl } = require("./helpers/networks");
+
+async function main() {
+  console.log("\n🏦 Posting Reserve Attestation...\n");
+
+  const networkInfo = await getNetworkInfo();
+  console.log(`📡 Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
+
+  if (networkInfo.name === "BSC Mainnet") {
+    console.log("❌ The mock reserve feed is for local and testnet use only\n");
+    process.exit(1);
+  }
+
+  const [attestor] = await hre.ethers.getSigners();
+  console.log("👤 Attestor:", attestor.address);
+
+  // Load deployment data
+  const filename = `${networkInfo.name.replace(/\s+/g, "-").toLowerCase()}.json`;
+  const filepath = path.join(__dirname, "..", "deployments", filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.log(`❌ Deployment file not found: ${filepath}`);
+    console.log("   Please deploy contracts first using:");
+    console.log(`   npx hardhat run scripts/deploy.js --network ${hre.network.name}\n`);
+    process.exit(1);
+  }
+
+  const deploymentData = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  const token = (await hre.ethers.getContractFactory("SWATToken")).attach(deploymentData.contracts.SWATToken.address);
+  const MockReserveFeed = await hre.ethers.getContractFactory("MockReserveFeed");
+
+  // Deploy and wire the feed on first use
+  let feed;
+  if (deploymentData.contracts.ReserveFeed) {
+    feed = MockReserveFeed.attach(deploymentData.contracts.ReserveFeed.address);
+    console.log(`🎯 Reserve Feed: ${deploymentData.contracts.ReserveFeed.address}\n`);
+  } else {
+    console.log("📝 Deploying MockReserveFeed...");
+    feed = await MockReserveFeed.deploy();
+    await feed.waitForDeployment();
+
+    const feedAddress = await feed.getAddress();
+    console.log("✅ MockReserveFeed deployed to:", feedAddress);
+    console.log("   Explorer:", getAddressUrl(feedAddress, networkInfo.name));
+
+    deploymentData.contracts.ReserveFeed = { address: feedAddress, mock: true };
+    fs.writeFileSync(filepath, JSON.stringify(deploymentData, null, 2));
+    console.log("💾 Deployment data updated with reserve feed\n");
+  }
+
+  const feedAddress = await feed.getAddress();
+  if ((await token.reserveFeed()) !== feedAddress) {
+    console.log("🔗 Pointing SWATToken at the reserve feed...");
+    await (await token.setReserveFeed(feedAddress)).wait();
+    console.log("✅ SWATToken minting is now gated by attested reserves\n");
+  }
+
+  const reserves = hre.ethers.parseEther(process.env.RESERVE_AMOUNT || "1000000");
+  const tx = await feed.postAttestation(reserves);
+  console.log(`⏳ Transaction submitted: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`✅ Attestation posted in block ${receipt.blockNumber}`);
+
+  const supply = await token.totalSupply();
+  const maxAge = await token.maxAttestationAge();
+  const headroom = reserves > supply ? reserves - supply : 0n;
+
+  console.log("\n" + "=".repeat(60));
+  console.log("📋 RESERVE SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`Attested Reserves: ${hre.ethers.formatEther(reserves)} SWAT`);
+  console.log(`Total Supply:      ${hre.ethers.formatEther(supply)} SWAT`);
+  console.log(`Mintable:          ${hre.ethers.formatEther(headroom)} SWAT`);
+  console.log(`Valid For:         ${Number(maxAge) / 3600} hours`);
+  console.log("=".repeat(60) + "\n");
+
+  if (reserves < supply) {
+    console.log("⚠️  Reserves are below the current supply, minting is blocked\n");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Attestation failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,7 +1,66 @@
+// Deploy SWATToken, mock BUSD, Escrow and EscrowWithExpiry (plus a mock WBNB
+// on local networks, for offers priced in BNB)
+//
+// Usage:
+//   npx hardhat run scripts/deploy.js --network localhost
+//   UPGRADEABLE=true npx hardhat run scripts/deploy.js --network localhost
+//
+// Environment:
+//   UPGRADEABLE   Set to "true" to deploy SWATToken behind a UUPS proxy and
+//                 Escrow behind a transparent proxy, both of which
+//                 scripts/upgrade.js can upgrade in place
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
-const { getNetworkInfo, getAddressUrl, waitForTx } = require("./helpers/networks");
+const { getNetworkInfo, getAddressUrl, getWrappedNativeAddress, waitForTx } = require("./helpers/networks");
+const { getStorageLayout } = require("./helpers/storageLayout");
+const { writeFrontendConfig } = require("./helpers/frontendConfig");
+
+const UPGRADEABLE = process.env.UPGRADEABLE === "true";
+
+// keccak256("eip1967.proxy.admin") - 1
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+/**
+ * Deploy an implementation and a proxy that initializes it
+ * @param admin Owner of a new ProxyAdmin for a transparent proxy; omit for UUPS
+ * @returns The proxy attached to the implementation ABI, plus upgrade metadata
+ */
+async function deployProxy(contractName, initArgs, admin) {
+  const Implementation = await hre.ethers.getContractFactory(contractName);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+
+  const initData = Implementation.interface.encodeFunctionData("initialize", initArgs);
+  let proxy;
+  const proxyInfo = {};
+  if (admin) {
+    // The proxy deploys its own ProxyAdmin and stores it in the EIP-1967 admin slot
+    const TransparentProxy = await hre.ethers.getContractFactory("TransparentUpgradeableProxy");
+    proxy = await TransparentProxy.deploy(implementationAddress, admin, initData);
+    await proxy.waitForDeployment();
+    const adminSlot = await hre.ethers.provider.getStorage(await proxy.getAddress(), ADMIN_SLOT);
+    proxyInfo.proxy = "Transparent";
+    proxyInfo.proxyAdmin = hre.ethers.getAddress("0x" + adminSlot.slice(-40));
+  } else {
+    const ERC1967Proxy = await hre.ethers.getContractFactory("ERC1967Proxy");
+    proxy = await ERC1967Proxy.deploy(implementationAddress, initData);
+    await proxy.waitForDeployment();
+    proxyInfo.proxy = "UUPS";
+  }
+
+  return {
+    contract: Implementation.attach(await proxy.getAddress()),
+    upgradeInfo: {
+      ...proxyInfo,
+      implementation: implementationAddress,
+      implementationContract: contractName,
+      // Baseline for scripts/upgrade.js storage layout checks
+      storageLayout: await getStorageLayout(hre, contractName),
+    },
+  };
+}
 
 async function main() {
   console.log("\n🚀 Starting Deployment...\n");
@@ -17,15 +76,33 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("💰 Balance:", hre.ethers.formatEther(balance), "BNB\n");
 
+  // First block the contracts can have events in (indexer replay start)
+  const startBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
+
+  if (UPGRADEABLE) {
+    console.log("🔁 Upgradeable mode: SWATToken goes behind a UUPS proxy, Escrow behind a transparent proxy\n");
+  }
+
   // Deploy SWATToken
   console.log("📝 Deploying SWATToken contract...");
-  const SWATToken = await hre.ethers.getContractFactory("SWATToken");
-  const swatToken = await SWATToken.deploy();
-  await swatToken.waitForDeployment();
+  let swatToken;
+  let tokenUpgradeInfo = {};
+  if (UPGRADEABLE) {
+    ({ contract: swatToken, upgradeInfo: tokenUpgradeInfo } = await deployProxy("SWATTokenUpgradeable", [
+      deployer.address,
+    ]));
+  } else {
+    const SWATToken = await hre.ethers.getContractFactory("SWATToken");
+    swatToken = await SWATToken.deploy();
+    await swatToken.waitForDeployment();
+  }
   
   const tokenAddress = await swatToken.getAddress();
   console.log("✅ SWATToken deployed to:", tokenAddress);
   console.log("   Explorer:", getAddressUrl(tokenAddress, networkInfo.name));
+  if (UPGRADEABLE) {
+    console.log("   Implementation:", tokenUpgradeInfo.implementation);
+  }
 
   // Verify token details
   const name = await swatToken.name();
@@ -50,14 +127,81 @@ async function main() {
 
   // Deploy Escrow
   console.log("📝 Deploying Escrow contract...");
-  const Escrow = await hre.ethers.getContractFactory("Escrow");
-  const escrow = await Escrow.deploy();
-  await escrow.waitForDeployment();
+  let escrow;
+  let escrowUpgradeInfo = {};
+  if (UPGRADEABLE) {
+    ({ contract: escrow, upgradeInfo: escrowUpgradeInfo } = await deployProxy(
+      "EscrowUpgradeable",
+      [deployer.address],
+      deployer.address
+    ));
+  } else {
+    const Escrow = await hre.ethers.getContractFactory("Escrow");
+    escrow = await Escrow.deploy();
+    await escrow.waitForDeployment();
+  }
   
   const escrowAddress = await escrow.getAddress();
   console.log("✅ Escrow deployed to:", escrowAddress);
   console.log("   Explorer:", getAddressUrl(escrowAddress, networkInfo.name));
-  console.log();
+  if (UPGRADEABLE) {
+    console.log("   Implementation:", escrowUpgradeInfo.implementation);
+  }
+
+  // Parties on the SWAT blocklist cannot trade through the escrow
+  await (await escrow.updateBlocklist(tokenAddress)).wait();
+  console.log("   Blocklist: SWATToken");
+
+  // Only allow-listed tokens can be offered (base) or paid with (quote)
+  await (await escrow.setBaseToken(tokenAddress, true)).wait();
+  await (await escrow.setQuoteToken(busdAddress, true)).wait();
+  console.log("   Allow-list: SWAT (base), BUSD (quote)");
+
+  // Offers priced in WBNB can be paid in BNB (acceptOfferWithNative)
+  let wbnbAddress = getWrappedNativeAddress(networkInfo.name);
+  if (!wbnbAddress) {
+    const MockWBNB = await hre.ethers.getContractFactory("MockWBNB");
+    const mockWbnb = await MockWBNB.deploy();
+    await mockWbnb.waitForDeployment();
+    wbnbAddress = await mockWbnb.getAddress();
+  }
+  await (await escrow.setWrappedNative(wbnbAddress)).wait();
+  console.log(`   Wrapped native: WBNB ${wbnbAddress} (quote, payable in BNB)\n`);
+
+  // Mock tokens with non-18 decimals (for demo/testing)
+  const mockTokens = {};
+  if (networkInfo.name !== "BSC Mainnet") {
+    console.log("📝 Deploying mock USDC (6 decimals) and WBTC (8 decimals)...");
+    const MockToken = await hre.ethers.getContractFactory("MockToken");
+    for (const [key, name, symbol, decimals, side] of [
+      ["USDC", "USD Coin (Mock)", "USDC", 6, "quote"],
+      ["WBTC", "Wrapped BTC (Mock)", "WBTC", 8, "base"],
+    ]) {
+      const mock = await MockToken.deploy(name, symbol, decimals);
+      await mock.waitForDeployment();
+      const address = await mock.getAddress();
+
+      const listTx = side === "base"
+        ? await escrow.setBaseToken(address, true)
+        : await escrow.setQuoteToken(address, true);
+      await listTx.wait();
+
+      mockTokens[key] = { address, name, symbol, decimals };
+      console.log(`✅ Mock ${symbol} deployed to: ${address} (listed as ${side})`);
+    }
+    console.log("   Note: anyone can mint these mocks\n");
+  }
+
+  // Deploy EscrowWithExpiry (fiat-style P2P with disputes)
+  console.log("📝 Deploying EscrowWithExpiry contract...");
+  const EscrowWithExpiry = await hre.ethers.getContractFactory("EscrowWithExpiry");
+  const escrowWithExpiry = await EscrowWithExpiry.deploy();
+  await escrowWithExpiry.waitForDeployment();
+
+  const escrowWithExpiryAddress = await escrowWithExpiry.getAddress();
+  console.log("✅ EscrowWithExpiry deployed to:", escrowWithExpiryAddress);
+  console.log("   Explorer:", getAddressUrl(escrowWithExpiryAddress, networkInfo.name));
+  console.log("   Note: appoint arbitrators with setArbitrator(address, true)\n");
 
   // Prepare deployment data
   const deploymentData = {
@@ -65,12 +209,14 @@ async function main() {
     chainId: networkInfo.chainId,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
+    startBlock,
     contracts: {
       SWATToken: {
         address: tokenAddress,
         name: name,
         symbol: symbol,
         decimals: Number(decimals),
+        ...tokenUpgradeInfo,
       },
       BUSDToken: {
         address: busdAddress,
@@ -80,7 +226,20 @@ async function main() {
       },
       Escrow: {
         address: escrowAddress,
+        // Default payment token sellers quote offers in (passed to createOffer)
+        paymentToken: busdAddress,
+        ...escrowUpgradeInfo,
       },
+      EscrowWithExpiry: {
+        address: escrowWithExpiryAddress,
+      },
+      WBNB: {
+        address: wbnbAddress,
+        name: "Wrapped BNB",
+        symbol: "WBNB",
+        decimals: 18,
+      },
+      ...mockTokens,
     },
   };
 
@@ -95,6 +254,7 @@ async function main() {
   
   fs.writeFileSync(filepath, JSON.stringify(deploymentData, null, 2));
   console.log("💾 Deployment data saved to:", filepath);
+  console.log("🖥️  Frontend config written to:", writeFrontendConfig());
 
   // Summary
   console.log("\n" + "=".repeat(60));
@@ -104,6 +264,16 @@ async function main() {
   console.log(`SWATToken:    ${tokenAddress}`);
   console.log(`BUSDToken:    ${busdAddress} (Mock for demo)`);
   console.log(`Escrow:       ${escrowAddress}`);
+  console.log(`Offers quote: BUSD (${busdAddress})`);
+  console.log(`WBNB:         ${wbnbAddress}${getWrappedNativeAddress(networkInfo.name) ? "" : " (Mock)"}`);
+  for (const mock of Object.values(mockTokens)) {
+    console.log(`${(mock.symbol + ":").padEnd(14)}${mock.address} (Mock, ${mock.decimals} decimals)`);
+  }
+  console.log(`EscrowWithExpiry: ${escrowWithExpiryAddress}`);
+  if (UPGRADEABLE) {
+    console.log(`Proxies:      SWATToken (UUPS), Escrow (transparent, ProxyAdmin ${escrowUpgradeInfo.proxyAdmin})`);
+    console.log(`              Upgrade with scripts/upgrade.js`);
+  }
   console.log(`Deployer:     ${deployer.address}`);
   console.log("=".repeat(60) + "\n");
 
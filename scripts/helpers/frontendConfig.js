@@ -0,0 +1,73 @@
+// Frontend configuration helper
+//
+// The frontend cannot read deployments/*.json when opened from disk, so the
+// addresses it needs are written to frontend/config.js as a script that sets
+// window.SWAT_DEPLOYMENTS, keyed by chain ID. app-swat.js picks the entry for
+// the chain the wallet is connected to.
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const CONFIG_PATH = path.join(__dirname, "..", "..", "frontend", "config.js");
+
+// Frontend name -> deployment file name
+const FRONTEND_CONTRACTS = {
+  SWAT: "SWATToken",
+  BUSD: "BUSDToken",
+  Escrow: "Escrow",
+  EscrowWithExpiry: "EscrowWithExpiry",
+};
+
+/**
+ * Pick the addresses the frontend uses out of one deployment file
+ * Contracts missing from older deployment files are left out
+ */
+function toFrontendDeployment(deploymentData) {
+  const contracts = deploymentData.contracts || {};
+  const mockContracts = (deploymentData.liquidity && deploymentData.liquidity.mockContracts) || {};
+
+  const addresses = {};
+  for (const [name, deployedName] of Object.entries(FRONTEND_CONTRACTS)) {
+    if (contracts[deployedName] && contracts[deployedName].address) {
+      addresses[name] = contracts[deployedName].address;
+    }
+  }
+  // The price panel reads the SWAT/BUSD pair from the mock DEX set up by addLiquidity.js
+  if (mockContracts.factory) {
+    addresses.MockFactory = mockContracts.factory;
+    addresses.MockBUSD = mockContracts.busd;
+  }
+
+  return {
+    network: deploymentData.network,
+    startBlock: deploymentData.startBlock || 0,
+    contracts: addresses,
+  };
+}
+
+/**
+ * Regenerate frontend/config.js from every deployment file
+ * @returns Path of the written config
+ */
+function writeFrontendConfig() {
+  const deployments = {};
+  if (fs.existsSync(DEPLOYMENTS_DIR)) {
+    for (const file of fs.readdirSync(DEPLOYMENTS_DIR).filter((name) => name.endsWith(".json"))) {
+      const deploymentData = JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8"));
+      deployments[deploymentData.chainId] = toFrontendDeployment(deploymentData);
+    }
+  }
+
+  const source = [
+    "// Generated by scripts/deploy.js from deployments/*.json - do not edit",
+    `window.SWAT_DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)};`,
+    "",
+  ].join("\n");
+  fs.writeFileSync(CONFIG_PATH, source);
+  return CONFIG_PATH;
+}
+
+module.exports = {
+  toFrontendDeployment,
+  writeFrontendConfig,
+};
@@ -0,0 +1,345 @@
+// JSON-file store for the event indexer
+//
+// Raw events are kept in block order and every view (offers, bids, trades,
+// volume, proceeds) is derived from them on read, so rolling back a reorg only means dropping
+// the events at or above the first replaced block.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Load the store from disk, or start an empty one
+ */
+function loadStore(filepath, chainId) {
+  if (fs.existsSync(filepath)) {
+    const store = JSON.parse(fs.readFileSync(filepath, "utf8"));
+    if (store.chainId === chainId) {
+      return store;
+    }
+    console.log(`⚠️  Store at ${filepath} is for chain ${store.chainId}, starting fresh`);
+  }
+
+  return {
+    chainId,
+    lastBlock: null,
+    blockHashes: {}, // Recent block number -> hash, used to detect reorgs
+    events: [],
+  };
+}
+
+/**
+ * Write the store atomically (temp file + rename)
+ */
+function saveStore(filepath, store) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  const tmp = `${filepath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, filepath);
+}
+
+/**
+ * Drop everything recorded from a block onwards (reorged out)
+ */
+function rollbackTo(store, fromBlock) {
+  store.events = store.events.filter((event) => event.blockNumber < fromBlock);
+  for (const blockNumber of Object.keys(store.blockHashes)) {
+    if (Number(blockNumber) >= fromBlock) {
+      delete store.blockHashes[blockNumber];
+    }
+  }
+  store.lastBlock = fromBlock - 1;
+}
+
+/**
+ * Forget hashes older than the reorg window
+ */
+function pruneBlockHashes(store, keepFrom) {
+  for (const blockNumber of Object.keys(store.blockHashes)) {
+    if (Number(blockNumber) < keepFrom) {
+      delete store.blockHashes[blockNumber];
+    }
+  }
+}
+
+function sameAddress(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Events that carry an offerId (bids, signed orders and proceeds have their own views)
+const OFFER_EVENTS = new Set([
+  "OfferCreated",
+  "OfferUpdated",
+  "OfferFilled",
+  "OfferAccepted",
+  "OfferReleased",
+  "DisputeResolved",
+  "OfferCancelled",
+  "PausedExit",
+  "OfferExpired",
+]);
+
+/**
+ * Rebuild offer state from the event log
+ * Keys are "<contract>:<offerId>" since both escrows number offers from 0
+ */
+function buildOffers(store) {
+  const offers = new Map();
+
+  for (const event of store.events) {
+    if (!OFFER_EVENTS.has(event.event)) {
+      continue;
+    }
+
+    const key = `${event.contract}:${event.args.offerId}`;
+    const offer = offers.get(key);
+    const args = event.args;
+
+    switch (event.event) {
+      case "OfferCreated":
+        offers.set(key, {
+          contract: event.contract,
+          offerId: args.offerId,
+          seller: args.seller,
+          buyer: args.buyer,
+          tokenAddress: args.tokenAddress,
+          paymentToken: args.paymentToken,
+          amount: args.amount,
+          filledAmount: "0",
+          priceInBUSD: args.priceInBUSD,
+          status: "active",
+          createdAt: event.timestamp,
+          createdTx: event.txHash,
+          updatedAt: event.timestamp,
+        });
+        break;
+      case "OfferUpdated":
+        if (offer) {
+          offer.buyer = args.buyer;
+          offer.amount = args.amount;
+          offer.priceInBUSD = args.priceInBUSD;
+        }
+        break;
+      case "OfferFilled":
+        if (offer) {
+          offer.filledAmount = (BigInt(offer.filledAmount) + BigInt(args.amount)).toString();
+          if (args.remainingAmount === "0") {
+            offer.status = "filled";
+          }
+        }
+        break;
+      case "OfferAccepted":
+        if (offer) {
+          offer.filledAmount = (BigInt(offer.filledAmount) + BigInt(args.amount)).toString();
+          offer.status = event.contract === "Escrow" ? "filled" : "accepted";
+        }
+        break;
+      case "OfferReleased":
+        if (offer) {
+          offer.filledAmount = args.amount;
+          offer.status = "released";
+        }
+        break;
+      case "DisputeResolved":
+        if (offer) {
+          offer.status = "resolved";
+        }
+        break;
+      case "OfferCancelled":
+      case "PausedExit":
+        if (offer) {
+          offer.status = "cancelled";
+        }
+        break;
+      case "OfferExpired":
+        if (offer) {
+          offer.status = "expired";
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (offer) {
+      offer.updatedAt = event.timestamp;
+    }
+  }
+
+  return [...offers.values()];
+}
+
+/**
+ * Rebuild Escrow bid state from the event log
+ */
+function buildBids(store) {
+  const bids = new Map();
+
+  for (const event of store.events) {
+    const args = event.args;
+    const bid = bids.get(args.bidId);
+
+    switch (event.event) {
+      case "BidCreated":
+        bids.set(args.bidId, {
+          bidId: args.bidId,
+          buyer: args.buyer,
+          seller: args.seller,
+          tokenAddress: args.tokenAddress,
+          paymentToken: args.paymentToken,
+          amount: args.amount,
+          priceInBUSD: args.priceInBUSD,
+          status: "active",
+          createdAt: event.timestamp,
+          createdTx: event.txHash,
+          updatedAt: event.timestamp,
+        });
+        break;
+      case "BidAccepted":
+        if (bid) {
+          // Open bids record who filled them
+          bid.seller = args.seller;
+          bid.status = "filled";
+        }
+        break;
+      case "BidCancelled":
+      case "BidPausedExit":
+        if (bid) {
+          bid.status = "cancelled";
+        }
+        break;
+      default:
+        continue;
+    }
+
+    if (bid) {
+      bid.updatedAt = event.timestamp;
+    }
+  }
+
+  return [...bids.values()];
+}
+
+/**
+ * Settled trades: on-chain offer fills and accepts, accepted bids, filled
+ * signed orders, plus released fiat trades
+ */
+function buildTrades(store) {
+  const offers = new Map(buildOffers(store).map((offer) => [`${offer.contract}:${offer.offerId}`, offer]));
+  const bids = new Map(buildBids(store).map((bid) => [bid.bidId, bid]));
+  const trades = [];
+
+  for (const event of store.events) {
+    const base = {
+      contract: event.contract,
+      type: event.event,
+      seller: event.args.seller,
+      buyer: event.args.buyer,
+      amount: event.args.amount,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      txHash: event.txHash,
+    };
+
+    if (event.event === "BidAccepted") {
+      const bid = bids.get(event.args.bidId) || {};
+      trades.push({
+        ...base,
+        bidId: event.args.bidId,
+        tokenAddress: bid.tokenAddress,
+        paymentToken: bid.paymentToken,
+        paymentAmount: event.args.priceInBUSD,
+      });
+      continue;
+    }
+
+    if (event.event === "OrderFilled") {
+      trades.push({
+        ...base,
+        orderHash: event.args.orderHash,
+        nonce: event.args.nonce,
+        tokenAddress: event.args.tokenAddress,
+        paymentToken: event.args.paymentToken,
+        paymentAmount: event.args.paymentAmount,
+      });
+      continue;
+    }
+
+    const isTrade =
+      event.event === "OfferFilled" ||
+      event.event === "OfferAccepted" ||
+      (event.event === "OfferReleased" && event.contract === "EscrowWithExpiry");
+    if (!isTrade) {
+      continue;
+    }
+
+    const offer = offers.get(`${event.contract}:${event.args.offerId}`) || {};
+    let paymentAmount;
+    if (event.event === "OfferFilled") {
+      paymentAmount = event.args.paymentAmount;
+    } else if (event.event === "OfferAccepted") {
+      paymentAmount = event.args.priceInBUSD;
+    } else {
+      paymentAmount = offer.priceInBUSD; // Paid off-chain at the offer price
+    }
+
+    trades.push({
+      ...base,
+      offerId: event.args.offerId,
+      tokenAddress: offer.tokenAddress,
+      paymentToken: offer.paymentToken,
+      paymentAmount,
+    });
+  }
+
+  return trades;
+}
+
+/**
+ * Sum traded amounts per offered token and per payment token
+ */
+function buildVolume(trades) {
+  const tokenVolume = {};
+  const paymentVolume = {};
+
+  for (const trade of trades) {
+    if (trade.tokenAddress) {
+      tokenVolume[trade.tokenAddress] = (BigInt(tokenVolume[trade.tokenAddress] || 0) + BigInt(trade.amount)).toString();
+    }
+    if (trade.paymentToken && trade.paymentAmount) {
+      paymentVolume[trade.paymentToken] = (
+        BigInt(paymentVolume[trade.paymentToken] || 0) + BigInt(trade.paymentAmount)
+      ).toString();
+    }
+  }
+
+  return { tradeCount: trades.length, tokenVolume, paymentVolume };
+}
+
+/**
+ * Native-coin proceeds withdrawn from the Escrow (sales paid in BNB are
+ * already in buildTrades; this is when sellers pulled the money out)
+ */
+function buildWithdrawals(store) {
+  return store.events
+    .filter((event) => event.event === "ProceedsWithdrawn")
+    .map((event) => ({
+      account: event.args.account,
+      amount: event.args.amount,
+      unwrapped: event.args.unwrapped,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      txHash: event.txHash,
+    }));
+}
+
+module.exports = {
+  loadStore,
+  saveStore,
+  rollbackTo,
+  pruneBlockHashes,
+  sameAddress,
+  buildOffers,
+  buildBids,
+  buildTrades,
+  buildVolume,
+  buildWithdrawals,
+};
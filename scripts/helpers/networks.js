@@ -30,6 +30,17 @@ function getExplorerUrl(network) {
   return explorers[network] || "";
 }
 
+/**
+ * Get the canonical WBNB address for the current network ("" if there is none)
+ */
+function getWrappedNativeAddress(network) {
+  const wrapped = {
+    "BSC Testnet": "0xae13d989daC2f0dEbFf460aC112a837C89BAa7cd",
+    "BSC Mainnet": "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
+  };
+  return wrapped[network] || "";
+}
+
 /**
  * Get transaction URL
  */
@@ -84,6 +95,7 @@ function parseBNB(amount) {
 module.exports = {
   getNetworkInfo,
   getExplorerUrl,
+  getWrappedNativeAddress,
   getTxUrl,
   getAddressUrl,
   waitForTx,
@@ -0,0 +1,172 @@
+// Storage layout checks for upgradeable (proxy) contracts
+//
+// Layouts come from solc's storageLayout output (enabled in hardhat.config.js).
+// An upgrade is compatible when every variable of the previous implementation
+// keeps its name, slot, offset and type; new variables may only be appended.
+// A base contract reserves slots in a trailing __gap: variables added in front
+// of it must shrink the gap so that it still ends at the same slot. Structs may
+// only grow by appending members, and only behind a mapping, where each value
+// has its own region of storage.
+//
+// OpenZeppelin's upgradeable base contracts keep their state in namespaced
+// (ERC-7201) storage, so the layout checked here is the contract's own state.
+
+/**
+ * Read the storage layout of a compiled contract from its build info
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fqn = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fqn);
+
+  const layout = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+  if (!layout) {
+    throw new Error(`No storage layout for ${fqn}, is storageLayout in the compiler outputSelection?`);
+  }
+
+  return { storage: layout.storage, types: layout.types || {} };
+}
+
+/**
+ * Drop AST ids from a type id, e.g. "t_struct(Offer)15079_storage" -> "t_struct(Offer)_storage"
+ */
+function normalizeTypeId(typeId) {
+  return typeId.replace(/\)\d+/g, ")");
+}
+
+/**
+ * Compare two types, returning a description of the first difference (or null)
+ */
+function compareTypes(oldLayout, oldTypeId, newLayout, newTypeId, allowGrowth) {
+  const oldType = oldLayout.types[oldTypeId];
+  const newType = newLayout.types[newTypeId];
+
+  if (!oldType || !newType) {
+    return normalizeTypeId(oldTypeId) === normalizeTypeId(newTypeId)
+      ? null
+      : `type changed from ${normalizeTypeId(oldTypeId)} to ${normalizeTypeId(newTypeId)}`;
+  }
+
+  if (oldType.encoding !== newType.encoding) {
+    return `encoding changed from ${oldType.encoding} to ${newType.encoding}`;
+  }
+
+  if (oldType.encoding === "mapping") {
+    if (normalizeTypeId(oldType.key) !== normalizeTypeId(newType.key)) {
+      return `mapping key changed from ${oldType.label} to ${newType.label}`;
+    }
+    return compareTypes(oldLayout, oldType.value, newLayout, newType.value, true);
+  }
+
+  if (oldType.members) {
+    if (!newType.members) {
+      return `${oldType.label} is no longer a struct`;
+    }
+    if (newType.members.length < oldType.members.length) {
+      return `${oldType.label} lost members`;
+    }
+    if (newType.members.length > oldType.members.length && !allowGrowth) {
+      return `${oldType.label} grew, which is only safe behind a mapping`;
+    }
+    for (let i = 0; i < oldType.members.length; i++) {
+      const difference = compareEntries(oldLayout, oldType.members[i], newLayout, newType.members[i]);
+      if (difference) {
+        return `${oldType.label}.${difference}`;
+      }
+    }
+    return null;
+  }
+
+  if (oldType.base) {
+    if (!newType.base) {
+      return `${oldType.label} is no longer an array`;
+    }
+    if (oldType.numberOfBytes !== newType.numberOfBytes) {
+      return `array size changed from ${oldType.label} to ${newType.label}`;
+    }
+    // Array elements are packed back to back, so their type must not change size
+    return compareTypes(oldLayout, oldType.base, newLayout, newType.base, false);
+  }
+
+  if (normalizeTypeId(oldTypeId) !== normalizeTypeId(newTypeId) || oldType.numberOfBytes !== newType.numberOfBytes) {
+    return `type changed from ${oldType.label} to ${newType.label}`;
+  }
+
+  return null;
+}
+
+/**
+ * Compare one variable (or struct member), returning a description of the difference (or null)
+ */
+function compareEntries(oldLayout, oldEntry, newLayout, newEntry) {
+  if (!newEntry) {
+    return `${oldEntry.label} was removed`;
+  }
+  if (oldEntry.label !== newEntry.label) {
+    return `${oldEntry.label} was replaced by ${newEntry.label}`;
+  }
+  if (oldEntry.slot !== newEntry.slot || oldEntry.offset !== newEntry.offset) {
+    return `${oldEntry.label} moved from slot ${oldEntry.slot}:${oldEntry.offset} to ${newEntry.slot}:${newEntry.offset}`;
+  }
+
+  const difference = compareTypes(oldLayout, oldEntry.type, newLayout, newEntry.type, false);
+  return difference ? `${oldEntry.label}: ${difference}` : null;
+}
+
+/**
+ * First slot after a variable
+ */
+function endSlot(layout, entry) {
+  return Number(entry.slot) + Math.ceil(Number(layout.types[entry.type].numberOfBytes) / 32);
+}
+
+/**
+ * Compare a reserved __gap, which may shrink from the front as long as it still
+ * ends where it did, returning a description of the difference (or null)
+ */
+function compareGaps(oldLayout, oldEntry, newLayout, newEntry) {
+  if (!newEntry) {
+    return `${oldEntry.label} was removed`;
+  }
+  if (Number(newEntry.slot) < Number(oldEntry.slot)) {
+    return `${oldEntry.label} moved from slot ${oldEntry.slot} to ${newEntry.slot}`;
+  }
+  if (endSlot(oldLayout, oldEntry) !== endSlot(newLayout, newEntry)) {
+    return `${oldEntry.label} ended at slot ${endSlot(oldLayout, oldEntry)}, now ends at ${endSlot(newLayout, newEntry)}`;
+  }
+  return null;
+}
+
+/**
+ * Check that a new implementation's layout is compatible with the previous one
+ * @returns {string[]} Problems found, empty when the upgrade is safe
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const errors = [];
+  // Variables added in front of a gap shift the entries that follow it
+  let shift = 0;
+
+  oldLayout.storage.forEach((oldEntry, i) => {
+    let difference;
+    if (oldEntry.label === "__gap") {
+      const gapIndex = newLayout.storage.findIndex((entry, j) => j >= i + shift && entry.label === "__gap");
+      difference = compareGaps(oldLayout, oldEntry, newLayout, newLayout.storage[gapIndex]);
+      if (gapIndex !== -1) {
+        shift = gapIndex - i;
+      }
+    } else {
+      difference = compareEntries(oldLayout, oldEntry, newLayout, newLayout.storage[i + shift]);
+    }
+    if (difference) {
+      errors.push(difference);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  getStorageLayout,
+  normalizeTypeId,
+  compareStorageLayouts,
+};
@@ -0,0 +1,350 @@
+// Off-chain event indexer for escrow and SWAT token history
+//
+// Usage (against a local node started with `npx hardhat node`):
+//   npx hardhat run scripts/indexer.js --network localhost
+//
+// Environment:
+//   INDEXER_START_BLOCK   First block to replay (default: deployment block, else 0)
+//   INDEXER_REORG_DEPTH   Recent blocks re-checked for reorgs each poll (default: 12)
+//   INDEXER_POLL_MS       Poll interval in ms (default: 4000)
+//   INDEXER_PORT          HTTP API port (default: 8787, 0 disables the API)
+//   INDEXER_DB            JSON store path (default: indexer-data/<network>.json)
+//   INDEXER_ONCE          Set to "true" to sync to the head once and exit
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { getNetworkInfo } = require("./helpers/networks");
+const {
+  loadStore,
+  saveStore,
+  rollbackTo,
+  pruneBlockHashes,
+  sameAddress,
+  buildOffers,
+  buildBids,
+  buildTrades,
+  buildVolume,
+  buildWithdrawals,
+} = require("./helpers/indexerStore");
+
+const REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 12);
+const POLL_MS = Number(process.env.INDEXER_POLL_MS || 4000);
+const PORT = Number(process.env.INDEXER_PORT ?? 8787);
+const BLOCK_RANGE = 2000; // Max blocks per getLogs call
+
+// Events replayed per contract. Offers paid in BNB emit the same OfferAccepted /
+// OfferFilled as token payments; ProceedsWithdrawn records the seller's pull.
+const INDEXED_EVENTS = {
+  Escrow: [
+    "OfferCreated",
+    "OfferUpdated",
+    "OfferAccepted",
+    "OfferFilled",
+    "OfferCancelled",
+    "PausedExit",
+    "BidCreated",
+    "BidAccepted",
+    "BidCancelled",
+    "BidPausedExit",
+    "OrderFilled",
+    "ProceedsWithdrawn",
+  ],
+  EscrowWithExpiry: [
+    "OfferCreated",
+    "OfferAccepted",
+    "OfferReleased",
+    "OfferCancelled",
+    "OfferExpired",
+    "DisputeResolved",
+    "PausedExit",
+  ],
+  SWATToken: ["Transfer"],
+};
+
+/**
+ * Convert decoded event args into a plain JSON-safe object
+ */
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * Walk back through the reorg window and roll back past the first block
+ * whose hash no longer matches the chain
+ */
+async function checkReorg(provider, store) {
+  if (store.lastBlock === null) {
+    return;
+  }
+
+  const recent = Object.keys(store.blockHashes)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  for (const blockNumber of recent) {
+    const block = await provider.getBlock(blockNumber);
+    if (!block || block.hash !== store.blockHashes[blockNumber]) {
+      console.log(`🔀 Reorg detected at block ${blockNumber}, rolling back`);
+      rollbackTo(store, blockNumber);
+      return;
+    }
+  }
+}
+
+/**
+ * Fetch and decode logs for one block range
+ */
+async function fetchEvents(provider, contracts, fromBlock, toBlock) {
+  const addresses = Object.values(contracts).map((contract) => contract.address);
+  const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+  const timestamps = {};
+  const events = [];
+
+  for (const log of logs) {
+    const [name, contract] = Object.entries(contracts).find(([, c]) => sameAddress(c.address, log.address));
+    const parsed = contract.iface.parseLog(log);
+    if (!parsed || !INDEXED_EVENTS[name].includes(parsed.name)) {
+      continue;
+    }
+
+    if (timestamps[log.blockNumber] === undefined) {
+      const block = await provider.getBlock(log.blockNumber);
+      timestamps[log.blockNumber] = block.timestamp;
+    }
+
+    events.push({
+      contract: name,
+      event: parsed.name,
+      args: serializeArgs(parsed.fragment, parsed.args),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp: timestamps[log.blockNumber],
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Bring the store up to the chain head
+ */
+async function sync(provider, contracts, store, startBlock) {
+  await checkReorg(provider, store);
+
+  const head = await provider.getBlockNumber();
+  let fromBlock = store.lastBlock === null ? startBlock : store.lastBlock + 1;
+
+  while (fromBlock <= head) {
+    const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, head);
+    const events = await fetchEvents(provider, contracts, fromBlock, toBlock);
+
+    // Remember hashes inside the reorg window so the next poll can verify them
+    for (let n = Math.max(fromBlock, head - REORG_DEPTH + 1); n <= toBlock; n++) {
+      const block = await provider.getBlock(n);
+      store.blockHashes[n] = block.hash;
+    }
+
+    // A reorg between getLogs and getBlock leaves logs from replaced blocks behind
+    // hashes of the new chain: drop the range and fetch it again on the next poll
+    const stale = events.find(
+      (event) => store.blockHashes[event.blockNumber] !== undefined && event.blockHash !== store.blockHashes[event.blockNumber]
+    );
+    if (stale) {
+      console.log(`🔀 Reorg detected at block ${stale.blockNumber} while syncing, rolling back`);
+      rollbackTo(store, fromBlock);
+      break;
+    }
+
+    store.events.push(...events);
+    if (events.length > 0) {
+      console.log(`📥 Blocks ${fromBlock}-${toBlock}: ${events.length} event(s)`);
+    }
+
+    store.lastBlock = toBlock;
+    fromBlock = toBlock + 1;
+  }
+
+  pruneBlockHashes(store, head - REORG_DEPTH + 1);
+}
+
+function involves(record, user) {
+  return !user || sameAddress(record.seller, user) || sameAddress(record.buyer, user);
+}
+
+function inRange(record, query) {
+  const from = query.get("from");
+  const to = query.get("to");
+  return (!from || record.timestamp >= Number(from)) && (!to || record.timestamp <= Number(to));
+}
+
+/**
+ * Small read-only HTTP API over the store
+ * @param port Port to listen on (0 picks a free one)
+ */
+function startServer(store, port = PORT) {
+  const routes = {
+    "/health": () => ({ chainId: store.chainId, lastBlock: store.lastBlock, events: store.events.length }),
+    "/offers": (query) => {
+      const status = query.get("status");
+      return buildOffers(store).filter(
+        (offer) => involves(offer, query.get("user")) && (!status || offer.status === status)
+      );
+    },
+    "/bids": (query) => {
+      const status = query.get("status");
+      return buildBids(store).filter((bid) => involves(bid, query.get("user")) && (!status || bid.status === status));
+    },
+    "/trades": (query) => buildTrades(store).filter((trade) => involves(trade, query.get("user")) && inRange(trade, query)),
+    "/transfers": (query) => {
+      const user = query.get("user");
+      return store.events
+        .filter((event) => event.event === "Transfer")
+        .filter((event) => !user || sameAddress(event.args.from, user) || sameAddress(event.args.to, user))
+        .filter((event) => inRange(event, query))
+        .map((event) => ({ ...event.args, blockNumber: event.blockNumber, timestamp: event.timestamp, txHash: event.txHash }));
+    },
+    "/volume": (query) => buildVolume(buildTrades(store).filter((trade) => inRange(trade, query))),
+    "/withdrawals": (query) => {
+      const user = query.get("user");
+      return buildWithdrawals(store).filter(
+        (withdrawal) => (!user || sameAddress(withdrawal.account, user)) && inRange(withdrawal, query)
+      );
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = routes[url.pathname];
+
+    // The frontend is served from a different origin
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Content-Type", "application/json");
+
+    if (req.method !== "GET" || !route) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: "Not found" }));
+      return;
+    }
+
+    try {
+      res.end(JSON.stringify(route(url.searchParams)));
+    } catch (error) {
+      res.statusCode = 500;
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`🌐 Indexer API listening on http://localhost:${server.address().port}`);
+    console.log("   GET /offers?user=0x..&status=active");
+    console.log("   GET /bids?user=0x..&status=active");
+    console.log("   GET /trades?user=0x..&from=<unix>&to=<unix>");
+    console.log("   GET /transfers?user=0x..");
+    console.log("   GET /withdrawals?user=0x..");
+    console.log("   GET /volume\n");
+  });
+
+  return server;
+}
+
+async function main() {
+  console.log("\n🗂️  Starting Escrow Indexer...\n");
+
+  const networkInfo = await getNetworkInfo();
+  console.log(`📡 Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
+
+  // Load deployment data
+  const filename = `${networkInfo.name.replace(/\s+/g, "-").toLowerCase()}.json`;
+  const filepath = path.join(__dirname, "..", "deployments", filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.log(`❌ Deployment file not found: ${filepath}`);
+    console.log("   Please deploy contracts first using:");
+    console.log(`   npx hardhat run scripts/deploy.js --network ${hre.network.name}\n`);
+    process.exit(1);
+  }
+
+  const deploymentData = JSON.parse(fs.readFileSync(filepath, "utf8"));
+
+  const contracts = {};
+  for (const name of Object.keys(INDEXED_EVENTS)) {
+    const deployed = deploymentData.contracts[name];
+    if (!deployed) {
+      console.log(`⚠️  ${name} not in deployment file, skipping`);
+      continue;
+    }
+    const artifact = await hre.artifacts.readArtifact(name);
+    contracts[name] = { address: deployed.address, iface: new hre.ethers.Interface(artifact.abi) };
+    console.log(`🎯 ${name}: ${deployed.address}`);
+  }
+
+  const startBlock = Number(process.env.INDEXER_START_BLOCK || deploymentData.startBlock || 0);
+  const dbPath = process.env.INDEXER_DB || path.join(__dirname, "..", "indexer-data", filename);
+  const store = loadStore(dbPath, networkInfo.chainId);
+
+  console.log(`💾 Store: ${dbPath}`);
+  console.log(`⏮️  Start block: ${store.lastBlock === null ? startBlock : store.lastBlock + 1}\n`);
+
+  const provider = hre.ethers.provider;
+  await sync(provider, contracts, store, startBlock);
+  saveStore(dbPath, store);
+  console.log(`✅ Synced to block ${store.lastBlock} (${store.events.length} events)\n`);
+
+  if (process.env.INDEXER_ONCE === "true") {
+    return;
+  }
+
+  const server = PORT > 0 ? startServer(store) : null;
+
+  // Poll for new blocks until interrupted
+  let stopped = false;
+  process.on("SIGINT", () => {
+    stopped = true;
+    saveStore(dbPath, store);
+    if (server) {
+      server.close();
+    }
+    console.log("\n👋 Indexer stopped\n");
+    process.exit(0);
+  });
+
+  while (!stopped) {
+    await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+    try {
+      const before = store.lastBlock;
+      await sync(provider, contracts, store, startBlock);
+      if (store.lastBlock !== before) {
+        saveStore(dbPath, store);
+      }
+    } catch (error) {
+      console.error("⚠️  Sync failed, retrying:", error.message);
+    }
+  }
+}
+
+// Exported for the indexer tests; only run when executed as a script
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Indexer failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  REORG_DEPTH,
+  fetchEvents,
+  startServer,
+  sync,
+};
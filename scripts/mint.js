@@ -10,11 +10,14 @@ async function main() {
   const networkInfo = await getNetworkInfo();
   console.log(`📡 Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
 
-  // Get deployer account
-  const [deployer] = await hre.ethers.getSigners();
-  console.log("👤 Minter:", deployer.address);
+  // Minting uses the minter key when one is configured, not the deployer/admin
+  const [defaultSigner] = await hre.ethers.getSigners();
+  const minter = process.env.MINTER_PRIVATE_KEY
+    ? new hre.ethers.Wallet(process.env.MINTER_PRIVATE_KEY, hre.ethers.provider)
+    : defaultSigner;
+  console.log("👤 Minter:", minter.address, process.env.MINTER_PRIVATE_KEY ? "(MINTER_PRIVATE_KEY)" : "(default signer)");
   
-  const balance = await hre.ethers.provider.getBalance(deployer.address);
+  const balance = await hre.ethers.provider.getBalance(minter.address);
   console.log("💰 Balance:", hre.ethers.formatEther(balance), "BNB\n");
 
   // Load deployment data
@@ -36,7 +39,18 @@ async function main() {
 
   // Connect to deployed token contract
   const SWATToken = await hre.ethers.getContractFactory("SWATToken");
-  const token = SWATToken.attach(tokenAddress);
+  const token = SWATToken.attach(tokenAddress).connect(minter);
+
+  // Check the minter role and remaining allowance up front
+  const isMinter = await token.hasRole(await token.MINTER_ROLE(), minter.address);
+  const allowance = await token.minterAllowance(minter.address);
+  if (!isMinter) {
+    console.log(`❌ ${minter.address} does not have the MINTER_ROLE`);
+    console.log("   Ask the token admin to run configureMinter(minter, allowance),");
+    console.log("   or set MINTER_PRIVATE_KEY in .env to a configured minter\n");
+    process.exit(1);
+  }
+  console.log(`🔑 Minter Allowance: ${hre.ethers.formatEther(allowance)} SWAT`);
 
   // Check current supply
   const currentSupply = await token.totalSupply();
@@ -44,10 +58,11 @@ async function main() {
 
   // Mint 50,000 tokens
   const mintAmount = hre.ethers.parseEther("50000");
-  console.log(`\n🔨 Minting ${hre.ethers.formatEther(mintAmount)} SWAT to ${deployer.address}...`);
+  const recipient = process.env.MINT_TO || minter.address;
+  console.log(`\n🔨 Minting ${hre.ethers.formatEther(mintAmount)} SWAT to ${recipient}...`);
 
   try {
-    const tx = await token.mint(deployer.address, mintAmount);
+    const tx = await token.mint(recipient, mintAmount);
     console.log(`⏳ Transaction submitted: ${tx.hash}`);
     
     if (networkInfo.name !== "Hardhat Local") {
@@ -59,7 +74,8 @@ async function main() {
 
     // Verify minting succeeded
     const newSupply = await token.totalSupply();
-    const ownerBalance = await token.balanceOf(deployer.address);
+    const recipientBalance = await token.balanceOf(recipient);
+    const remainingAllowance = await token.minterAllowance(minter.address);
 
     console.log("\n" + "=".repeat(60));
     console.log("📋 MINTING SUMMARY");
@@ -68,14 +84,17 @@ async function main() {
     console.log(`Token Address:    ${tokenAddress}`);
     console.log(`Minted Amount:    ${hre.ethers.formatEther(mintAmount)} SWAT`);
     console.log(`New Total Supply: ${hre.ethers.formatEther(newSupply)} SWAT`);
-    console.log(`Owner Balance:    ${hre.ethers.formatEther(ownerBalance)} SWAT`);
+    console.log(`Recipient:        ${recipient}`);
+    console.log(`Recipient Balance: ${hre.ethers.formatEther(recipientBalance)} SWAT`);
+    console.log(`Minter Allowance: ${hre.ethers.formatEther(remainingAllowance)} SWAT left`);
     console.log(`Transaction Hash: ${tx.hash}`);
     console.log("=".repeat(60) + "\n");
 
     // Update deployment data with minting info
     deploymentData.minting = {
       amount: hre.ethers.formatEther(mintAmount),
-      recipient: deployer.address,
+      recipient,
+      minter: minter.address,
       txHash: tx.hash,
       blockNumber: receipt.blockNumber,
       timestamp: new Date().toISOString(),
@@ -97,10 +116,19 @@ async function main() {
   } catch (error) {
     console.error("\n❌ Minting failed:");
     
-    if (error.message.includes("Ownable: caller is not the owner")) {
-      console.error("   Error: Only the contract owner can mint tokens");
-      console.error(`   Current signer: ${deployer.address}`);
-      console.error(`   Make sure you're using the correct private key in .env`);
+    if (error.message.includes("AccessControlUnauthorizedAccount")) {
+      console.error("   Error: Only accounts with the MINTER_ROLE can mint tokens");
+      console.error(`   Current signer: ${minter.address}`);
+      console.error(`   Make sure MINTER_PRIVATE_KEY in .env belongs to a configured minter`);
+    } else if (error.message.includes("exceeds minter allowance")) {
+      console.error("   Error: Mint amount exceeds the minter allowance");
+      console.error("   Ask the token admin to top it up with configureMinter");
+    } else if (error.message.includes("exceeds reserves")) {
+      console.error("   Error: Minting would take supply past the attested reserves");
+      console.error(`   Post a new attestation: npx hardhat run scripts/attestReserves.js --network ${hre.network.name}`);
+    } else if (error.message.includes("reserve attestation stale")) {
+      console.error("   Error: The reserve attestation is missing or too old");
+      console.error(`   Post a new attestation: npx hardhat run scripts/attestReserves.js --network ${hre.network.name}`);
     } else {
       console.error(`   ${error.message}`);
     }
@@ -0,0 +1,160 @@
+// Redeem SWAT for an off-chain payout, or fulfil pending redemptions as an operator
+//
+// Usage:
+//   REDEEM_AMOUNT=100 PAYOUT_REFERENCE="IBAN ..." npx hardhat run scripts/redeem.js --network localhost
+//   npx hardhat run scripts/redeem.js --network localhost            (list pending requests)
+//   REDEMPTION_ID=0 SETTLEMENT_REFERENCE="WIRE-0001" npx hardhat run scripts/redeem.js --network localhost
+//
+// Environment:
+//   REDEEM_AMOUNT           SWAT to burn and redeem (holder)
+//   PAYOUT_REFERENCE        Where the payout should go (holder)
+//   REDEMPTION_ID           Request to mark fulfilled (operator)
+//   SETTLEMENT_REFERENCE    Proof of the off-chain payout (operator)
+//   OPERATOR_PRIVATE_KEY    Key holding the OPERATOR_ROLE (default: first signer)
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getNetworkInfo, getTxUrl } = require("./helpers/networks");
+
+const PAGE_SIZE = 50;
+
+/**
+ * Print every redemption that has not been paid out yet
+ */
+async function listPending(token) {
+  const count = Number(await token.getRedemptionCount());
+  const pending = [];
+
+  // Page through the pending index instead of every request ever filed
+  let total = 1;
+  while (pending.length < total) {
+    const [ids, pageTotal] = await token.getPendingRedemptionIds(pending.length, PAGE_SIZE);
+    total = Number(pageTotal);
+    if (ids.length === 0) {
+      break;
+    }
+    for (const id of ids) {
+      pending.push(await token.getRedemption(id));
+    }
+  }
+
+  console.log(`📋 Pending redemptions: ${pending.length} of ${count}`);
+  console.log(`   Owed to holders: ${hre.ethers.formatEther(await token.pendingRedemptions())} SWAT`);
+  console.log(`   Paid out so far: ${hre.ethers.formatEther(await token.totalRedeemed())} SWAT\n`);
+
+  for (const redemption of pending) {
+    const requestedAt = new Date(Number(redemption.requestedAt) * 1000).toISOString();
+    console.log(`   #${redemption.id} ${hre.ethers.formatEther(redemption.amount)} SWAT`);
+    console.log(`      Holder: ${redemption.holder}`);
+    console.log(`      Payout: ${redemption.payoutReference}`);
+    console.log(`      Requested: ${requestedAt}`);
+  }
+  console.log();
+}
+
+async function main() {
+  console.log("\n💵 Starting SWAT Redemption...\n");
+
+  const networkInfo = await getNetworkInfo();
+  console.log(`📡 Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
+
+  // Load deployment data
+  const filename = `${networkInfo.name.replace(/\s+/g, "-").toLowerCase()}.json`;
+  const filepath = path.join(__dirname, "..", "deployments", filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.log(`❌ Deployment file not found: ${filepath}`);
+    console.log("   Please deploy contracts first using:");
+    console.log(`   npx hardhat run scripts/deploy.js --network ${hre.network.name}\n`);
+    process.exit(1);
+  }
+
+  const deploymentData = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  const tokenAddress = deploymentData.contracts.SWATToken.address;
+  console.log(`🎯 Token Address: ${tokenAddress}\n`);
+
+  const SWATToken = await hre.ethers.getContractFactory("SWATToken");
+  const [defaultSigner] = await hre.ethers.getSigners();
+
+  // Holder: burn and file a redemption request
+  if (process.env.REDEEM_AMOUNT) {
+    const payoutReference = process.env.PAYOUT_REFERENCE;
+    if (!payoutReference) {
+      console.log("❌ PAYOUT_REFERENCE is required to redeem\n");
+      process.exit(1);
+    }
+
+    const token = SWATToken.attach(tokenAddress).connect(defaultSigner);
+    const amount = hre.ethers.parseEther(process.env.REDEEM_AMOUNT);
+    const balance = await token.balanceOf(defaultSigner.address);
+
+    console.log(`👤 Holder: ${defaultSigner.address}`);
+    console.log(`💰 Balance: ${hre.ethers.formatEther(balance)} SWAT`);
+    if (balance < amount) {
+      console.log(`❌ Cannot redeem ${process.env.REDEEM_AMOUNT} SWAT, balance too low\n`);
+      process.exit(1);
+    }
+
+    console.log(`\n🔥 Redeeming ${process.env.REDEEM_AMOUNT} SWAT to "${payoutReference}"...`);
+    const tx = await token.redeem(amount, payoutReference);
+    console.log(`⏳ Transaction submitted: ${tx.hash}`);
+    if (networkInfo.name !== "Hardhat Local") {
+      console.log(`   Explorer: ${getTxUrl(tx.hash, networkInfo.name)}`);
+    }
+
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => token.interface.parseLog(log))
+      .find((e) => e && e.name === "RedemptionRequested");
+
+    console.log(`✅ Redemption #${event.args.requestId} filed in block ${receipt.blockNumber}`);
+    console.log("   An operator will pay out and mark it fulfilled\n");
+    return;
+  }
+
+  // Operator: list pending requests, or fulfil one
+  const operator = process.env.OPERATOR_PRIVATE_KEY
+    ? new hre.ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, hre.ethers.provider)
+    : defaultSigner;
+  const token = SWATToken.attach(tokenAddress).connect(operator);
+
+  if (process.env.REDEMPTION_ID === undefined) {
+    await listPending(token);
+    return;
+  }
+
+  console.log(`👤 Operator: ${operator.address}`);
+  if (!(await token.hasRole(await token.OPERATOR_ROLE(), operator.address))) {
+    console.log(`❌ ${operator.address} does not have the OPERATOR_ROLE`);
+    console.log("   Set OPERATOR_PRIVATE_KEY in .env to an operator key\n");
+    process.exit(1);
+  }
+
+  const requestId = BigInt(process.env.REDEMPTION_ID);
+  const redemption = await token.getRedemption(requestId);
+  if (redemption.fulfilled) {
+    console.log(`❌ Redemption #${requestId} is already fulfilled (${redemption.settlementReference})\n`);
+    process.exit(1);
+  }
+
+  const settlementReference = process.env.SETTLEMENT_REFERENCE || "";
+  console.log(`\n✅ Marking #${requestId} (${hre.ethers.formatEther(redemption.amount)} SWAT to ${redemption.payoutReference}) fulfilled...`);
+
+  const tx = await token.fulfillRedemption(requestId, settlementReference);
+  console.log(`⏳ Transaction submitted: ${tx.hash}`);
+  if (networkInfo.name !== "Hardhat Local") {
+    console.log(`   Explorer: ${getTxUrl(tx.hash, networkInfo.name)}`);
+  }
+
+  const receipt = await tx.wait();
+  console.log(`✅ Redemption #${requestId} fulfilled in block ${receipt.blockNumber}`);
+  console.log(`   Still owed to holders: ${hre.ethers.formatEther(await token.pendingRedemptions())} SWAT\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Redemption script failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,128 @@
+// Dump SWAT holder balances at a past block to JSON (audits, reward distribution)
+//
+// Usage:
+//   SNAPSHOT_BLOCK=1234 npx hardhat run scripts/snapshotHolders.js --network localhost
+//
+// Holders are found by replaying Transfer events from the deployment block,
+// then each balance is read from the token's checkpoints with balanceOfAt.
+//
+// Environment:
+//   SNAPSHOT_BLOCK    Block to snapshot (default: the block before the head)
+//   SNAPSHOT_OUT      Output path (default: snapshots/<network>-<block>.json)
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getNetworkInfo } = require("./helpers/networks");
+
+const BLOCK_RANGE = 2000; // Max blocks per getLogs call
+
+/**
+ * Every address that held SWAT at some point up to the snapshot block
+ */
+async function findHolders(token, fromBlock, toBlock) {
+  const holders = new Set();
+
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+    const events = await token.queryFilter(token.filters.Transfer(), start, end);
+    for (const event of events) {
+      if (event.args.to !== hre.ethers.ZeroAddress) {
+        holders.add(event.args.to);
+      }
+    }
+  }
+
+  return [...holders];
+}
+
+async function main() {
+  console.log("\n📸 Taking SWAT Holder Snapshot...\n");
+
+  const networkInfo = await getNetworkInfo();
+  console.log(`📡 Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
+
+  // Load deployment data
+  const filename = `${networkInfo.name.replace(/\s+/g, "-").toLowerCase()}.json`;
+  const filepath = path.join(__dirname, "..", "deployments", filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.log(`❌ Deployment file not found: ${filepath}`);
+    console.log("   Please deploy contracts first using:");
+    console.log(`   npx hardhat run scripts/deploy.js --network ${hre.network.name}\n`);
+    process.exit(1);
+  }
+
+  const deploymentData = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  const tokenAddress = deploymentData.contracts.SWATToken.address;
+  const token = (await hre.ethers.getContractFactory("SWATToken")).attach(tokenAddress);
+  console.log(`🎯 Token Address: ${tokenAddress}`);
+
+  // Checkpoints only answer for mined blocks, so the head itself is excluded
+  const head = await hre.ethers.provider.getBlockNumber();
+  const snapshotBlock = Number(process.env.SNAPSHOT_BLOCK || head - 1);
+  if (snapshotBlock >= head) {
+    console.log(`❌ Snapshot block must be before the current block (${head})\n`);
+    process.exit(1);
+  }
+
+  const startBlock = Number(deploymentData.startBlock || 0);
+  console.log(`⏮️  Scanning Transfer events from block ${startBlock} to ${snapshotBlock}...`);
+  const candidates = await findHolders(token, startBlock, snapshotBlock);
+
+  const holders = [];
+  for (const address of candidates) {
+    const balance = await token.balanceOfAt(address, snapshotBlock);
+    if (balance > 0n) {
+      holders.push({ address, balance });
+    }
+  }
+  holders.sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+
+  const totalSupply = await token.totalSupplyAt(snapshotBlock);
+  const heldTotal = holders.reduce((sum, holder) => sum + holder.balance, 0n);
+  if (heldTotal !== totalSupply) {
+    console.log(`⚠️  Holder balances (${heldTotal}) do not add up to the supply (${totalSupply})`);
+    console.log("   Was the deployment start block set correctly?");
+  }
+
+  const block = await hre.ethers.provider.getBlock(snapshotBlock);
+  const snapshot = {
+    network: networkInfo.name,
+    chainId: networkInfo.chainId,
+    token: tokenAddress,
+    blockNumber: snapshotBlock,
+    blockTimestamp: block.timestamp,
+    totalSupply: totalSupply.toString(),
+    holderCount: holders.length,
+    holders: holders.map((holder) => ({
+      address: holder.address,
+      balance: holder.balance.toString(),
+      formatted: hre.ethers.formatEther(holder.balance),
+      // Share of supply in basis points
+      shareBps: totalSupply > 0n ? Number((holder.balance * 10000n) / totalSupply) : 0,
+    })),
+  };
+
+  const outPath =
+    process.env.SNAPSHOT_OUT ||
+    path.join(__dirname, "..", "snapshots", `${filename.replace(/\.json$/, "")}-${snapshotBlock}.json`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(snapshot, null, 2));
+
+  console.log("\n" + "=".repeat(60));
+  console.log("📋 SNAPSHOT SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`Block:        ${snapshotBlock} (${new Date(block.timestamp * 1000).toISOString()})`);
+  console.log(`Total Supply: ${hre.ethers.formatEther(totalSupply)} SWAT`);
+  console.log(`Holders:      ${holders.length}`);
+  console.log(`Output:       ${outPath}`);
+  console.log("=".repeat(60) + "\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Snapshot failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,170 @@
+// Upgrade a proxied SWATToken or Escrow (deployed with UPGRADEABLE=true) in place
+//
+// Usage:
+//   UPGRADE_TARGET=Escrow npx hardhat run scripts/upgrade.js --network localhost
+//   UPGRADE_TARGET=SWATToken UPGRADE_CONTRACT=SWATTokenUpgradeableV2 UPGRADE_DRY_RUN=true \
+//     npx hardhat run scripts/upgrade.js --network localhost
+//
+// The new implementation's storage layout is checked against the layout saved
+// for the current implementation before anything is deployed. Balances, offers
+// and every other piece of state stay at the proxy address. SWATToken upgrades
+// through its UUPS proxy, Escrow through its transparent proxy's ProxyAdmin.
+//
+// Environment:
+//   UPGRADE_TARGET     Deployment entry to upgrade: SWATToken or Escrow
+//   UPGRADE_CONTRACT   New implementation contract (default: the current one, rebuilt)
+//   UPGRADE_DRY_RUN    Set to "true" to only check the storage layout
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getNetworkInfo, getTxUrl } = require("./helpers/networks");
+const { getStorageLayout, compareStorageLayouts } = require("./helpers/storageLayout");
+
+// keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+// keccak256("eip1967.proxy.admin") - 1
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+async function readAddressSlot(proxyAddress, slot) {
+  const value = await hre.ethers.provider.getStorage(proxyAddress, slot);
+  return hre.ethers.getAddress("0x" + value.slice(-40));
+}
+
+async function readImplementation(proxyAddress) {
+  return readAddressSlot(proxyAddress, IMPLEMENTATION_SLOT);
+}
+
+async function main() {
+  console.log("\n🔁 Starting Proxy Upgrade...\n");
+
+  const networkInfo = await getNetworkInfo();
+  console.log(`📡 Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
+
+  const target = process.env.UPGRADE_TARGET;
+  if (!["SWATToken", "Escrow"].includes(target)) {
+    console.log("❌ UPGRADE_TARGET must be SWATToken or Escrow\n");
+    process.exit(1);
+  }
+
+  // Load deployment data
+  const filename = `${networkInfo.name.replace(/\s+/g, "-").toLowerCase()}.json`;
+  const filepath = path.join(__dirname, "..", "deployments", filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.log(`❌ Deployment file not found: ${filepath}`);
+    console.log("   Please deploy contracts first using:");
+    console.log(`   UPGRADEABLE=true npx hardhat run scripts/deploy.js --network ${hre.network.name}\n`);
+    process.exit(1);
+  }
+
+  const deploymentData = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  const deployed = deploymentData.contracts[target];
+  if (!deployed.implementation) {
+    console.log(`❌ ${target} at ${deployed.address} is not behind a proxy`);
+    console.log("   Redeploy with UPGRADEABLE=true to get an upgradeable deployment\n");
+    process.exit(1);
+  }
+
+  const contractName = process.env.UPGRADE_CONTRACT || deployed.implementationContract;
+  console.log(`🎯 Proxy: ${deployed.address}`);
+  console.log(`   Current implementation: ${deployed.implementation} (${deployed.implementationContract})`);
+  console.log(`   New implementation:     ${contractName}\n`);
+
+  const onChainImplementation = await readImplementation(deployed.address);
+  if (onChainImplementation !== hre.ethers.getAddress(deployed.implementation)) {
+    console.log(`❌ Proxy points at ${onChainImplementation}, not the recorded implementation`);
+    console.log("   The deployment file is out of date, so its storage layout cannot be trusted\n");
+    process.exit(1);
+  }
+
+  // Storage layout check against the implementation currently in use
+  console.log("🔍 Checking storage layout compatibility...");
+  const newLayout = await getStorageLayout(hre, contractName);
+  const errors = compareStorageLayouts(deployed.storageLayout, newLayout);
+  if (errors.length > 0) {
+    console.log(`❌ ${contractName} is not storage compatible with the current implementation:`);
+    errors.forEach((error) => console.log(`   - ${error}`));
+    console.log();
+    process.exit(1);
+  }
+  console.log(`✅ Storage layout compatible (${newLayout.storage.length} variables)\n`);
+
+  if (process.env.UPGRADE_DRY_RUN === "true") {
+    console.log("🧪 Dry run, nothing deployed\n");
+    return;
+  }
+
+  const [upgrader] = await hre.ethers.getSigners();
+  const Implementation = await hre.ethers.getContractFactory(contractName);
+  const proxy = Implementation.attach(deployed.address).connect(upgrader);
+
+  // A transparent proxy is upgraded by its ProxyAdmin's owner. For UUPS the
+  // proxy's owner() is checked; SWATToken's owner() is its default admin.
+  let proxyAdmin;
+  if (deployed.proxy === "Transparent") {
+    const adminAddress = await readAddressSlot(deployed.address, ADMIN_SLOT);
+    proxyAdmin = (await hre.ethers.getContractAt("ProxyAdmin", adminAddress)).connect(upgrader);
+  }
+  const owner = proxyAdmin ? await proxyAdmin.owner() : await proxy.owner();
+  if (owner !== upgrader.address) {
+    console.log(`❌ ${upgrader.address} cannot upgrade ${target}, only ${owner} can\n`);
+    process.exit(1);
+  }
+
+  console.log(`📝 Deploying ${contractName} implementation...`);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("✅ Implementation deployed to:", implementationAddress);
+
+  console.log("\n⬆️  Upgrading proxy...");
+  const tx = proxyAdmin
+    ? await proxyAdmin.upgradeAndCall(deployed.address, implementationAddress, "0x")
+    : await proxy.upgradeToAndCall(implementationAddress, "0x");
+  console.log(`⏳ Transaction submitted: ${tx.hash}`);
+  if (networkInfo.name !== "Hardhat Local") {
+    console.log(`   Explorer: ${getTxUrl(tx.hash, networkInfo.name)}`);
+  }
+  const receipt = await tx.wait();
+
+  if ((await readImplementation(deployed.address)) !== implementationAddress) {
+    throw new Error("Proxy implementation slot was not updated");
+  }
+  console.log(`✅ Upgraded in block ${receipt.blockNumber}`);
+
+  deploymentData.contracts[target] = {
+    ...deployed,
+    implementation: implementationAddress,
+    implementationContract: contractName,
+    storageLayout: newLayout,
+    upgrades: [
+      ...(deployed.upgrades || []),
+      {
+        from: deployed.implementation,
+        to: implementationAddress,
+        contract: contractName,
+        txHash: tx.hash,
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+  fs.writeFileSync(filepath, JSON.stringify(deploymentData, null, 2));
+  console.log("💾 Deployment data updated with the new implementation");
+
+  console.log("\n" + "=".repeat(60));
+  console.log("📋 UPGRADE SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`Target:         ${target}`);
+  console.log(`Proxy:          ${deployed.address}`);
+  console.log(`Implementation: ${implementationAddress} (${contractName})`);
+  console.log(`Previous:       ${deployed.implementation}`);
+  console.log("=".repeat(60) + "\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Upgrade failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -79,10 +79,14 @@ async function main() {
   console.log("=".repeat(60));
   console.log(`Address: ${deploymentData.contracts.SWATToken.address}`);
   console.log(`Explorer: ${getAddressUrl(deploymentData.contracts.SWATToken.address, networkInfo.name)}`);
+  if (deploymentData.contracts.SWATToken.implementation) {
+    console.log(`Implementation: ${deploymentData.contracts.SWATToken.implementation}`);
+  }
   console.log();
 
+  // Behind a proxy the implementation is verified; explorers resolve the proxy from it
   const tokenVerified = await verifyContract(
-    deploymentData.contracts.SWATToken.address,
+    deploymentData.contracts.SWATToken.implementation || deploymentData.contracts.SWATToken.address,
     [] // No constructor arguments
   );
   console.log();
@@ -93,10 +97,13 @@ async function main() {
   console.log("=".repeat(60));
   console.log(`Address: ${deploymentData.contracts.Escrow.address}`);
   console.log(`Explorer: ${getAddressUrl(deploymentData.contracts.Escrow.address, networkInfo.name)}`);
+  if (deploymentData.contracts.Escrow.implementation) {
+    console.log(`Implementation: ${deploymentData.contracts.Escrow.implementation}`);
+  }
   console.log();
 
   const escrowVerified = await verifyContract(
-    deploymentData.contracts.Escrow.address,
+    deploymentData.contracts.Escrow.implementation || deploymentData.contracts.Escrow.address,
     [] // No constructor arguments
   );
   console.log();
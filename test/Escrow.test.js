@@ -29,6 +29,12 @@ describe("Escrow", function () {
     escrow = await Escrow.deploy();
     await escrow.waitForDeployment();
 
+    // List both tokens on both sides so pairs can trade either way
+    for (const token of [swatToken, busdToken]) {
+      await escrow.setBaseToken(await token.getAddress(), true);
+      await escrow.setQuoteToken(await token.getAddress(), true);
+    }
+
     // Mint tokens for testing
     await swatToken.mint(seller.address, ethers.parseEther("10000"));
     await busdToken.mint(buyer.address, ethers.parseEther("10000"));
@@ -46,6 +52,7 @@ describe("Escrow", function () {
       const tx = await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -57,6 +64,7 @@ describe("Escrow", function () {
       const offer = await escrow.getOffer(0);
       expect(offer.seller).to.equal(seller.address);
       expect(offer.buyer).to.equal(buyer.address);
+      expect(offer.paymentToken).to.equal(await busdToken.getAddress());
       expect(offer.amount).to.equal(amount);
       expect(offer.priceInBUSD).to.equal(price);
       expect(offer.active).to.equal(true);
@@ -73,6 +81,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -93,6 +102,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -104,6 +114,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -119,6 +130,7 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           ethers.ZeroAddress,
           amount,
+          await busdToken.getAddress(),
           price,
           buyer.address
         );
@@ -135,6 +147,7 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           await swatToken.getAddress(),
           0,
+          await busdToken.getAddress(),
           price,
           buyer.address
         );
@@ -153,6 +166,7 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           await swatToken.getAddress(),
           amount,
+          await busdToken.getAddress(),
           0,
           buyer.address
         );
@@ -162,7 +176,26 @@ describe("Escrow", function () {
       }
     });
 
-    it("Should fail with invalid buyer address", async function () {
+    it("Should create an open offer with no designated buyer", async function () {
+      const amount = ethers.parseEther("1000");
+      const price = ethers.parseEther("1000");
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        ethers.ZeroAddress
+      );
+
+      const offer = await escrow.getOffer(0);
+      expect(offer.buyer).to.equal(ethers.ZeroAddress);
+      expect(offer.active).to.equal(true);
+    });
+
+    it("Should fail when buyer is same as seller", async function () {
       const amount = ethers.parseEther("1000");
       const price = ethers.parseEther("1000");
 
@@ -172,16 +205,17 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           await swatToken.getAddress(),
           amount,
+          await busdToken.getAddress(),
           price,
-          ethers.ZeroAddress
+          seller.address
         );
         expect.fail("Should have reverted");
       } catch (error) {
-        expect(error.message).to.include("invalid buyer address");
+        expect(error.message).to.include("buyer cannot be seller");
       }
     });
 
-    it("Should fail when buyer is same as seller", async function () {
+    it("Should fail with invalid payment token", async function () {
       const amount = ethers.parseEther("1000");
       const price = ethers.parseEther("1000");
 
@@ -191,12 +225,33 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           await swatToken.getAddress(),
           amount,
+          ethers.ZeroAddress,
           price,
-          seller.address
+          buyer.address
         );
         expect.fail("Should have reverted");
       } catch (error) {
-        expect(error.message).to.include("buyer cannot be seller");
+        expect(error.message).to.include("invalid payment token");
+      }
+    });
+
+    it("Should fail when payment token is the offered token", async function () {
+      const amount = ethers.parseEther("1000");
+      const price = ethers.parseEther("1000");
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+
+      try {
+        await escrow.connect(seller).createOffer(
+          await swatToken.getAddress(),
+          amount,
+          await swatToken.getAddress(),
+          price,
+          buyer.address
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("payment token same as offered token");
       }
     });
   });
@@ -212,6 +267,7 @@ describe("Escrow", function () {
       const tx = await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -223,7 +279,7 @@ describe("Escrow", function () {
     });
 
     it("Should accept offer successfully", async function () {
-      const tx = await escrow.connect(buyer).acceptOffer(offerId, await busdToken.getAddress());
+      const tx = await escrow.connect(buyer).acceptOffer(offerId, ethers.MaxUint256);
       const receipt = await tx.wait();
       expect(receipt.status).to.equal(1);
 
@@ -235,7 +291,7 @@ describe("Escrow", function () {
     it("Should transfer tokens to buyer", async function () {
       const buyerBalanceBefore = await swatToken.balanceOf(buyer.address);
 
-      await escrow.connect(buyer).acceptOffer(offerId, await busdToken.getAddress());
+      await escrow.connect(buyer).acceptOffer(offerId, ethers.MaxUint256);
 
       const buyerBalanceAfter = await swatToken.balanceOf(buyer.address);
       expect(buyerBalanceAfter).to.equal(buyerBalanceBefore + amount);
@@ -244,7 +300,7 @@ describe("Escrow", function () {
     it("Should transfer BUSD to seller", async function () {
       const sellerBalanceBefore = await busdToken.balanceOf(seller.address);
 
-      await escrow.connect(buyer).acceptOffer(offerId, await busdToken.getAddress());
+      await escrow.connect(buyer).acceptOffer(offerId, ethers.MaxUint256);
 
       const sellerBalanceAfter = await busdToken.balanceOf(seller.address);
       expect(sellerBalanceAfter).to.equal(sellerBalanceBefore + price);
@@ -252,7 +308,7 @@ describe("Escrow", function () {
 
     it("Should fail if caller is not the designated buyer", async function () {
       try {
-        await escrow.connect(addr3).acceptOffer(offerId, await busdToken.getAddress());
+        await escrow.connect(addr3).acceptOffer(offerId, ethers.MaxUint256);
         expect.fail("Should have reverted");
       } catch (error) {
         expect(error.message).to.include("caller is not the designated buyer");
@@ -261,26 +317,37 @@ describe("Escrow", function () {
 
     it("Should fail if offer is not active", async function () {
       // Accept the offer first
-      await escrow.connect(buyer).acceptOffer(offerId, await busdToken.getAddress());
+      await escrow.connect(buyer).acceptOffer(offerId, ethers.MaxUint256);
 
       // Try to accept again
       await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
 
       try {
-        await escrow.connect(buyer).acceptOffer(offerId, await busdToken.getAddress());
+        await escrow.connect(buyer).acceptOffer(offerId, ethers.MaxUint256);
         expect.fail("Should have reverted");
       } catch (error) {
         expect(error.message).to.include("offer is not active");
       }
     });
 
-    it("Should fail with invalid BUSD address", async function () {
+    it("Should only settle in the payment token chosen by the seller", async function () {
+      // Buyer holds a worthless token they minted themselves
+      const FakeToken = await ethers.getContractFactory("SWATToken");
+      const fakeToken = await FakeToken.connect(buyer).deploy();
+      await fakeToken.waitForDeployment();
+      await fakeToken.connect(buyer).mint(buyer.address, price);
+      await fakeToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), 0);
+
       try {
-        await escrow.connect(buyer).acceptOffer(offerId, ethers.ZeroAddress);
+        await escrow.connect(buyer).acceptOffer(offerId, ethers.MaxUint256);
         expect.fail("Should have reverted");
       } catch (error) {
-        expect(error.message).to.include("invalid BUSD address");
+        expect(error.message).to.include("InsufficientAllowance");
       }
+
+      expect(await fakeToken.balanceOf(seller.address)).to.equal(0n);
+      expect((await escrow.getOffer(offerId)).active).to.equal(true);
     });
 
     it("Should fail with insufficient BUSD allowance", async function () {
@@ -297,12 +364,13 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         newBuyer.address
       );
 
       try {
-        await escrow.connect(newBuyer).acceptOffer(1, await busdToken.getAddress());
+        await escrow.connect(newBuyer).acceptOffer(1, ethers.MaxUint256);
         expect.fail("Should have reverted");
       } catch (error) {
         expect(error.message).to.include("InsufficientAllowance");
@@ -321,6 +389,7 @@ describe("Escrow", function () {
       const tx = await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -380,6 +449,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -391,6 +461,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         addr3.address
       );
@@ -402,6 +473,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -418,6 +490,7 @@ describe("Escrow", function () {
       const tx = await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -440,6 +513,7 @@ describe("Escrow", function () {
       const tx = await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         largeAmount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -478,6 +552,7 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           await swatToken.getAddress(),
           amount,
+          await busdToken.getAddress(),
           price,
           buyer.address
         );
@@ -513,6 +588,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -532,6 +608,7 @@ describe("Escrow", function () {
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
@@ -540,6 +617,7 @@ describe("Escrow", function () {
         await escrow.connect(seller).createOffer(
           await swatToken.getAddress(),
           amount,
+          await busdToken.getAddress(),
           price,
           buyer.address
         );
@@ -551,28 +629,54 @@ describe("Escrow", function () {
   });
 
   describe("Security Features - Emergency Withdrawal", function () {
-    it("Should allow owner to emergency withdraw when paused", async function () {
+    it("Should allow owner to emergency withdraw surplus when paused", async function () {
+      const stray = ethers.parseEther("250");
+
+      // Tokens sent directly to the escrow by mistake
+      await swatToken.connect(seller).transfer(await escrow.getAddress(), stray);
+      expect(await escrow.getSurplus(await swatToken.getAddress())).to.equal(stray);
+
+      // Pause and emergency withdraw
+      await escrow.pause();
+      await escrow.emergencyWithdraw(
+        await swatToken.getAddress(),
+        stray,
+        owner.address
+      );
+
+      expect(await swatToken.balanceOf(owner.address)).to.equal(stray);
+    });
+
+    it("Should not allow owner to withdraw escrowed funds", async function () {
       const amount = ethers.parseEther("1000");
       const price = ethers.parseEther("1000");
+      const stray = ethers.parseEther("250");
 
       // Create offer (locks tokens in escrow)
       await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
       await escrow.connect(seller).createOffer(
         await swatToken.getAddress(),
         amount,
+        await busdToken.getAddress(),
         price,
         buyer.address
       );
+      await swatToken.connect(seller).transfer(await escrow.getAddress(), stray);
+
+      expect(await escrow.totalEscrowed(await swatToken.getAddress())).to.equal(amount);
 
-      // Pause and emergency withdraw
       await escrow.pause();
-      await escrow.emergencyWithdraw(
-        await swatToken.getAddress(),
-        amount,
-        owner.address
-      );
 
-      expect(await swatToken.balanceOf(owner.address)).to.equal(amount);
+      try {
+        await escrow.emergencyWithdraw(
+          await swatToken.getAddress(),
+          stray + 1n,
+          owner.address
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("amount exceeds surplus");
+      }
     });
 
     it("Should not allow emergency withdraw when not paused", async function () {
@@ -606,6 +710,92 @@ describe("Escrow", function () {
     });
   });
 
+  describe("Security Features - Paused Exit", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address
+      );
+    });
+
+    it("Should let the seller pull back their offer while paused", async function () {
+      const sellerBalanceBefore = await swatToken.balanceOf(seller.address);
+
+      await escrow.pause();
+      const tx = await escrow.connect(seller).pausedExit(0);
+      const receipt = await tx.wait();
+
+      expect(await swatToken.balanceOf(seller.address)).to.equal(sellerBalanceBefore + amount);
+      expect((await escrow.getOffer(0)).active).to.equal(false);
+      expect(await escrow.totalEscrowed(await swatToken.getAddress())).to.equal(0n);
+
+      const event = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((e) => e && e.name === "PausedExit");
+      expect(event.args.amount).to.equal(amount);
+    });
+
+    it("Should only return the unfilled remainder", async function () {
+      const fillAmount = ethers.parseEther("400");
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).fillOffer(0, fillAmount, ethers.MaxUint256);
+
+      const sellerBalanceBefore = await swatToken.balanceOf(seller.address);
+      await escrow.pause();
+      await escrow.connect(seller).pausedExit(0);
+
+      expect(await swatToken.balanceOf(seller.address)).to.equal(
+        sellerBalanceBefore + amount - fillAmount
+      );
+      expect(await swatToken.balanceOf(await escrow.getAddress())).to.equal(0n);
+    });
+
+    it("Should only be available while paused", async function () {
+      try {
+        await escrow.connect(seller).pausedExit(0);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ExpectedPause");
+      }
+    });
+
+    it("Should not let others exit the seller's offer", async function () {
+      await escrow.pause();
+
+      try {
+        await escrow.connect(buyer).pausedExit(0);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("caller is not the seller");
+      }
+    });
+
+    it("Should let a bidder pull back their payment while paused", async function () {
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).createBid(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        ethers.ZeroAddress
+      );
+
+      const buyerBalanceBefore = await busdToken.balanceOf(buyer.address);
+      await escrow.pause();
+      await escrow.connect(buyer).pausedExitBid(0);
+
+      expect(await busdToken.balanceOf(buyer.address)).to.equal(buyerBalanceBefore + price);
+      expect((await escrow.getBid(0)).active).to.equal(false);
+    });
+  });
+
   describe("Security Features - Fee Management", function () {
     it("Should allow owner to update platform fee", async function () {
       await escrow.updateFee(100); // 1%
@@ -635,4 +825,1591 @@ describe("Escrow", function () {
       }
     });
   });
+
+  describe("Open Offers", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        ethers.ZeroAddress
+      );
+
+      await busdToken.mint(addr3.address, price);
+      await busdToken.connect(addr3).approve(await escrow.getAddress(), price);
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+    });
+
+    it("Should let any taker accept an open offer", async function () {
+      await escrow.connect(addr3).acceptOffer(0, ethers.MaxUint256);
+
+      expect(await swatToken.balanceOf(addr3.address)).to.equal(amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+      expect((await escrow.getOffer(0)).active).to.equal(false);
+    });
+
+    it("Should only fill an open offer once", async function () {
+      await escrow.connect(addr3).acceptOffer(0, ethers.MaxUint256);
+
+      try {
+        await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("offer is not active");
+      }
+    });
+
+    it("Should not let the seller accept their own open offer", async function () {
+      await busdToken.mint(seller.address, price);
+      await busdToken.connect(seller).approve(await escrow.getAddress(), price);
+
+      try {
+        await escrow.connect(seller).acceptOffer(0, ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("seller cannot accept own offer");
+      }
+    });
+  });
+
+  describe("Partial Fills", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("2000");
+
+    beforeEach(async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address
+      );
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+    });
+
+    it("Should fill part of an offer at the same unit price", async function () {
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("250"), ethers.MaxUint256);
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(ethers.parseEther("250"));
+      expect(await busdToken.balanceOf(seller.address)).to.equal(ethers.parseEther("500"));
+
+      const offer = await escrow.getOffer(0);
+      expect(offer.filledAmount).to.equal(ethers.parseEther("250"));
+      expect(offer.active).to.equal(true);
+    });
+
+    it("Should emit OfferFilled with the remaining amount", async function () {
+      const tx = await escrow.connect(buyer).fillOffer(0, ethers.parseEther("400"), ethers.MaxUint256);
+      const receipt = await tx.wait();
+
+      const fillEvent = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((event) => event && event.name === "OfferFilled");
+
+      expect(fillEvent.args.amount).to.equal(ethers.parseEther("400"));
+      expect(fillEvent.args.paymentAmount).to.equal(ethers.parseEther("800"));
+      expect(fillEvent.args.remainingAmount).to.equal(ethers.parseEther("600"));
+    });
+
+    it("Should close the offer once fully filled", async function () {
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("600"), ethers.MaxUint256);
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("400"), ethers.MaxUint256);
+
+      const offer = await escrow.getOffer(0);
+      expect(offer.active).to.equal(false);
+      expect(offer.filledAmount).to.equal(amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+    });
+
+    it("Should accept the remainder of a partially filled offer", async function () {
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("100"), ethers.MaxUint256);
+
+      const [, , grossAmount] = await escrow.quoteAccept(0);
+      expect(grossAmount).to.equal(ethers.parseEther("1800"));
+
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+    });
+
+    it("Should only return the unfilled amount on cancel", async function () {
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("300"), ethers.MaxUint256);
+
+      const sellerBalanceBefore = await swatToken.balanceOf(seller.address);
+      await escrow.connect(seller).cancelOffer(0);
+
+      expect(await swatToken.balanceOf(seller.address)).to.equal(
+        sellerBalanceBefore + ethers.parseEther("700")
+      );
+      expect(await swatToken.balanceOf(await escrow.getAddress())).to.equal(0n);
+    });
+
+    it("Should fail when fill exceeds remaining amount", async function () {
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("900"), ethers.MaxUint256);
+
+      try {
+        await escrow.connect(buyer).fillOffer(0, ethers.parseEther("200"), ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("fill exceeds remaining amount");
+      }
+    });
+
+    it("Should fail with zero fill amount", async function () {
+      try {
+        await escrow.connect(buyer).fillOffer(0, 0, ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("fill amount must be greater than 0");
+      }
+    });
+
+    it("Should round each fill up so the total always equals the offer price", async function () {
+      // Wait for cooldown
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+
+      // 3 wei of tokens for 10 wei of BUSD: unit price is not a whole number
+      await swatToken.connect(seller).approve(await escrow.getAddress(), 3n);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        3n,
+        await busdToken.getAddress(),
+        10n,
+        buyer.address
+      );
+
+      const sellerBalanceBefore = await busdToken.balanceOf(seller.address);
+
+      const [, , firstCost] = await escrow.quoteFill(1, 1n);
+      expect(firstCost).to.equal(4n);
+
+      await escrow.connect(buyer).fillOffer(1, 1n, ethers.MaxUint256);
+      await escrow.connect(buyer).fillOffer(1, 1n, ethers.MaxUint256);
+      await escrow.connect(buyer).fillOffer(1, 1n, ethers.MaxUint256);
+
+      expect(await busdToken.balanceOf(seller.address)).to.equal(sellerBalanceBefore + 10n);
+    });
+
+    it("Should reject fills that would cost nothing", async function () {
+      // Wait for cooldown
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), 10n);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        10n,
+        await busdToken.getAddress(),
+        1n,
+        buyer.address
+      );
+
+      await escrow.connect(buyer).fillOffer(1, 1n, ethers.MaxUint256);
+
+      try {
+        await escrow.connect(buyer).fillOffer(1, 1n, ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("fill amount too small");
+      }
+    });
+  });
+
+  describe("Offer Updates", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address
+      );
+    });
+
+    it("Should reprice and reassign an offer in place", async function () {
+      const newPrice = ethers.parseEther("1200");
+
+      const tx = await escrow.connect(seller).updateOffer(0, amount, newPrice, ethers.ZeroAddress);
+      const receipt = await tx.wait();
+
+      const offer = await escrow.getOffer(0);
+      expect(offer.priceInBUSD).to.equal(newPrice);
+      expect(offer.buyer).to.equal(ethers.ZeroAddress);
+
+      const event = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((e) => e && e.name === "OfferUpdated");
+      expect(event.args.amount).to.equal(amount);
+      expect(event.args.priceInBUSD).to.equal(newPrice);
+    });
+
+    it("Should pull the difference when the amount is topped up", async function () {
+      const topUp = ethers.parseEther("500");
+      const sellerBalanceBefore = await swatToken.balanceOf(seller.address);
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), topUp);
+      await escrow.connect(seller).updateOffer(0, amount + topUp, price, buyer.address);
+
+      expect(await swatToken.balanceOf(seller.address)).to.equal(sellerBalanceBefore - topUp);
+      expect(await swatToken.balanceOf(await escrow.getAddress())).to.equal(amount + topUp);
+      expect(await escrow.totalEscrowed(await swatToken.getAddress())).to.equal(amount + topUp);
+    });
+
+    it("Should refund the difference when the amount is reduced", async function () {
+      const reduced = ethers.parseEther("400");
+      const sellerBalanceBefore = await swatToken.balanceOf(seller.address);
+
+      await escrow.connect(seller).updateOffer(0, reduced, price, buyer.address);
+
+      expect(await swatToken.balanceOf(seller.address)).to.equal(
+        sellerBalanceBefore + amount - reduced
+      );
+      expect(await swatToken.balanceOf(await escrow.getAddress())).to.equal(reduced);
+    });
+
+    it("Should not count against the rate limit", async function () {
+      await escrow.connect(seller).updateOffer(0, amount, ethers.parseEther("900"), buyer.address);
+      await escrow.connect(seller).updateOffer(0, amount, ethers.parseEther("800"), buyer.address);
+
+      expect(Number(await escrow.getRemainingOffers(seller.address))).to.equal(49);
+    });
+
+    it("Should price remaining fills at the new unit price", async function () {
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), ethers.parseEther("10000"));
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("400"), ethers.MaxUint256);
+
+      // 600 SWAT left, now at 2 BUSD each
+      await escrow.connect(seller).updateOffer(0, amount, ethers.parseEther("2000"), buyer.address);
+      const [, , grossAmount] = await escrow.quoteAccept(0);
+
+      expect(grossAmount).to.equal(ethers.parseEther("1200"));
+    });
+
+    it("Should not shrink below the filled amount", async function () {
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("400"), ethers.MaxUint256);
+
+      try {
+        await escrow.connect(seller).updateOffer(0, ethers.parseEther("400"), price, buyer.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("amount must exceed filled amount");
+      }
+    });
+
+    it("Should not settle an accept at a price raised after it was quoted", async function () {
+      const [, , quotedPayment] = await escrow.quoteAccept(0);
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), ethers.parseEther("10000"));
+
+      // The seller reprices while the buyer's accept is pending
+      await escrow.connect(seller).updateOffer(0, amount, ethers.parseEther("1500"), buyer.address);
+
+      try {
+        await escrow.connect(buyer).acceptOffer(0, quotedPayment);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("payment exceeds maxPayment");
+      }
+      expect((await escrow.getOffer(0)).active).to.be.true;
+
+      // Accepting at the new quote goes through
+      await escrow.connect(buyer).acceptOffer(0, ethers.parseEther("1500"));
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+    });
+
+    it("Should not settle a fill against an offer shrunk after it was quoted", async function () {
+      const fillAmount = ethers.parseEther("100");
+      const [, , quotedPayment] = await escrow.quoteFill(0, fillAmount);
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), ethers.parseEther("10000"));
+
+      // Same total price for half the tokens doubles the unit price
+      await escrow.connect(seller).updateOffer(0, amount / 2n, price, buyer.address);
+
+      try {
+        await escrow.connect(buyer).fillOffer(0, fillAmount, quotedPayment);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("payment exceeds maxPayment");
+      }
+    });
+
+    it("Should only let the seller update", async function () {
+      try {
+        await escrow.connect(buyer).updateOffer(0, amount, price, ethers.ZeroAddress);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("caller is not the seller");
+      }
+    });
+  });
+
+  describe("Offer Indexes", function () {
+    const amount = ethers.parseEther("100");
+    const price = ethers.parseEther("100");
+
+    async function createOfferFor(buyerAddress) {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyerAddress
+      );
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await createOfferFor(buyer.address);
+      await createOfferFor(ethers.ZeroAddress);
+      await createOfferFor(buyer.address);
+    });
+
+    it("Should page through active offers", async function () {
+      const [firstPage, total] = await escrow.getActiveOffers(0, 2);
+      expect(total).to.equal(3n);
+      expect(firstPage.length).to.equal(2);
+
+      const [secondPage] = await escrow.getActiveOffers(2, 2);
+      expect(secondPage.length).to.equal(1);
+
+      const [emptyPage] = await escrow.getActiveOffers(5, 2);
+      expect(emptyPage.length).to.equal(0);
+    });
+
+    it("Should index offers by seller, buyer and token", async function () {
+      const [bySeller] = await escrow.getActiveOffersBySeller(seller.address, 0, 10);
+      const [byBuyer] = await escrow.getActiveOffersByBuyer(buyer.address, 0, 10);
+      const [openOffers] = await escrow.getActiveOffersByBuyer(ethers.ZeroAddress, 0, 10);
+      const [byToken] = await escrow.getActiveOffersByToken(await swatToken.getAddress(), 0, 10);
+
+      expect(bySeller.length).to.equal(3);
+      expect(byBuyer.map((offer) => offer.id)).to.have.members([0n, 2n]);
+      expect(openOffers.map((offer) => offer.id)).to.deep.equal([1n]);
+      expect(byToken.length).to.equal(3);
+    });
+
+    it("Should drop cancelled and fully filled offers from the indexes", async function () {
+      await escrow.connect(seller).cancelOffer(0);
+
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).acceptOffer(1, ethers.MaxUint256);
+
+      const [active, total] = await escrow.getActiveOffers(0, 10);
+      expect(total).to.equal(1n);
+      expect(active[0].id).to.equal(2n);
+
+      const [, sellerTotal] = await escrow.getActiveOffersBySeller(seller.address, 0, 10);
+      expect(sellerTotal).to.equal(1n);
+    });
+
+    it("Should keep partially filled offers indexed", async function () {
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("40"), ethers.MaxUint256);
+
+      const [, total] = await escrow.getActiveOffers(0, 10);
+      expect(total).to.equal(3n);
+    });
+
+    it("Should move the offer between buyer indexes on update", async function () {
+      await escrow.connect(seller).updateOffer(0, amount, price, ethers.ZeroAddress);
+
+      const [, buyerTotal] = await escrow.getActiveOffersByBuyer(buyer.address, 0, 10);
+      const [, openTotal] = await escrow.getActiveOffersByBuyer(ethers.ZeroAddress, 0, 10);
+      expect(buyerTotal).to.equal(1n);
+      expect(openTotal).to.equal(2n);
+    });
+  });
+
+  describe("Bids", function () {
+    const amount = ethers.parseEther("500");
+    const price = ethers.parseEther("510");
+
+    beforeEach(async function () {
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).createBid(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        ethers.ZeroAddress
+      );
+    });
+
+    it("Should escrow the buyer's payment on bid creation", async function () {
+      const bid = await escrow.getBid(0);
+      expect(bid.buyer).to.equal(buyer.address);
+      expect(bid.amount).to.equal(amount);
+      expect(bid.priceInBUSD).to.equal(price);
+      expect(bid.active).to.equal(true);
+
+      expect(await busdToken.balanceOf(await escrow.getAddress())).to.equal(price);
+      expect(Number(await escrow.getBidCount())).to.equal(1);
+    });
+
+    it("Should let a seller fill the bid by delivering tokens", async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).acceptBid(0);
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+      expect((await escrow.getBid(0)).active).to.equal(false);
+    });
+
+    it("Should charge the platform fee on bid settlement", async function () {
+      await escrow.updateFeeCollector(addr3.address);
+      await escrow.updateFee(100); // 1%
+
+      const [sellerAmount, feeAmount] = await escrow.quoteAcceptBid(0);
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).acceptBid(0);
+
+      expect(await busdToken.balanceOf(seller.address)).to.equal(sellerAmount);
+      expect(await busdToken.balanceOf(addr3.address)).to.equal(feeAmount);
+      expect(feeAmount).to.equal(ethers.parseEther("5.1"));
+    });
+
+    it("Should return the escrowed payment on cancel", async function () {
+      const buyerBalanceBefore = await busdToken.balanceOf(buyer.address);
+
+      await escrow.connect(buyer).cancelBid(0);
+
+      expect(await busdToken.balanceOf(buyer.address)).to.equal(buyerBalanceBefore + price);
+      expect((await escrow.getBid(0)).active).to.equal(false);
+    });
+
+    it("Should fail if caller is not the bidder", async function () {
+      try {
+        await escrow.connect(seller).cancelBid(0);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("caller is not the buyer");
+      }
+    });
+
+    it("Should only let the designated seller fill a designated bid", async function () {
+      // Wait for cooldown
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).createBid(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        seller.address
+      );
+
+      try {
+        await escrow.connect(addr3).acceptBid(1);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("caller is not the designated seller");
+      }
+    });
+
+    it("Should share the offer cooldown", async function () {
+      await swatToken.connect(buyer).approve(await escrow.getAddress(), amount);
+
+      try {
+        await escrow.connect(buyer).createOffer(
+          await busdToken.getAddress(),
+          amount,
+          await swatToken.getAddress(),
+          price,
+          ethers.ZeroAddress
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("cooldown");
+      }
+    });
+
+    it("Should prevent bid creation when paused", async function () {
+      await escrow.pause();
+
+      try {
+        await escrow.connect(addr3).createBid(
+          await swatToken.getAddress(),
+          amount,
+          await busdToken.getAddress(),
+          price,
+          ethers.ZeroAddress
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("EnforcedPause");
+      }
+    });
+  });
+
+  describe("Bid Indexes", function () {
+    const amount = ethers.parseEther("100");
+    const price = ethers.parseEther("100");
+
+    async function createBidFor(sellerAddress) {
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).createBid(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        sellerAddress
+      );
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await createBidFor(seller.address);
+      await createBidFor(ethers.ZeroAddress);
+      await createBidFor(seller.address);
+    });
+
+    it("Should index bids by buyer and designated seller", async function () {
+      const [byBuyer, buyerTotal] = await escrow.getActiveBidsByAccount(buyer.address, 0, 10);
+      const [bySeller] = await escrow.getActiveBidsByAccount(seller.address, 0, 10);
+      const [openBids] = await escrow.getActiveBidsByAccount(ethers.ZeroAddress, 0, 10);
+
+      expect(buyerTotal).to.equal(3n);
+      expect(byBuyer.map((bid) => bid.id)).to.deep.equal([0n, 1n, 2n]);
+      expect(bySeller.map((bid) => bid.id)).to.have.members([0n, 2n]);
+      expect(openBids.map((bid) => bid.id)).to.deep.equal([1n]);
+      expect(openBids[0].buyer).to.equal(buyer.address);
+    });
+
+    it("Should page through an account's active bids", async function () {
+      const [firstPage, total] = await escrow.getActiveBidsByAccount(buyer.address, 0, 2);
+      expect(total).to.equal(3n);
+      expect(firstPage.length).to.equal(2);
+
+      const [secondPage] = await escrow.getActiveBidsByAccount(buyer.address, 2, 2);
+      expect(secondPage.length).to.equal(1);
+
+      const [emptyPage] = await escrow.getActiveBidsByAccount(buyer.address, 5, 2);
+      expect(emptyPage.length).to.equal(0);
+    });
+
+    it("Should drop accepted, cancelled and withdrawn bids from the indexes", async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).acceptBid(1);
+      await escrow.connect(buyer).cancelBid(0);
+
+      const [active, buyerTotal] = await escrow.getActiveBidsByAccount(buyer.address, 0, 10);
+      expect(buyerTotal).to.equal(1n);
+      expect(active[0].id).to.equal(2n);
+
+      const [, openTotal] = await escrow.getActiveBidsByAccount(ethers.ZeroAddress, 0, 10);
+      expect(openTotal).to.equal(0n);
+
+      await escrow.pause();
+      await escrow.connect(buyer).pausedExitBid(2);
+
+      const [, remaining] = await escrow.getActiveBidsByAccount(buyer.address, 0, 10);
+      const [, sellerTotal] = await escrow.getActiveBidsByAccount(seller.address, 0, 10);
+      expect(remaining).to.equal(0n);
+      expect(sellerTotal).to.equal(0n);
+    });
+  });
+
+  describe("Signed Orders", function () {
+    const amount = ethers.parseEther("500");
+    const price = ethers.parseEther("510");
+
+    const ORDER_TYPES = {
+      Order: [
+        { name: "seller", type: "address" },
+        { name: "tokenAddress", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "paymentToken", type: "address" },
+        { name: "priceInBUSD", type: "uint256" },
+        { name: "buyer", type: "address" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+
+    async function buildOrder(overrides = {}) {
+      const latest = await ethers.provider.getBlock("latest");
+      return {
+        seller: seller.address,
+        tokenAddress: await swatToken.getAddress(),
+        amount,
+        paymentToken: await busdToken.getAddress(),
+        priceInBUSD: price,
+        buyer: ethers.ZeroAddress,
+        expiry: latest.timestamp + 3600,
+        nonce: 0,
+        ...overrides,
+      };
+    }
+
+    async function signOrder(order, signer = seller) {
+      const domain = {
+        name: "SWAT Escrow",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await escrow.getAddress(),
+      };
+      return signer.signTypedData(domain, ORDER_TYPES, order);
+    }
+
+    beforeEach(async function () {
+      // Seller only approves; nothing is locked until the order is settled
+      await swatToken.connect(seller).approve(await escrow.getAddress(), ethers.parseEther("10000"));
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), ethers.parseEther("10000"));
+    });
+
+    it("Should settle a signed order from the seller's allowance", async function () {
+      const order = await buildOrder();
+      const signature = await signOrder(order);
+      const sellerBalanceBefore = await swatToken.balanceOf(seller.address);
+
+      const tx = await escrow.connect(buyer).fillOrder(order, signature);
+      const receipt = await tx.wait();
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+      expect(await swatToken.balanceOf(seller.address)).to.equal(sellerBalanceBefore - amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+      expect(await swatToken.balanceOf(await escrow.getAddress())).to.equal(0n);
+
+      const event = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((e) => e && e.name === "OrderFilled");
+      expect(event.args.orderHash).to.equal(await escrow.hashOrder(order));
+      expect(event.args.buyer).to.equal(buyer.address);
+      expect(event.args.tokenAddress).to.equal(await swatToken.getAddress());
+      expect(event.args.paymentToken).to.equal(await busdToken.getAddress());
+    });
+
+    it("Should match the EIP-712 digest computed off-chain", async function () {
+      const order = await buildOrder();
+      const domain = {
+        name: "SWAT Escrow",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      expect(await escrow.hashOrder(order)).to.equal(ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, order));
+    });
+
+    it("Should reject a signature from someone other than the seller", async function () {
+      const order = await buildOrder();
+      const signature = await signOrder(order, addr3);
+
+      try {
+        await escrow.connect(buyer).fillOrder(order, signature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("invalid signature");
+      }
+    });
+
+    it("Should reject an order altered after signing", async function () {
+      const order = await buildOrder();
+      const signature = await signOrder(order);
+
+      try {
+        await escrow.connect(buyer).fillOrder({ ...order, priceInBUSD: 1n }, signature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("invalid signature");
+      }
+    });
+
+    it("Should not settle the same order twice", async function () {
+      const order = await buildOrder();
+      const signature = await signOrder(order);
+      await escrow.connect(buyer).fillOrder(order, signature);
+
+      try {
+        await escrow.connect(buyer).fillOrder(order, signature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("nonce already used");
+      }
+    });
+
+    it("Should not settle an expired order", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const order = await buildOrder({ expiry: latest.timestamp });
+      const signature = await signOrder(order);
+
+      try {
+        await escrow.connect(buyer).fillOrder(order, signature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("order expired");
+      }
+    });
+
+    it("Should only let the designated buyer settle", async function () {
+      const order = await buildOrder({ buyer: addr3.address });
+      const signature = await signOrder(order);
+
+      try {
+        await escrow.connect(buyer).fillOrder(order, signature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("caller is not the designated buyer");
+      }
+    });
+
+    it("Should let the seller cancel an order by nonce", async function () {
+      const order = await buildOrder({ nonce: 7 });
+      const signature = await signOrder(order);
+
+      await escrow.connect(seller).cancelOrder(7);
+      expect(await escrow.isNonceValid(seller.address, 7)).to.equal(false);
+
+      try {
+        await escrow.connect(buyer).fillOrder(order, signature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("nonce already used");
+      }
+    });
+
+    it("Should cancel every order below a minimum nonce", async function () {
+      const oldOrder = await buildOrder({ nonce: 3 });
+      const oldSignature = await signOrder(oldOrder);
+      const newOrder = await buildOrder({ nonce: 10 });
+      const newSignature = await signOrder(newOrder);
+
+      await escrow.connect(seller).cancelOrdersBelow(10);
+
+      try {
+        await escrow.connect(buyer).fillOrder(oldOrder, oldSignature);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("nonce already used");
+      }
+
+      await escrow.connect(buyer).fillOrder(newOrder, newSignature);
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+    });
+
+    it("Should not let the minimum nonce go backwards", async function () {
+      await escrow.connect(seller).cancelOrdersBelow(10);
+
+      try {
+        await escrow.connect(seller).cancelOrdersBelow(5);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("nonce must increase");
+      }
+    });
+
+    it("Should charge the platform fee on order settlement", async function () {
+      await escrow.updateFeeCollector(addr3.address);
+      await escrow.updateFee(100); // 1%
+
+      const order = await buildOrder();
+      const tx = await escrow.connect(buyer).fillOrder(order, await signOrder(order));
+      const receipt = await tx.wait();
+
+      expect(await busdToken.balanceOf(addr3.address)).to.equal(ethers.parseEther("5.1"));
+      expect(await busdToken.balanceOf(seller.address)).to.equal(ethers.parseEther("504.9"));
+
+      const feeEvent = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((event) => event && event.name === "OrderFeeCollected");
+
+      expect(feeEvent.args.orderHash).to.equal(await escrow.hashOrder(order));
+      expect(feeEvent.args.feeCollector).to.equal(addr3.address);
+      expect(feeEvent.args.paymentToken).to.equal(await busdToken.getAddress());
+      expect(feeEvent.args.feeAmount).to.equal(ethers.parseEther("5.1"));
+    });
+  });
+
+  describe("Permit Variants", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("1000");
+
+    async function signPermit(token, signer, value, deadline) {
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const signature = await signer.signTypedData(domain, types, {
+        owner: signer.address,
+        spender: await escrow.getAddress(),
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline,
+      });
+      return ethers.Signature.from(signature);
+    }
+
+    async function futureDeadline() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+
+    it("Should create an offer in one transaction with a permit", async function () {
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(swatToken, seller, amount, deadline);
+
+      await escrow.connect(seller).createOfferWithPermit(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address,
+        deadline,
+        v,
+        r,
+        s
+      );
+
+      expect((await escrow.getOffer(0)).amount).to.equal(amount);
+      expect(await swatToken.balanceOf(await escrow.getAddress())).to.equal(amount);
+    });
+
+    it("Should accept an offer in one transaction with a permit", async function () {
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address
+      );
+
+      const [, , grossAmount] = await escrow.quoteAccept(0);
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(busdToken, buyer, grossAmount, deadline);
+
+      await escrow.connect(buyer).acceptOfferWithPermit(0, grossAmount, grossAmount, deadline, v, r, s);
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+    });
+
+    it("Should reject an expired permit", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const { v, r, s } = await signPermit(swatToken, seller, amount, deadline);
+
+      try {
+        await escrow.connect(seller).createOfferWithPermit(
+          await swatToken.getAddress(),
+          amount,
+          await busdToken.getAddress(),
+          price,
+          buyer.address,
+          deadline,
+          v,
+          r,
+          s
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ERC2612ExpiredSignature");
+      }
+    });
+
+    it("Should reject a replayed permit", async function () {
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(swatToken, seller, amount, deadline);
+      const args = [
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address,
+        deadline,
+        v,
+        r,
+        s,
+      ];
+
+      await escrow.connect(seller).createOfferWithPermit(...args);
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+
+      try {
+        await escrow.connect(seller).createOfferWithPermit(...args);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ERC2612InvalidSigner");
+      }
+    });
+
+    it("Should still work if the permit was front-run", async function () {
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(swatToken, seller, amount, deadline);
+
+      // Someone submits the permit directly before the seller's transaction
+      await swatToken
+        .connect(addr3)
+        .permit(seller.address, await escrow.getAddress(), amount, deadline, v, r, s);
+
+      await escrow.connect(seller).createOfferWithPermit(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address,
+        deadline,
+        v,
+        r,
+        s
+      );
+
+      expect((await escrow.getOffer(0)).seller).to.equal(seller.address);
+    });
+  });
+
+  describe("Compliance Blocklist", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await escrow.updateBlocklist(await swatToken.getAddress());
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount * 2n);
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price * 2n);
+    });
+
+    it("Should refuse offers from a blocked seller", async function () {
+      await swatToken.blockAccount(seller.address);
+
+      try {
+        await escrow.connect(seller).createOffer(
+          await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Escrow: party is blocked");
+      }
+    });
+
+    it("Should refuse offers designating a blocked buyer", async function () {
+      await swatToken.blockAccount(buyer.address);
+
+      try {
+        await escrow.connect(seller).createOffer(
+          await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Escrow: party is blocked");
+      }
+    });
+
+    it("Should refuse to settle once the seller is blocked", async function () {
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+      );
+      await swatToken.blockAccount(seller.address);
+
+      try {
+        await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Escrow: party is blocked");
+      }
+    });
+
+    it("Should refuse a blocked taker", async function () {
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+      );
+      await swatToken.blockAccount(buyer.address);
+
+      try {
+        await escrow.connect(buyer).fillOffer(0, amount / 2n, ethers.MaxUint256);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Escrow: party is blocked");
+      }
+    });
+
+    it("Should refuse bids from a blocked buyer", async function () {
+      await swatToken.blockAccount(buyer.address);
+
+      try {
+        await escrow.connect(buyer).createBid(
+          await swatToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Escrow: party is blocked");
+      }
+    });
+
+    it("Should skip the check when the blocklist is cleared", async function () {
+      await escrow.updateBlocklist(await busdToken.getAddress());
+      await busdToken.blockAccount(seller.address);
+
+      try {
+        await escrow.connect(seller).createOffer(
+          await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Escrow: party is blocked");
+      }
+
+      await escrow.updateBlocklist(ethers.ZeroAddress);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address
+      );
+      expect((await escrow.getOffer(0)).active).to.equal(true);
+    });
+
+    it("Should only allow the owner to set the blocklist", async function () {
+      try {
+        await escrow.connect(seller).updateBlocklist(ethers.ZeroAddress);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Ownable");
+      }
+    });
+  });
+
+  describe("Token Allow-List", function () {
+    let usdc;
+    let wbtc;
+
+    beforeEach(async function () {
+      const MockToken = await ethers.getContractFactory("MockToken");
+      usdc = await MockToken.deploy("USD Coin", "USDC", 6);
+      await usdc.waitForDeployment();
+      wbtc = await MockToken.deploy("Wrapped BTC", "WBTC", 8);
+      await wbtc.waitForDeployment();
+
+      await usdc.mint(buyer.address, ethers.parseUnits("100000", 6));
+      await wbtc.mint(seller.address, ethers.parseUnits("2", 8));
+    });
+
+    it("Should list tokens with their decimals", async function () {
+      const tx = await escrow.setBaseToken(await wbtc.getAddress(), true);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((e) => e && e.name === "BaseTokenUpdated");
+      expect(event.args.token).to.equal(await wbtc.getAddress());
+      expect(event.args.allowed).to.equal(true);
+      expect(event.args.decimals).to.equal(8n);
+
+      await escrow.setQuoteToken(await usdc.getAddress(), true);
+
+      expect(await escrow.tokenDecimals(await wbtc.getAddress())).to.equal(8n);
+      expect(await escrow.tokenDecimals(await usdc.getAddress())).to.equal(6n);
+      expect(await escrow.isBaseToken(await wbtc.getAddress())).to.equal(true);
+      expect(await escrow.isQuoteToken(await wbtc.getAddress())).to.equal(false);
+      expect(await escrow.getBaseTokens()).to.include(await wbtc.getAddress());
+      expect(await escrow.getQuoteTokens()).to.include(await usdc.getAddress());
+
+      await escrow.setBaseToken(await wbtc.getAddress(), false);
+      expect(await escrow.isBaseToken(await wbtc.getAddress())).to.equal(false);
+      expect(await escrow.getBaseTokens()).to.not.include(await wbtc.getAddress());
+    });
+
+    it("Should only allow the owner to manage the allow-list", async function () {
+      try {
+        await escrow.connect(seller).setBaseToken(await wbtc.getAddress(), true);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Ownable");
+      }
+
+      try {
+        await escrow.connect(seller).setQuoteToken(await usdc.getAddress(), true);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Ownable");
+      }
+    });
+
+    it("Should reject tokens without decimals", async function () {
+      try {
+        await escrow.setBaseToken(await escrow.getAddress(), true);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("token has no decimals");
+      }
+    });
+
+    it("Should reject offers and bids in unlisted tokens", async function () {
+      const amount = ethers.parseUnits("1", 8);
+      const price = ethers.parseUnits("60000", 6);
+      await wbtc.connect(seller).approve(await escrow.getAddress(), amount);
+      await usdc.connect(buyer).approve(await escrow.getAddress(), price);
+
+      try {
+        await escrow.connect(seller).createOffer(
+          await wbtc.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("token not allowed");
+      }
+
+      try {
+        await escrow.connect(buyer).createBid(
+          await swatToken.getAddress(), amount, await usdc.getAddress(), price, ethers.ZeroAddress
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("payment token not allowed");
+      }
+    });
+
+    it("Should keep existing offers tradeable after a token is delisted", async function () {
+      const amount = ethers.parseEther("1000");
+      const price = ethers.parseEther("1000");
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount * 2n);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address
+      );
+
+      await escrow.setBaseToken(await swatToken.getAddress(), false);
+      await ethers.provider.send("evm_increaseTime", [11]);
+
+      try {
+        await escrow.connect(seller).createOffer(
+          await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("token not allowed");
+      }
+
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+    });
+
+    it("Should trade an 8-decimal token for a 6-decimal token", async function () {
+      await escrow.setBaseToken(await wbtc.getAddress(), true);
+      await escrow.setQuoteToken(await usdc.getAddress(), true);
+      await escrow.updateFeeCollector(addr3.address);
+      await escrow.updateFee(100); // 1%
+
+      // 0.5 WBTC for 30,000 USDC
+      const amount = ethers.parseUnits("0.5", 8);
+      const price = ethers.parseUnits("30000", 6);
+      await wbtc.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await wbtc.getAddress(), amount, await usdc.getAddress(), price, ethers.ZeroAddress
+      );
+
+      // One whole WBTC (1e8 units) is worth 60,000 USDC
+      expect(await escrow.getUnitPrice(0)).to.equal(ethers.parseUnits("60000", 6));
+
+      // 0.1 WBTC costs 6,000 USDC
+      const fill = ethers.parseUnits("0.1", 8);
+      const quote = await escrow.quoteFill(0, fill);
+      expect(quote.grossAmount).to.equal(ethers.parseUnits("6000", 6));
+      expect(quote.feeAmount).to.equal(ethers.parseUnits("60", 6));
+
+      await usdc.connect(buyer).approve(await escrow.getAddress(), price);
+      await escrow.connect(buyer).fillOffer(0, fill, ethers.MaxUint256);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      expect(await wbtc.balanceOf(buyer.address)).to.equal(amount);
+      expect(await usdc.balanceOf(seller.address)).to.equal(ethers.parseUnits("29700", 6));
+      expect(await usdc.balanceOf(addr3.address)).to.equal(ethers.parseUnits("300", 6));
+      expect(await usdc.balanceOf(buyer.address)).to.equal(ethers.parseUnits("70000", 6));
+      expect(await escrow.totalEscrowed(await wbtc.getAddress())).to.equal(0n);
+    });
+  });
+
+  describe("Fee-on-Transfer and Rebasing Tokens", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("500");
+    let feeToken;
+    let rebasingToken;
+    let escrowAddress;
+
+    beforeEach(async function () {
+      escrowAddress = await escrow.getAddress();
+
+      const MockFeeOnTransferToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+      feeToken = await MockFeeOnTransferToken.deploy(100); // 1% burnt per transfer
+      await feeToken.waitForDeployment();
+
+      const MockRebasingToken = await ethers.getContractFactory("MockRebasingToken");
+      rebasingToken = await MockRebasingToken.deploy();
+      await rebasingToken.waitForDeployment();
+
+      for (const token of [feeToken, rebasingToken]) {
+        await escrow.setBaseToken(await token.getAddress(), true);
+        await escrow.setQuoteToken(await token.getAddress(), true);
+        await token.mint(seller.address, ethers.parseEther("10000"));
+        await token.mint(addr3.address, ethers.parseEther("10000"));
+        await token.mint(buyer.address, ethers.parseEther("10000"));
+      }
+    });
+
+    async function expectSolvent(token) {
+      const address = await token.getAddress();
+      const balance = await token.balanceOf(escrowAddress);
+      expect(balance >= (await escrow.totalEscrowed(address))).to.equal(true);
+    }
+
+    it("Should credit a fee-on-transfer offer with the amount received", async function () {
+      await feeToken.connect(seller).approve(escrowAddress, amount);
+      const tx = await escrow.connect(seller).createOffer(
+        await feeToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((e) => e && e.name === "OfferCreated");
+
+      const received = ethers.parseEther("990");
+      expect(event.args.amount).to.equal(received);
+      expect((await escrow.getOffer(0)).amount).to.equal(received);
+      expect(await escrow.totalEscrowed(await feeToken.getAddress())).to.equal(received);
+      expect(await feeToken.balanceOf(escrowAddress)).to.equal(received);
+    });
+
+    it("Should stay solvent when every fee-on-transfer seller withdraws", async function () {
+      for (const account of [seller, addr3]) {
+        await feeToken.connect(account).approve(escrowAddress, amount);
+        await escrow.connect(account).createOffer(
+          await feeToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+        );
+      }
+      await expectSolvent(feeToken);
+
+      // Top-ups are credited net of the fee too
+      await feeToken.connect(seller).approve(escrowAddress, ethers.parseEther("100"));
+      await escrow.connect(seller).updateOffer(0, ethers.parseEther("1090"), price, ethers.ZeroAddress);
+      expect((await escrow.getOffer(0)).amount).to.equal(ethers.parseEther("1089"));
+      await expectSolvent(feeToken);
+
+      await busdToken.connect(buyer).approve(escrowAddress, price);
+      await escrow.connect(buyer).fillOffer(1, ethers.parseEther("495"), ethers.MaxUint256);
+      await expectSolvent(feeToken);
+
+      // The last seller out can still withdraw everything they are owed
+      await escrow.connect(seller).cancelOffer(0);
+      await escrow.connect(addr3).cancelOffer(1);
+
+      expect(await escrow.totalEscrowed(await feeToken.getAddress())).to.equal(0n);
+      expect(await feeToken.balanceOf(escrowAddress)).to.equal(0n);
+    });
+
+    it("Should escrow the payment actually received for a fee-on-transfer bid", async function () {
+      await feeToken.connect(buyer).approve(escrowAddress, price);
+      await escrow.connect(buyer).createBid(
+        await swatToken.getAddress(), amount, await feeToken.getAddress(), price, ethers.ZeroAddress
+      );
+
+      const received = ethers.parseEther("495");
+      expect((await escrow.getBid(0)).priceInBUSD).to.equal(received);
+      expect(await escrow.totalEscrowed(await feeToken.getAddress())).to.equal(received);
+
+      await swatToken.connect(seller).approve(escrowAddress, amount);
+      await escrow.connect(seller).acceptBid(0);
+
+      expect(await escrow.totalEscrowed(await feeToken.getAddress())).to.equal(0n);
+      expect(await feeToken.balanceOf(escrowAddress)).to.equal(0n);
+    });
+
+    it("Should share a negative rebase pro rata and stop new deposits", async function () {
+      for (const account of [seller, addr3]) {
+        await rebasingToken.connect(account).approve(escrowAddress, amount * 2n);
+        await escrow.connect(account).createOffer(
+          await rebasingToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+        );
+      }
+
+      await rebasingToken.rebase(ethers.parseEther("0.9")); // -10%
+      expect(await escrow.getSurplus(await rebasingToken.getAddress())).to.equal(0n);
+
+      await ethers.provider.send("evm_increaseTime", [11]);
+      try {
+        await escrow.connect(seller).createOffer(
+          await rebasingToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+        );
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("token balance below escrowed");
+      }
+
+      // Both sellers take the same 10% haircut instead of the last one coming up short
+      const before = await rebasingToken.balanceOf(addr3.address);
+      await escrow.connect(seller).cancelOffer(0);
+      await escrow.connect(addr3).cancelOffer(1);
+
+      const refund = (await rebasingToken.balanceOf(addr3.address)) - before;
+      expect(refund).to.equal(ethers.parseEther("900"));
+      expect(await escrow.totalEscrowed(await rebasingToken.getAddress())).to.equal(0n);
+      expect(await rebasingToken.balanceOf(escrowAddress)).to.equal(0n);
+    });
+
+    it("Should treat a positive rebase as surplus without touching offers", async function () {
+      await rebasingToken.connect(seller).approve(escrowAddress, amount);
+      await escrow.connect(seller).createOffer(
+        await rebasingToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+      );
+
+      await rebasingToken.rebase(ethers.parseEther("1.25")); // +25%
+      expect(await escrow.getSurplus(await rebasingToken.getAddress())).to.equal(ethers.parseEther("250"));
+
+      await busdToken.connect(buyer).approve(escrowAddress, price);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+      expect(await rebasingToken.balanceOf(buyer.address)).to.equal(ethers.parseEther("12500") + amount);
+      await expectSolvent(rebasingToken);
+    });
+  });
+
+  describe("Native Coin Settlement", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("2"); // 2 BNB
+    let wbnb;
+    let escrowAddress;
+
+    beforeEach(async function () {
+      escrowAddress = await escrow.getAddress();
+
+      const MockWBNB = await ethers.getContractFactory("MockWBNB");
+      wbnb = await MockWBNB.deploy();
+      await wbnb.waitForDeployment();
+
+      await escrow.setWrappedNative(await wbnb.getAddress());
+      await escrow.updateFeeCollector(addr3.address);
+      await escrow.updateFee(100); // 1%
+
+      await swatToken.connect(seller).approve(escrowAddress, amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(), amount, await wbnb.getAddress(), price, ethers.ZeroAddress
+      );
+    });
+
+    it("Should list the wrapped native token as a quote token, once", async function () {
+      expect(await escrow.wrappedNative()).to.equal(await wbnb.getAddress());
+      expect(await escrow.isQuoteToken(await wbnb.getAddress())).to.equal(true);
+      expect(await escrow.tokenDecimals(await wbnb.getAddress())).to.equal(18n);
+
+      try {
+        await escrow.setWrappedNative(await busdToken.getAddress());
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("wrapped native already set");
+      }
+    });
+
+    it("Should accept an offer paid in BNB and credit proceeds to pull", async function () {
+      const quote = await escrow.quoteAccept(0);
+      expect(quote.grossAmount).to.equal(price);
+
+      await escrow.connect(buyer).acceptOfferWithNative(0, price, { value: price });
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+      expect(await escrow.nativeProceeds(seller.address)).to.equal(quote.sellerAmount);
+      expect(await escrow.nativeProceeds(addr3.address)).to.equal(quote.feeAmount);
+      expect(await wbnb.balanceOf(escrowAddress)).to.equal(price);
+      expect(await escrow.totalEscrowed(await wbnb.getAddress())).to.equal(price);
+
+      // Seller takes BNB, the fee collector takes WBNB
+      const balanceBefore = await ethers.provider.getBalance(seller.address);
+      const receipt = await (await escrow.connect(seller).withdrawProceeds(true)).wait();
+      const balanceAfter = await ethers.provider.getBalance(seller.address);
+      expect(balanceAfter - balanceBefore + receipt.fee).to.equal(quote.sellerAmount);
+
+      const event = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((e) => e && e.name === "ProceedsWithdrawn");
+      expect(event.args.amount).to.equal(quote.sellerAmount);
+      expect(event.args.unwrapped).to.equal(true);
+
+      await escrow.connect(addr3).withdrawProceeds(false);
+      expect(await wbnb.balanceOf(addr3.address)).to.equal(quote.feeAmount);
+
+      expect(await escrow.nativeProceeds(seller.address)).to.equal(0n);
+      expect(await escrow.totalEscrowed(await wbnb.getAddress())).to.equal(0n);
+      expect(await wbnb.balanceOf(escrowAddress)).to.equal(0n);
+    });
+
+    it("Should fill part of an offer with BNB", async function () {
+      const fill = ethers.parseEther("250");
+      const quote = await escrow.quoteFill(0, fill);
+      expect(quote.grossAmount).to.equal(ethers.parseEther("0.5"));
+
+      await escrow.connect(buyer).fillOfferWithNative(0, fill, quote.grossAmount, { value: quote.grossAmount });
+
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(fill);
+      expect(await escrow.nativeProceeds(seller.address)).to.equal(quote.sellerAmount);
+      expect((await escrow.getOffer(0)).filledAmount).to.equal(fill);
+    });
+
+    it("Should still accept WBNB through the token path", async function () {
+      await wbnb.connect(buyer).deposit({ value: price });
+      await wbnb.connect(buyer).approve(escrowAddress, price);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      expect(await wbnb.balanceOf(seller.address)).to.equal(ethers.parseEther("1.98"));
+      expect(await escrow.nativeProceeds(seller.address)).to.equal(0n);
+    });
+
+    it("Should reject a wrong BNB amount or an offer not priced in BNB", async function () {
+      try {
+        await escrow.connect(buyer).acceptOfferWithNative(0, price, { value: price - 1n });
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("wrong native amount");
+      }
+
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await swatToken.connect(seller).approve(escrowAddress, amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress
+      );
+
+      try {
+        await escrow.connect(buyer).acceptOfferWithNative(1, price, { value: price });
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("offer not priced in native coin");
+      }
+    });
+
+    it("Should not settle a BNB payment above maxPayment", async function () {
+      await escrow.connect(seller).updateOffer(0, amount, price * 2n, ethers.ZeroAddress);
+
+      try {
+        await escrow.connect(buyer).acceptOfferWithNative(0, price, { value: price * 2n });
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("payment exceeds maxPayment");
+      }
+    });
+
+    it("Should let sellers withdraw proceeds while paused", async function () {
+      await escrow.connect(buyer).acceptOfferWithNative(0, price, { value: price });
+      await escrow.pause();
+
+      await escrow.connect(seller).withdrawProceeds(false);
+      expect(await wbnb.balanceOf(seller.address)).to.equal(ethers.parseEther("1.98"));
+
+      try {
+        await escrow.connect(seller).withdrawProceeds(false);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("no proceeds");
+      }
+    });
+
+    it("Should refuse BNB sent directly", async function () {
+      try {
+        await buyer.sendTransaction({ to: escrowAddress, value: price });
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("only wrapped native");
+      }
+    });
+  });
+
+  describe("Platform Fee Settlement", function () {
+    const amount = ethers.parseEther("1000");
+    const price = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await escrow.updateFeeCollector(addr3.address);
+      await escrow.updateFee(250); // 2.5%
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        price,
+        buyer.address
+      );
+      await busdToken.connect(buyer).approve(await escrow.getAddress(), price);
+    });
+
+    it("Should quote seller net, fee and gross for an offer", async function () {
+      const [sellerAmount, feeAmount, grossAmount] = await escrow.quoteAccept(0);
+
+      expect(grossAmount).to.equal(price);
+      expect(feeAmount).to.equal(ethers.parseEther("25"));
+      expect(sellerAmount).to.equal(ethers.parseEther("975"));
+    });
+
+    it("Should split payment between seller and fee collector", async function () {
+      const buyerBalanceBefore = await busdToken.balanceOf(buyer.address);
+
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      expect(await busdToken.balanceOf(seller.address)).to.equal(ethers.parseEther("975"));
+      expect(await busdToken.balanceOf(addr3.address)).to.equal(ethers.parseEther("25"));
+      expect(await busdToken.balanceOf(buyer.address)).to.equal(buyerBalanceBefore - price);
+    });
+
+    it("Should emit FeeCollected with the amount taken", async function () {
+      const tx = await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+      const receipt = await tx.wait();
+
+      const feeEvent = receipt.logs
+        .map((log) => escrow.interface.parseLog(log))
+        .find((event) => event && event.name === "FeeCollected");
+
+      expect(feeEvent.args.offerId).to.equal(0n);
+      expect(feeEvent.args.feeCollector).to.equal(addr3.address);
+      expect(feeEvent.args.paymentToken).to.equal(await busdToken.getAddress());
+      expect(feeEvent.args.feeAmount).to.equal(ethers.parseEther("25"));
+    });
+
+    it("Should not charge a fee when platform fee is zero", async function () {
+      await escrow.updateFee(0);
+
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+      expect(await busdToken.balanceOf(addr3.address)).to.equal(0n);
+    });
+
+    it("Should round the fee down in favour of the seller", async function () {
+      await escrow.updateFee(1); // 0.01%
+
+      // Wait for cooldown
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await ethers.provider.send("evm_mine");
+
+      await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+      await escrow.connect(seller).createOffer(
+        await swatToken.getAddress(),
+        amount,
+        await busdToken.getAddress(),
+        9999n,
+        buyer.address
+      );
+
+      const [sellerAmount, feeAmount, grossAmount] = await escrow.quoteAccept(1);
+      expect(feeAmount).to.equal(0n);
+      expect(sellerAmount).to.equal(grossAmount);
+    });
+  });
 });
@@ -2,6 +2,7 @@ const { expect } = require("chai");
 const fc = require("fast-check");
 const fs = require("fs");
 const path = require("path");
+const { toFrontendDeployment } = require("../scripts/helpers/frontendConfig");
 
 describe("Frontend Compatibility", function () {
   let htmlContent;
@@ -108,4 +109,52 @@ describe("Frontend Compatibility", function () {
       expect(jsContent).to.include("function refreshPrice");
     });
   });
+
+  describe("Deployment config", function () {
+    // Written by deploy.js before EscrowWithExpiry and startBlock were recorded
+    const olderDeployment = {
+      network: "BSC Testnet",
+      chainId: 97,
+      deployer: "0x0000000000000000000000000000000000000001",
+      contracts: {
+        SWATToken: { address: "0x00000000000000000000000000000000000000A1" },
+        BUSDToken: { address: "0x00000000000000000000000000000000000000B2" },
+        Escrow: { address: "0x00000000000000000000000000000000000000C3" },
+      },
+    };
+
+    it("should skip contracts missing from an older deployment file", function () {
+      const deployment = toFrontendDeployment(olderDeployment);
+
+      expect(deployment.network).to.equal("BSC Testnet");
+      expect(deployment.startBlock).to.equal(0);
+      expect(deployment.contracts).to.deep.equal({
+        SWAT: olderDeployment.contracts.SWATToken.address,
+        BUSD: olderDeployment.contracts.BUSDToken.address,
+        Escrow: olderDeployment.contracts.Escrow.address,
+      });
+    });
+
+    it("should include EscrowWithExpiry and the mock DEX when deployed", function () {
+      const deployment = toFrontendDeployment({
+        ...olderDeployment,
+        startBlock: 42,
+        contracts: {
+          ...olderDeployment.contracts,
+          EscrowWithExpiry: { address: "0x00000000000000000000000000000000000000D4" },
+        },
+        liquidity: {
+          mockContracts: {
+            factory: "0x00000000000000000000000000000000000000E5",
+            busd: "0x00000000000000000000000000000000000000F6",
+          },
+        },
+      });
+
+      expect(deployment.startBlock).to.equal(42);
+      expect(deployment.contracts.EscrowWithExpiry).to.equal("0x00000000000000000000000000000000000000D4");
+      expect(deployment.contracts.MockFactory).to.equal("0x00000000000000000000000000000000000000E5");
+      expect(deployment.contracts.MockBUSD).to.equal("0x00000000000000000000000000000000000000F6");
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { sync, startServer, REORG_DEPTH } = require("../scripts/indexer");
+const {
+  loadStore,
+  rollbackTo,
+  pruneBlockHashes,
+  buildOffers,
+  buildBids,
+  buildTrades,
+  buildVolume,
+  buildWithdrawals,
+} = require("../scripts/helpers/indexerStore");
+
+describe("Indexer", function () {
+  let escrow;
+  let swatToken;
+  let busdToken;
+  let owner;
+  let seller;
+  let buyer;
+  let contracts;
+  let store;
+  let startBlock;
+
+  const amount = ethers.parseEther("1000");
+  const price = ethers.parseEther("1000");
+
+  async function createOffer(paymentToken = busdToken) {
+    await swatToken.connect(seller).approve(await escrow.getAddress(), amount);
+    await escrow
+      .connect(seller)
+      .createOffer(await swatToken.getAddress(), amount, await paymentToken.getAddress(), price, ethers.ZeroAddress);
+  }
+
+  async function signOrder(order) {
+    const domain = {
+      name: "SWAT Escrow",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await escrow.getAddress(),
+    };
+    const types = {
+      Order: [
+        { name: "seller", type: "address" },
+        { name: "tokenAddress", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "paymentToken", type: "address" },
+        { name: "priceInBUSD", type: "uint256" },
+        { name: "buyer", type: "address" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+    return seller.signTypedData(domain, types, order);
+  }
+
+  beforeEach(async function () {
+    [owner, seller, buyer] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const SWATToken = await ethers.getContractFactory("SWATToken");
+    swatToken = await SWATToken.deploy();
+    busdToken = await SWATToken.deploy();
+    const Escrow = await ethers.getContractFactory("Escrow");
+    escrow = await Escrow.deploy();
+
+    await escrow.setBaseToken(await swatToken.getAddress(), true);
+    await escrow.setQuoteToken(await busdToken.getAddress(), true);
+    await swatToken.mint(seller.address, ethers.parseEther("10000"));
+    await busdToken.mint(buyer.address, ethers.parseEther("10000"));
+    await busdToken.connect(buyer).approve(await escrow.getAddress(), ethers.parseEther("10000"));
+
+    contracts = {
+      Escrow: { address: await escrow.getAddress(), iface: escrow.interface },
+      SWATToken: { address: await swatToken.getAddress(), iface: swatToken.interface },
+    };
+    // Never saved, so every test starts from an empty store
+    store = loadStore(path.join(os.tmpdir(), `swat-indexer-test-${Date.now()}.json`), "1337");
+  });
+
+  describe("Replay", function () {
+    it("Should rebuild offers, bids and signed-order trades", async function () {
+      await createOffer();
+      await escrow.connect(buyer).fillOffer(0, ethers.parseEther("400"), ethers.MaxUint256);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      const bidAmount = ethers.parseEther("500");
+      const bidPrice = ethers.parseEther("510");
+      await escrow
+        .connect(buyer)
+        .createBid(await swatToken.getAddress(), bidAmount, await busdToken.getAddress(), bidPrice, ethers.ZeroAddress);
+      await swatToken.connect(seller).approve(await escrow.getAddress(), bidAmount);
+      await escrow.connect(seller).acceptBid(0);
+
+      const latest = await ethers.provider.getBlock("latest");
+      const order = {
+        seller: seller.address,
+        tokenAddress: await swatToken.getAddress(),
+        amount: ethers.parseEther("200"),
+        paymentToken: await busdToken.getAddress(),
+        priceInBUSD: ethers.parseEther("205"),
+        buyer: ethers.ZeroAddress,
+        expiry: latest.timestamp + 3600,
+        nonce: 7,
+      };
+      await swatToken.connect(seller).approve(await escrow.getAddress(), order.amount);
+      await escrow.connect(buyer).fillOrder(order, await signOrder(order));
+
+      await sync(ethers.provider, contracts, store, startBlock);
+
+      const [offer] = buildOffers(store);
+      expect(offer.status).to.equal("filled");
+      expect(offer.filledAmount).to.equal(amount.toString());
+
+      const [bid] = buildBids(store);
+      expect(bid.status).to.equal("filled");
+      expect(bid.seller).to.equal(seller.address);
+
+      const trades = buildTrades(store);
+      expect(trades.map((trade) => trade.type)).to.deep.equal([
+        "OfferFilled",
+        "OfferAccepted",
+        "BidAccepted",
+        "OrderFilled",
+      ]);
+      expect(trades[2].tokenAddress).to.equal(await swatToken.getAddress());
+      expect(trades[2].paymentAmount).to.equal(bidPrice.toString());
+      expect(trades[3].nonce).to.equal("7");
+      expect(trades[3].paymentToken).to.equal(await busdToken.getAddress());
+
+      const volume = buildVolume(trades);
+      expect(volume.tradeCount).to.equal(4);
+      expect(volume.tokenVolume[await swatToken.getAddress()]).to.equal(ethers.parseEther("1700").toString());
+      expect(volume.paymentVolume[await busdToken.getAddress()]).to.equal(ethers.parseEther("1715").toString());
+    });
+
+    it("Should record offers paid in BNB and the proceeds withdrawn", async function () {
+      const MockWBNB = await ethers.getContractFactory("MockWBNB");
+      const wbnb = await MockWBNB.deploy();
+      await escrow.setWrappedNative(await wbnb.getAddress());
+
+      await createOffer(wbnb);
+      await escrow.connect(buyer).acceptOfferWithNative(0, price, { value: price });
+      await escrow.connect(seller).withdrawProceeds(true);
+
+      await sync(ethers.provider, contracts, store, startBlock);
+
+      const [trade] = buildTrades(store);
+      expect(trade.paymentToken).to.equal(await wbnb.getAddress());
+      expect(trade.paymentAmount).to.equal(price.toString());
+
+      const withdrawals = buildWithdrawals(store);
+      expect(withdrawals).to.have.lengthOf(1);
+      expect(withdrawals[0].account).to.equal(seller.address);
+      expect(withdrawals[0].amount).to.equal(price.toString());
+      expect(withdrawals[0].unwrapped).to.equal(true);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should roll back and replay blocks replaced inside the reorg window", async function () {
+      await createOffer();
+      await sync(ethers.provider, contracts, store, startBlock);
+
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+      await sync(ethers.provider, contracts, store, startBlock);
+      expect(buildTrades(store)).to.have.lengthOf(1);
+      const orphanedBlock = store.lastBlock;
+
+      // Replace the accept with a cancel at the same height, then extend the chain
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await escrow.connect(seller).cancelOffer(0);
+      await ethers.provider.send("hardhat_mine", ["0x2"]);
+      await sync(ethers.provider, contracts, store, startBlock);
+
+      expect(buildTrades(store)).to.have.lengthOf(0);
+      expect(buildOffers(store)[0].status).to.equal("cancelled");
+      expect(store.events.filter((event) => event.event === "OfferAccepted")).to.have.lengthOf(0);
+      expect(store.blockHashes[orphanedBlock]).to.equal((await ethers.provider.getBlock(orphanedBlock)).hash);
+      expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should discard logs from a block replaced while syncing", async function () {
+      await createOffer();
+      await sync(ethers.provider, contracts, store, startBlock);
+
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+
+      // Replace the accept with a cancel after its logs are fetched but before the hashes are read
+      let reorged = false;
+      const racingProvider = {
+        getBlockNumber: () => ethers.provider.getBlockNumber(),
+        getBlock: (blockNumber) => ethers.provider.getBlock(blockNumber),
+        getLogs: async (filter) => {
+          const logs = await ethers.provider.getLogs(filter);
+          if (!reorged) {
+            reorged = true;
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await escrow.connect(seller).cancelOffer(0);
+          }
+          return logs;
+        },
+      };
+      await sync(racingProvider, contracts, store, startBlock);
+
+      const head = await ethers.provider.getBlockNumber();
+      expect(store.events.filter((event) => event.event === "OfferAccepted")).to.have.lengthOf(0);
+      expect(store.lastBlock).to.equal(head - 1);
+
+      await sync(ethers.provider, contracts, store, startBlock);
+      expect(buildTrades(store)).to.have.lengthOf(0);
+      expect(buildOffers(store)[0].status).to.equal("cancelled");
+      expect(store.blockHashes[head]).to.equal((await ethers.provider.getBlock(head)).hash);
+    });
+
+    it("Should only keep block hashes inside the reorg window", async function () {
+      await createOffer();
+      await ethers.provider.send("hardhat_mine", ["0x" + (REORG_DEPTH * 2).toString(16)]);
+      await sync(ethers.provider, contracts, store, startBlock);
+
+      const head = await ethers.provider.getBlockNumber();
+      const kept = Object.keys(store.blockHashes).map(Number);
+      expect(kept).to.have.lengthOf(REORG_DEPTH);
+      expect(Math.min(...kept)).to.equal(head - REORG_DEPTH + 1);
+    });
+
+    it("Should drop events and hashes from the rollback block onwards", function () {
+      const event = (blockNumber) => ({ event: "Transfer", blockNumber, args: {} });
+      const manual = {
+        lastBlock: 12,
+        blockHashes: { 10: "0xa", 11: "0xb", 12: "0xc" },
+        events: [event(9), event(10), event(11), event(12)],
+      };
+
+      rollbackTo(manual, 11);
+      expect(manual.lastBlock).to.equal(10);
+      expect(manual.events.map((e) => e.blockNumber)).to.deep.equal([9, 10]);
+      expect(manual.blockHashes).to.deep.equal({ 10: "0xa" });
+
+      manual.blockHashes = { 8: "0x8", 9: "0x9", 10: "0xa" };
+      pruneBlockHashes(manual, 9);
+      expect(manual.blockHashes).to.deep.equal({ 9: "0x9", 10: "0xa" });
+    });
+  });
+
+  describe("API", function () {
+    let server;
+    let baseUrl;
+    let tradeTime;
+
+    async function get(route, method = "GET") {
+      const response = await fetch(baseUrl + route, { method });
+      return { status: response.status, body: await response.json() };
+    }
+
+    beforeEach(async function () {
+      // Offer 0 is bought, offer 1 stays open, and the buyer has an open bid
+      await createOffer();
+      await escrow.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+      // Past the seller's offer cooldown
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await createOffer();
+      await escrow
+        .connect(buyer)
+        .createBid(await swatToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress);
+
+      await sync(ethers.provider, contracts, store, startBlock);
+      tradeTime = buildTrades(store)[0].timestamp;
+
+      server = startServer(store, 0);
+      await new Promise((resolve) => server.once("listening", resolve));
+      baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterEach(function () {
+      server.closeAllConnections();
+      server.close();
+    });
+
+    it("Should filter offers and bids by user and status", async function () {
+      let response = await get(`/offers?user=${seller.address}`);
+      expect(response.status).to.equal(200);
+      expect(response.body.map((offer) => offer.offerId)).to.deep.equal(["0", "1"]);
+
+      response = await get(`/offers?user=${seller.address}&status=active`);
+      expect(response.body.map((offer) => offer.offerId)).to.deep.equal(["1"]);
+
+      response = await get("/offers?status=filled");
+      expect(response.body.map((offer) => offer.offerId)).to.deep.equal(["0"]);
+
+      response = await get(`/offers?user=${owner.address}`);
+      expect(response.body).to.deep.equal([]);
+
+      response = await get(`/bids?user=${buyer.address}&status=active`);
+      expect(response.body).to.have.lengthOf(1);
+      expect(response.body[0].buyer).to.equal(buyer.address);
+
+      response = await get("/bids?status=filled");
+      expect(response.body).to.deep.equal([]);
+    });
+
+    it("Should filter trades and transfers by time range", async function () {
+      let response = await get(`/trades?user=${buyer.address}&from=${tradeTime}&to=${tradeTime}`);
+      expect(response.body).to.have.lengthOf(1);
+      expect(response.body[0].type).to.equal("OfferAccepted");
+
+      response = await get(`/trades?from=${tradeTime + 1}`);
+      expect(response.body).to.deep.equal([]);
+
+      response = await get(`/trades?to=${tradeTime - 1}`);
+      expect(response.body).to.deep.equal([]);
+
+      // The buyer's only SWAT transfer is the one out of escrow on accept
+      response = await get(`/transfers?user=${buyer.address}&to=${tradeTime}`);
+      expect(response.body).to.have.lengthOf(1);
+      expect(response.body[0].to).to.equal(buyer.address);
+
+      response = await get(`/transfers?user=${buyer.address}&to=${tradeTime - 1}`);
+      expect(response.body).to.deep.equal([]);
+    });
+
+    it("Should answer unknown routes and non-GET requests with 404", async function () {
+      let response = await get("/unknown");
+      expect(response.status).to.equal(404);
+      expect(response.body.error).to.equal("Not found");
+
+      response = await get("/offers", "POST");
+      expect(response.status).to.equal(404);
+    });
+  });
+});
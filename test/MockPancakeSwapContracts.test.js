@@ -74,7 +74,7 @@ describe("Mock PancakeSwap Contracts", function () {
         await swat.approve(routerAddr, ethers.parseEther("1000"));
         await busd.approve(routerAddr, ethers.parseEther("1000"));
 
-        const deadline = Math.floor(Date.now() / 1000) + 1200;
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 1200;
 
         await router.addLiquidity(
             swatAddr,
@@ -126,7 +126,7 @@ describe("Mock PancakeSwap Contracts", function () {
         await swat.approve(routerAddr, ethers.parseEther("1000"));
         await busd.approve(routerAddr, ethers.parseEther("1000"));
 
-        const deadline = Math.floor(Date.now() / 1000) + 1200;
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 1200;
 
         await router.addLiquidity(
             swatAddr,
@@ -8,8 +8,24 @@ describe("SWATToken", function () {
   let addr1;
   let addr2;
   let addrs;
+  let snapshotId;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // Unpause is timelocked: propose, wait out the delay, then unpause
+  async function timelockedUnpause(token) {
+    await token.proposeUnpause();
+    await increaseTime(Number(await token.TIMELOCK_DELAY()));
+    await token.unpause();
+  }
 
   beforeEach(async function () {
+    // Timelock tests fast-forward time; revert afterwards so other suites see real time
+    snapshotId = await ethers.provider.send("evm_snapshot", []);
+
     // Get signers
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
 
@@ -19,6 +35,10 @@ describe("SWATToken", function () {
     await swatToken.waitForDeployment();
   });
 
+  afterEach(async function () {
+    await ethers.provider.send("evm_revert", [snapshotId]);
+  });
+
   describe("Deployment", function () {
     it("Should set the correct name", async function () {
       expect(await swatToken.name()).to.equal("SWAT Coin");
@@ -64,7 +84,7 @@ describe("SWATToken", function () {
         await swatToken.connect(addr1).mint(addr2.address, mintAmount);
         expect.fail("Should have reverted");
       } catch (error) {
-        expect(error.message).to.include("Ownable");
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
       }
     });
 
@@ -210,6 +230,539 @@ describe("SWATToken", function () {
     });
   });
 
+  describe("Permit (EIP-2612)", function () {
+    async function signPermit(signer, spender, value, deadline) {
+      const domain = {
+        name: "SWAT Coin",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await swatToken.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const nonce = await swatToken.nonces(signer.address);
+      const signature = await signer.signTypedData(domain, types, {
+        owner: signer.address,
+        spender,
+        value,
+        nonce,
+        deadline,
+      });
+      return ethers.Signature.from(signature);
+    }
+
+    it("Should set allowance from a signed permit", async function () {
+      const value = ethers.parseEther("100");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { v, r, s } = await signPermit(owner, addr1.address, value, deadline);
+
+      // Anyone can submit the permit
+      await swatToken.connect(addr2).permit(owner.address, addr1.address, value, deadline, v, r, s);
+
+      expect(await swatToken.allowance(owner.address, addr1.address)).to.equal(value);
+      expect(await swatToken.nonces(owner.address)).to.equal(1n);
+    });
+
+    it("Should reject an expired permit", async function () {
+      const value = ethers.parseEther("100");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const { v, r, s } = await signPermit(owner, addr1.address, value, deadline);
+
+      try {
+        await swatToken.permit(owner.address, addr1.address, value, deadline, v, r, s);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ERC2612ExpiredSignature");
+      }
+    });
+
+    it("Should reject a replayed permit", async function () {
+      const value = ethers.parseEther("100");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { v, r, s } = await signPermit(owner, addr1.address, value, deadline);
+
+      await swatToken.permit(owner.address, addr1.address, value, deadline, v, r, s);
+
+      try {
+        await swatToken.permit(owner.address, addr1.address, value, deadline, v, r, s);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ERC2612InvalidSigner");
+      }
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should give the deployer every role", async function () {
+      for (const role of ["MINTER_ROLE", "PAUSER_ROLE", "BURNER_ROLE", "RESCUER_ROLE", "OPERATOR_ROLE", "COMPLIANCE_ROLE"]) {
+        expect(await swatToken.hasRole(await swatToken[role](), owner.address)).to.equal(true);
+      }
+      expect(await swatToken.minterAllowance(owner.address)).to.equal(await swatToken.maxSupply());
+    });
+
+    it("Should let a configured minter mint up to its allowance", async function () {
+      await swatToken.configureMinter(addr1.address, ethers.parseEther("100"));
+      await swatToken.connect(addr1).mint(addr2.address, ethers.parseEther("60"));
+
+      expect(await swatToken.minterAllowance(addr1.address)).to.equal(ethers.parseEther("40"));
+
+      try {
+        await swatToken.connect(addr1).mint(addr2.address, ethers.parseEther("41"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds minter allowance");
+      }
+    });
+
+    it("Should let the admin top up a minter", async function () {
+      await swatToken.configureMinter(addr1.address, ethers.parseEther("10"));
+      await swatToken.connect(addr1).mint(addr2.address, ethers.parseEther("10"));
+      await swatToken.configureMinter(addr1.address, ethers.parseEther("25"));
+
+      await swatToken.connect(addr1).mint(addr2.address, ethers.parseEther("25"));
+      expect(await swatToken.balanceOf(addr2.address)).to.equal(ethers.parseEther("35"));
+    });
+
+    it("Should stop a removed minter from minting", async function () {
+      await swatToken.configureMinter(addr1.address, ethers.parseEther("100"));
+      await swatToken.removeMinter(addr1.address);
+
+      expect(await swatToken.minterAllowance(addr1.address)).to.equal(0n);
+      try {
+        await swatToken.connect(addr1).mint(addr2.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+
+    it("Should not let non-admins configure minters", async function () {
+      try {
+        await swatToken.connect(addr1).configureMinter(addr1.address, ethers.parseEther("100"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+
+    it("Should keep pausing separate from minting", async function () {
+      await swatToken.grantRole(await swatToken.PAUSER_ROLE(), addr1.address);
+      await swatToken.connect(addr1).pause();
+      expect(await swatToken.paused()).to.equal(true);
+
+      try {
+        await swatToken.connect(addr1).mint(addr2.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+
+    it("Should let a burner burn its own tokens", async function () {
+      await swatToken.grantRole(await swatToken.BURNER_ROLE(), addr1.address);
+      await swatToken.mint(addr1.address, ethers.parseEther("100"));
+
+      await swatToken.connect(addr1).burn(ethers.parseEther("30"));
+
+      expect(await swatToken.balanceOf(addr1.address)).to.equal(ethers.parseEther("70"));
+      expect(await swatToken.totalSupply()).to.equal(ethers.parseEther("70"));
+    });
+
+    it("Should not let holders without the burner role burn", async function () {
+      await swatToken.mint(addr1.address, ethers.parseEther("100"));
+
+      try {
+        await swatToken.connect(addr1).burn(ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+
+    it("Should let the admin revoke a role", async function () {
+      const rescuerRole = await swatToken.RESCUER_ROLE();
+      await swatToken.grantRole(rescuerRole, addr1.address);
+      await swatToken.revokeRole(rescuerRole, addr1.address);
+
+      expect(await swatToken.hasRole(rescuerRole, addr1.address)).to.equal(false);
+    });
+  });
+
+  describe("Redemptions", function () {
+    beforeEach(async function () {
+      await swatToken.mint(addr1.address, ethers.parseEther("100"));
+    });
+
+    it("Should burn redeemed tokens and record the request", async function () {
+      const tx = await swatToken.connect(addr1).redeem(ethers.parseEther("40"), "IBAN DE00 1234");
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => swatToken.interface.parseLog(log))
+        .find(e => e && e.name === "RedemptionRequested");
+
+      expect(event.args.requestId).to.equal(0n);
+      expect(event.args.holder).to.equal(addr1.address);
+      expect(event.args.amount).to.equal(ethers.parseEther("40"));
+      expect(event.args.payoutReference).to.equal("IBAN DE00 1234");
+
+      expect(await swatToken.balanceOf(addr1.address)).to.equal(ethers.parseEther("60"));
+      expect(await swatToken.totalSupply()).to.equal(ethers.parseEther("60"));
+      expect(await swatToken.pendingRedemptions()).to.equal(ethers.parseEther("40"));
+      expect(await swatToken.getRedemptionCount()).to.equal(1n);
+
+      const redemption = await swatToken.getRedemption(0);
+      expect(redemption.holder).to.equal(addr1.address);
+      expect(redemption.fulfilled).to.equal(false);
+    });
+
+    it("Should let an operator mark a redemption fulfilled", async function () {
+      await swatToken.connect(addr1).redeem(ethers.parseEther("40"), "IBAN DE00 1234");
+
+      const tx = await swatToken.fulfillRedemption(0, "WIRE-0001");
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => swatToken.interface.parseLog(log))
+        .find(e => e && e.name === "RedemptionFulfilled");
+
+      expect(event.args.holder).to.equal(addr1.address);
+      expect(event.args.operator).to.equal(owner.address);
+      expect(event.args.settlementReference).to.equal("WIRE-0001");
+
+      const redemption = await swatToken.getRedemption(0);
+      expect(redemption.fulfilled).to.equal(true);
+      expect(redemption.settlementReference).to.equal("WIRE-0001");
+      expect(await swatToken.pendingRedemptions()).to.equal(0n);
+      expect(await swatToken.totalRedeemed()).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should not fulfil a redemption twice", async function () {
+      await swatToken.connect(addr1).redeem(ethers.parseEther("40"), "IBAN DE00 1234");
+      await swatToken.fulfillRedemption(0, "WIRE-0001");
+
+      try {
+        await swatToken.fulfillRedemption(0, "WIRE-0002");
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("redemption already fulfilled");
+      }
+    });
+
+    it("Should only let operators fulfil redemptions", async function () {
+      await swatToken.connect(addr1).redeem(ethers.parseEther("40"), "IBAN DE00 1234");
+
+      try {
+        await swatToken.connect(addr1).fulfillRedemption(0, "WIRE-0001");
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+
+    it("Should reject redemptions without a payout reference or balance", async function () {
+      try {
+        await swatToken.connect(addr1).redeem(ethers.parseEther("1"), "");
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("payout reference required");
+      }
+
+      try {
+        await swatToken.connect(addr1).redeem(ethers.parseEther("101"), "IBAN DE00 1234");
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ERC20InsufficientBalance");
+      }
+    });
+
+    it("Should index redemptions by holder and while pending", async function () {
+      await swatToken.mint(addr2.address, ethers.parseEther("100"));
+      await swatToken.connect(addr1).redeem(ethers.parseEther("10"), "IBAN DE00 1234");
+      await swatToken.connect(addr2).redeem(ethers.parseEther("10"), "IBAN DE00 5678");
+      await swatToken.connect(addr1).redeem(ethers.parseEther("10"), "IBAN DE00 1234");
+
+      let [ids, total] = await swatToken.getRedemptionIdsByHolder(addr1.address, 0, 10);
+      expect(ids).to.deep.equal([0n, 2n]);
+      expect(total).to.equal(2n);
+
+      // Pages past the end come back empty with the total
+      [ids, total] = await swatToken.getRedemptionIdsByHolder(addr1.address, 1, 10);
+      expect(ids).to.deep.equal([2n]);
+      [ids, total] = await swatToken.getRedemptionIdsByHolder(addr1.address, 5, 10);
+      expect(ids).to.deep.equal([]);
+      expect(total).to.equal(2n);
+
+      [ids, total] = await swatToken.getPendingRedemptionIds(0, 2);
+      expect(ids).to.have.lengthOf(2);
+      expect(total).to.equal(3n);
+
+      // Fulfilled requests leave the pending index but stay in the holder's history
+      await swatToken.fulfillRedemption(0, "WIRE-0001");
+      [ids, total] = await swatToken.getPendingRedemptionIds(0, 10);
+      expect([...ids].sort()).to.deep.equal([1n, 2n]);
+      expect(total).to.equal(2n);
+      [, total] = await swatToken.getRedemptionIdsByHolder(addr1.address, 0, 10);
+      expect(total).to.equal(2n);
+    });
+  });
+
+  describe("Proof of Reserve", function () {
+    let reserveFeed;
+
+    beforeEach(async function () {
+      const MockReserveFeed = await ethers.getContractFactory("MockReserveFeed");
+      reserveFeed = await MockReserveFeed.deploy();
+      await reserveFeed.waitForDeployment();
+      await swatToken.setReserveFeed(await reserveFeed.getAddress());
+    });
+
+    it("Should mint up to the attested reserves", async function () {
+      await reserveFeed.postAttestation(ethers.parseEther("1000"));
+
+      await swatToken.mint(addr1.address, ethers.parseEther("600"));
+      await swatToken.mint(addr1.address, ethers.parseEther("400"));
+
+      expect(await swatToken.totalSupply()).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should refuse to mint past the attested reserves", async function () {
+      await reserveFeed.postAttestation(ethers.parseEther("1000"));
+      await swatToken.mint(addr1.address, ethers.parseEther("600"));
+
+      try {
+        await swatToken.mint(addr1.address, ethers.parseEther("401"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds reserves");
+      }
+    });
+
+    it("Should count pending redemptions against the attested reserves", async function () {
+      await reserveFeed.postAttestation(ethers.parseEther("1000"));
+      await swatToken.mint(addr1.address, ethers.parseEther("1000"));
+      await swatToken.connect(addr1).redeem(ethers.parseEther("400"), "IBAN DE00 1234");
+
+      // The burned 400 is still owed in fiat, so the same attestation backs no new supply
+      try {
+        await swatToken.mint(addr1.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds reserves");
+      }
+
+      // Once paid out, a fresh attestation of the reduced reserves allows minting again
+      await swatToken.fulfillRedemption(0, "WIRE-0001");
+      await reserveFeed.postAttestation(ethers.parseEther("700"));
+      await swatToken.mint(addr1.address, ethers.parseEther("100"));
+      expect(await swatToken.totalSupply()).to.equal(ethers.parseEther("700"));
+    });
+
+    it("Should refuse to mint on a stale attestation", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const maxAge = await swatToken.maxAttestationAge();
+      await reserveFeed.postAttestationAt(ethers.parseEther("1000"), BigInt(latest.timestamp) - maxAge - 1n);
+
+      try {
+        await swatToken.mint(addr1.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("reserve attestation stale");
+      }
+    });
+
+    it("Should refuse to mint before any attestation is posted", async function () {
+      try {
+        await swatToken.mint(addr1.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("reserve attestation stale");
+      }
+    });
+
+    it("Should let the admin tune the attestation age", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      await reserveFeed.postAttestationAt(ethers.parseEther("1000"), latest.timestamp - 7200);
+
+      await swatToken.setMaxAttestationAge(3600);
+      try {
+        await swatToken.mint(addr1.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("reserve attestation stale");
+      }
+
+      await swatToken.setMaxAttestationAge(86400);
+      await swatToken.mint(addr1.address, ethers.parseEther("1"));
+      expect(await swatToken.balanceOf(addr1.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should only let the admin set the reserve feed", async function () {
+      try {
+        await swatToken.connect(addr1).setReserveFeed(addr1.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("Compliance Controls", function () {
+    beforeEach(async function () {
+      await swatToken.mint(addr1.address, ethers.parseEther("100"));
+    });
+
+    it("Should stop blocked accounts from sending or receiving", async function () {
+      const tx = await swatToken.blockAccount(addr1.address);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => swatToken.interface.parseLog(log))
+        .find(e => e && e.name === "AccountBlocked");
+      expect(event.args.account).to.equal(addr1.address);
+
+      try {
+        await swatToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("account blocked");
+      }
+
+      try {
+        await swatToken.mint(addr1.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("account blocked");
+      }
+
+      await swatToken.unblockAccount(addr1.address);
+      await swatToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1"));
+      expect(await swatToken.balanceOf(addr2.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should stop a blocked spender from moving approved tokens", async function () {
+      await swatToken.connect(addr1).approve(addr2.address, ethers.parseEther("50"));
+      await swatToken.blockAccount(addr2.address);
+
+      try {
+        await swatToken.connect(addr2).transferFrom(addr1.address, owner.address, ethers.parseEther("10"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("account blocked");
+      }
+    });
+
+    it("Should let frozen accounts receive but not send", async function () {
+      await swatToken.freezeAccount(addr1.address);
+
+      await swatToken.mint(addr1.address, ethers.parseEther("5"));
+      expect(await swatToken.balanceOf(addr1.address)).to.equal(ethers.parseEther("105"));
+
+      try {
+        await swatToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("account frozen");
+      }
+
+      try {
+        await swatToken.connect(addr1).redeem(ethers.parseEther("1"), "IBAN DE00 1234");
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("account frozen");
+      }
+    });
+
+    it("Should let the admin wipe a frozen balance", async function () {
+      await swatToken.freezeAccount(addr1.address);
+
+      const tx = await swatToken.wipeFrozenBalance(addr1.address);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => swatToken.interface.parseLog(log))
+        .find(e => e && e.name === "FrozenBalanceWiped");
+
+      expect(event.args.account).to.equal(addr1.address);
+      expect(event.args.amount).to.equal(ethers.parseEther("100"));
+      expect(await swatToken.balanceOf(addr1.address)).to.equal(0n);
+      expect(await swatToken.totalSupply()).to.equal(0n);
+    });
+
+    it("Should only wipe frozen accounts", async function () {
+      try {
+        await swatToken.wipeFrozenBalance(addr1.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("account not frozen");
+      }
+    });
+
+    it("Should only let compliance officers block and freeze", async function () {
+      try {
+        await swatToken.connect(addr1).blockAccount(addr2.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+
+      try {
+        await swatToken.connect(addr1).freezeAccount(addr2.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("Checkpoints", function () {
+    it("Should return balances and supply as of past blocks", async function () {
+      const mintTx = await swatToken.mint(addr1.address, ethers.parseEther("100"));
+      const mintBlock = (await mintTx.wait()).blockNumber;
+      const transferTx = await swatToken.connect(addr1).transfer(addr2.address, ethers.parseEther("30"));
+      const transferBlock = (await transferTx.wait()).blockNumber;
+      await swatToken.mint(addr2.address, ethers.parseEther("50"));
+
+      expect(await swatToken.balanceOfAt(addr1.address, mintBlock - 1)).to.equal(0n);
+      expect(await swatToken.balanceOfAt(addr1.address, mintBlock)).to.equal(ethers.parseEther("100"));
+      expect(await swatToken.balanceOfAt(addr1.address, transferBlock)).to.equal(ethers.parseEther("70"));
+      expect(await swatToken.balanceOfAt(addr2.address, transferBlock)).to.equal(ethers.parseEther("30"));
+
+      expect(await swatToken.totalSupplyAt(mintBlock - 1)).to.equal(0n);
+      expect(await swatToken.totalSupplyAt(transferBlock)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should record burns, redemptions and wipes", async function () {
+      await swatToken.mint(addr1.address, ethers.parseEther("100"));
+      const redeemTx = await swatToken.connect(addr1).redeem(ethers.parseEther("40"), "IBAN DE00 1234");
+      const redeemBlock = (await redeemTx.wait()).blockNumber;
+
+      await swatToken.freezeAccount(addr1.address);
+      const wipeTx = await swatToken.wipeFrozenBalance(addr1.address);
+      const wipeBlock = (await wipeTx.wait()).blockNumber;
+      await ethers.provider.send("evm_mine");
+
+      expect(await swatToken.balanceOfAt(addr1.address, redeemBlock)).to.equal(ethers.parseEther("60"));
+      expect(await swatToken.totalSupplyAt(redeemBlock)).to.equal(ethers.parseEther("60"));
+      expect(await swatToken.balanceOfAt(addr1.address, wipeBlock)).to.equal(0n);
+      expect(await swatToken.totalSupplyAt(wipeBlock)).to.equal(0n);
+    });
+
+    it("Should refuse lookups for the current or future blocks", async function () {
+      const current = await ethers.provider.getBlockNumber();
+
+      try {
+        await swatToken.totalSupplyAt(current + 10);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("block not yet mined");
+      }
+    });
+  });
+
   describe("Balance Queries", function () {
     it("Should return correct balance for address with tokens", async function () {
       const mintAmount = ethers.parseEther("1000");
@@ -240,7 +793,7 @@ describe("SWATToken", function () {
 
     it("Should allow owner to unpause the contract", async function () {
       await swatToken.pause();
-      await swatToken.unpause();
+      await timelockedUnpause(swatToken);
       expect(await swatToken.paused()).to.equal(false);
     });
 
@@ -257,7 +810,7 @@ describe("SWATToken", function () {
 
     it("Should allow transfers after unpause", async function () {
       await swatToken.pause();
-      await swatToken.unpause();
+      await timelockedUnpause(swatToken);
       
       const amount = ethers.parseEther("100");
       await swatToken.transfer(addr1.address, amount);
@@ -269,14 +822,14 @@ describe("SWATToken", function () {
         await swatToken.connect(addr1).pause();
         expect.fail("Should have reverted");
       } catch (error) {
-        expect(error.message).to.include("Ownable");
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
       }
     });
   });
 
   describe("Security Features - Supply Cap", function () {
     it("Should enforce maximum supply cap", async function () {
-      const maxSupply = await swatToken.MAX_SUPPLY();
+      const maxSupply = await swatToken.maxSupply();
       
       try {
         await swatToken.mint(owner.address, maxSupply + 1n);
@@ -287,13 +840,13 @@ describe("SWATToken", function () {
     });
 
     it("Should allow minting up to max supply", async function () {
-      const maxSupply = await swatToken.MAX_SUPPLY();
+      const maxSupply = await swatToken.maxSupply();
       await swatToken.mint(owner.address, maxSupply);
       expect(await swatToken.totalSupply()).to.equal(maxSupply);
     });
 
     it("Should prevent minting beyond max supply in multiple calls", async function () {
-      const maxSupply = await swatToken.MAX_SUPPLY();
+      const maxSupply = await swatToken.maxSupply();
       await swatToken.mint(owner.address, maxSupply - ethers.parseEther("100"));
       
       try {
@@ -305,6 +858,134 @@ describe("SWATToken", function () {
     });
   });
 
+  describe("Security Features - Timelock", function () {
+    const newCap = ethers.parseEther("150000000");
+
+    it("Should raise the cap only after the delay", async function () {
+      const tx = await swatToken.proposeMaxSupply(newCap);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => swatToken.interface.parseLog(log))
+        .find(e => e && e.name === "OperationProposed");
+      expect(event.args.readyAt - BigInt((await ethers.provider.getBlock(receipt.blockNumber)).timestamp))
+        .to.equal(await swatToken.TIMELOCK_DELAY());
+
+      try {
+        await swatToken.raiseMaxSupply(newCap);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("timelock not expired");
+      }
+
+      await increaseTime(Number(await swatToken.TIMELOCK_DELAY()));
+      await swatToken.raiseMaxSupply(newCap);
+      expect(await swatToken.maxSupply()).to.equal(newCap);
+
+      // Minting past the old cap now works
+      await swatToken.configureMinter(owner.address, newCap);
+      await swatToken.mint(owner.address, ethers.parseEther("120000000"));
+      expect(await swatToken.totalSupply()).to.equal(ethers.parseEther("120000000"));
+    });
+
+    it("Should not raise the cap without a proposal", async function () {
+      try {
+        await swatToken.raiseMaxSupply(newCap);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("operation not proposed");
+      }
+    });
+
+    it("Should not allow lowering the cap", async function () {
+      try {
+        await swatToken.proposeMaxSupply(ethers.parseEther("1000"));
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("cap can only be raised");
+      }
+    });
+
+    it("Should list and cancel pending operations", async function () {
+      await swatToken.proposeMaxSupply(newCap);
+      await swatToken.pause();
+      await swatToken.proposeUnpause();
+
+      let pending = await swatToken.getPendingOperations();
+      expect(pending.length).to.equal(2);
+      expect(pending[0].action).to.equal(0n); // RaiseCap
+      expect(pending[1].action).to.equal(1n); // Unpause
+
+      const capId = pending[0].id;
+      const tx = await swatToken.cancelOperation(capId);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => swatToken.interface.parseLog(log))
+        .find(e => e && e.name === "OperationCancelled");
+      expect(event.args.id).to.equal(capId);
+
+      pending = await swatToken.getPendingOperations();
+      expect(pending.length).to.equal(1);
+
+      await increaseTime(Number(await swatToken.TIMELOCK_DELAY()));
+      try {
+        await swatToken.raiseMaxSupply(newCap);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("operation not proposed");
+      }
+    });
+
+    it("Should require a matured proposal to unpause", async function () {
+      await swatToken.pause();
+
+      try {
+        await swatToken.unpause();
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("operation not proposed");
+      }
+
+      await swatToken.proposeUnpause();
+      try {
+        await swatToken.unpause();
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("timelock not expired");
+      }
+    });
+
+    it("Should only withdraw exactly what was proposed", async function () {
+      await owner.sendTransaction({ to: await swatToken.getAddress(), value: ethers.parseEther("2") });
+      await swatToken.proposeEmergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("1"), addr1.address);
+      await increaseTime(Number(await swatToken.TIMELOCK_DELAY()));
+
+      try {
+        await swatToken.emergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("2"), addr1.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("operation not proposed");
+      }
+    });
+
+    it("Should only let the admin propose or cancel", async function () {
+      try {
+        await swatToken.connect(addr1).proposeMaxSupply(newCap);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+
+      await swatToken.proposeMaxSupply(newCap);
+      const [operation] = await swatToken.getPendingOperations();
+      try {
+        await swatToken.connect(addr1).cancelOperation(operation.id);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+  });
+
   describe("Security Features - Emergency Withdrawal", function () {
     it("Should allow owner to withdraw accidentally sent BNB", async function () {
       // Send BNB to contract
@@ -314,7 +995,9 @@ describe("SWATToken", function () {
       });
 
       const initialBalance = await ethers.provider.getBalance(addr1.address);
-      
+
+      await swatToken.proposeEmergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("1"), addr1.address);
+      await increaseTime(Number(await swatToken.TIMELOCK_DELAY()));
       await swatToken.emergencyWithdraw(
         ethers.ZeroAddress,
         ethers.parseEther("1"),
@@ -334,7 +1017,7 @@ describe("SWATToken", function () {
         );
         expect.fail("Should have reverted");
       } catch (error) {
-        expect(error.message).to.include("Ownable");
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
       }
     });
 
@@ -407,7 +1090,7 @@ describe("SWATToken", function () {
             }
             
             // 3. Test unpause functionality
-            await freshToken.unpause();
+            await timelockedUnpause(freshToken);
             expect(await freshToken.paused()).to.equal(false);
             
             // Test that transfers work after unpause
@@ -415,7 +1098,7 @@ describe("SWATToken", function () {
             expect(await freshToken.balanceOf(addr1.address)).to.equal(ethers.parseEther("1"));
             
             // 4. Test supply cap enforcement is preserved
-            const maxSupply = await freshToken.MAX_SUPPLY();
+            const maxSupply = await freshToken.maxSupply();
             expect(maxSupply).to.be.greaterThan(0n);
             
             // 5. Test minting access control is preserved
@@ -423,7 +1106,7 @@ describe("SWATToken", function () {
               await freshToken.connect(addr1).mint(addr2.address, ethers.parseEther("1"));
               expect.fail("Should have reverted - non-owner minting");
             } catch (error) {
-              expect(error.message).to.include("Ownable");
+              expect(error.message).to.include("AccessControlUnauthorizedAccount");
             }
             
             // 6. Test emergency withdrawal access control is preserved
@@ -435,7 +1118,7 @@ describe("SWATToken", function () {
               );
               expect.fail("Should have reverted - non-owner emergency withdraw");
             } catch (error) {
-              expect(error.message).to.include("Ownable");
+              expect(error.message).to.include("AccessControlUnauthorizedAccount");
             }
             
             // All security features should work identically to original implementation
@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getStorageLayout, compareStorageLayouts } = require("../scripts/helpers/storageLayout");
+
+// keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+// keccak256("eip1967.proxy.admin") - 1
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+describe("Upgradeable Proxies", function () {
+  let swatToken;
+  let busdToken;
+  let escrow;
+  let owner;
+  let seller;
+  let buyer;
+  let addr3;
+
+  // The token is a UUPS proxy; the escrow sits behind a transparent proxy
+  // whose ProxyAdmin is owned by `admin`
+  async function deployProxy(contractName, initArgs, admin) {
+    const Implementation = await ethers.getContractFactory(contractName);
+    const implementation = await Implementation.deploy();
+    await implementation.waitForDeployment();
+
+    const initData = Implementation.interface.encodeFunctionData("initialize", initArgs);
+    const proxy = admin
+      ? await (await ethers.getContractFactory("TransparentUpgradeableProxy")).deploy(
+          await implementation.getAddress(),
+          admin,
+          initData
+        )
+      : await (await ethers.getContractFactory("ERC1967Proxy")).deploy(await implementation.getAddress(), initData);
+    await proxy.waitForDeployment();
+
+    return Implementation.attach(await proxy.getAddress());
+  }
+
+  async function upgrade(proxy, contractName, signer = owner) {
+    const Implementation = await ethers.getContractFactory(contractName);
+    const implementation = await Implementation.deploy();
+    await implementation.waitForDeployment();
+
+    const admin = await readAddressSlot(proxy, ADMIN_SLOT);
+    if (admin === ethers.ZeroAddress) {
+      await proxy.connect(signer).upgradeToAndCall(await implementation.getAddress(), "0x");
+    } else {
+      const proxyAdmin = await ethers.getContractAt("ProxyAdmin", admin);
+      await proxyAdmin
+        .connect(signer)
+        .upgradeAndCall(await proxy.getAddress(), await implementation.getAddress(), "0x");
+    }
+    return Implementation.attach(await proxy.getAddress());
+  }
+
+  async function readAddressSlot(proxy, slot) {
+    const value = await ethers.provider.getStorage(await proxy.getAddress(), slot);
+    return ethers.getAddress("0x" + value.slice(-40));
+  }
+
+  async function implementationOf(proxy) {
+    return readAddressSlot(proxy, IMPLEMENTATION_SLOT);
+  }
+
+  beforeEach(async function () {
+    [owner, seller, buyer, addr3] = await ethers.getSigners();
+
+    swatToken = await deployProxy("SWATTokenUpgradeable", [owner.address]);
+    escrow = await deployProxy("EscrowUpgradeable", [owner.address], owner.address);
+
+    const BUSDToken = await ethers.getContractFactory("SWATToken");
+    busdToken = await BUSDToken.deploy();
+    await busdToken.waitForDeployment();
+
+    await escrow.setBaseToken(await swatToken.getAddress(), true);
+    await escrow.setQuoteToken(await busdToken.getAddress(), true);
+
+    await swatToken.mint(seller.address, ethers.parseEther("10000"));
+    await busdToken.mint(buyer.address, ethers.parseEther("10000"));
+  });
+
+  describe("Initialization", function () {
+    it("Should initialize the token proxy like the SWATToken constructor", async function () {
+      expect(await swatToken.name()).to.equal("SWAT Coin");
+      expect(await swatToken.symbol()).to.equal("SWAT");
+      expect(await swatToken.maxSupply()).to.equal(ethers.parseEther("100000000"));
+      expect(await swatToken.maxAttestationAge()).to.equal(86400n);
+      expect(await swatToken.owner()).to.equal(owner.address);
+      expect(await swatToken.hasRole(await swatToken.MINTER_ROLE(), owner.address)).to.be.true;
+      expect(await swatToken.hasRole(await swatToken.COMPLIANCE_ROLE(), owner.address)).to.be.true;
+    });
+
+    it("Should initialize the escrow proxy like the Escrow constructor", async function () {
+      expect(await escrow.owner()).to.equal(owner.address);
+      expect(await escrow.feeCollector()).to.equal(owner.address);
+      expect(await escrow.platformFeePercent()).to.equal(0n);
+      expect(await escrow.paused()).to.be.false;
+    });
+
+    it("Should give the escrow owner the escrow's ProxyAdmin", async function () {
+      const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await readAddressSlot(escrow, ADMIN_SLOT));
+      expect(await proxyAdmin.owner()).to.equal(owner.address);
+    });
+
+    it("Should not allow initializing a proxy twice", async function () {
+      try {
+        await swatToken.initialize(addr3.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("InvalidInitialization");
+      }
+
+      try {
+        await escrow.initialize(addr3.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("InvalidInitialization");
+      }
+    });
+
+    it("Should not allow initializing an implementation directly", async function () {
+      const Implementation = await ethers.getContractFactory("EscrowUpgradeable");
+      const implementation = await Implementation.deploy();
+      await implementation.waitForDeployment();
+
+      try {
+        await implementation.initialize(addr3.address);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("InvalidInitialization");
+      }
+    });
+  });
+
+  describe("Upgrading In Place", function () {
+    it("Should preserve balances, supply and roles across a token upgrade", async function () {
+      await swatToken.connect(seller).transfer(buyer.address, ethers.parseEther("250"));
+      const proxyAddress = await swatToken.getAddress();
+      const previousImplementation = await implementationOf(swatToken);
+
+      const upgraded = await upgrade(swatToken, "SWATTokenUpgradeableV2");
+
+      expect(await upgraded.getAddress()).to.equal(proxyAddress);
+      expect(await implementationOf(upgraded)).to.not.equal(previousImplementation);
+      expect(await upgraded.version()).to.equal("2");
+
+      expect(await upgraded.balanceOf(seller.address)).to.equal(ethers.parseEther("9750"));
+      expect(await upgraded.balanceOf(buyer.address)).to.equal(ethers.parseEther("250"));
+      expect(await upgraded.totalSupply()).to.equal(ethers.parseEther("10000"));
+      expect(await upgraded.maxSupply()).to.equal(ethers.parseEther("100000000"));
+      expect(await upgraded.hasRole(await upgraded.MINTER_ROLE(), owner.address)).to.be.true;
+
+      // Appended state works and the token keeps working
+      await upgraded.setReleaseNumber(2);
+      expect(await upgraded.releaseNumber()).to.equal(2n);
+      await upgraded.mint(addr3.address, ethers.parseEther("1"));
+      expect(await upgraded.totalSupply()).to.equal(ethers.parseEther("10001"));
+    });
+
+    it("Should preserve active offers across an escrow upgrade", async function () {
+      const escrowAddress = await escrow.getAddress();
+      const amount = ethers.parseEther("1000");
+      const price = ethers.parseEther("500");
+
+      await swatToken.connect(seller).approve(escrowAddress, amount * 2n);
+      await escrow
+        .connect(seller)
+        .createOffer(await swatToken.getAddress(), amount, await busdToken.getAddress(), price, buyer.address);
+      await ethers.provider.send("evm_increaseTime", [11]);
+      await escrow
+        .connect(seller)
+        .createOffer(await swatToken.getAddress(), amount, await busdToken.getAddress(), price, ethers.ZeroAddress);
+
+      const upgraded = await upgrade(escrow, "EscrowUpgradeableV2");
+      expect(await upgraded.getAddress()).to.equal(escrowAddress);
+      expect(await upgraded.version()).to.equal("2");
+
+      // State kept in the V2 namespace works alongside the escrow's own
+      await upgraded.setReleaseNumber(2);
+      expect(await upgraded.releaseNumber()).to.equal(2n);
+
+      const [offers, total] = await upgraded.getActiveOffers(0, 10);
+      expect(total).to.equal(2n);
+      expect(offers[0].seller).to.equal(seller.address);
+      expect(offers[0].buyer).to.equal(buyer.address);
+      expect(offers[1].buyer).to.equal(ethers.ZeroAddress);
+      expect(await upgraded.getOfferCount()).to.equal(2n);
+      expect(await upgraded.isBaseToken(await swatToken.getAddress())).to.be.true;
+      expect(await upgraded.tokenDecimals(await busdToken.getAddress())).to.equal(18n);
+      expect(await upgraded.totalEscrowed(await swatToken.getAddress())).to.equal(amount * 2n);
+      expect(await swatToken.balanceOf(escrowAddress)).to.equal(amount * 2n);
+
+      // Offers made before the upgrade settle after it
+      await busdToken.connect(buyer).approve(escrowAddress, price);
+      await upgraded.connect(buyer).acceptOffer(0, ethers.MaxUint256);
+      expect(await swatToken.balanceOf(buyer.address)).to.equal(amount);
+      expect(await busdToken.balanceOf(seller.address)).to.equal(price);
+      expect((await upgraded.getOffer(0)).active).to.be.false;
+      expect(await upgraded.totalEscrowed(await swatToken.getAddress())).to.equal(amount);
+    });
+
+    it("Should only allow the admin to upgrade the token", async function () {
+      try {
+        await upgrade(swatToken, "SWATTokenUpgradeableV2", addr3);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+
+    it("Should only allow the owner to upgrade the escrow", async function () {
+      try {
+        await upgrade(escrow, "EscrowUpgradeableV2", addr3);
+        expect.fail("Should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("Ownable");
+      }
+    });
+  });
+
+  describe("Storage Layout Checks", function () {
+    let tokenLayout;
+    let escrowLayout;
+
+    beforeEach(async function () {
+      tokenLayout = await getStorageLayout(hre, "SWATTokenUpgradeable");
+      escrowLayout = await getStorageLayout(hre, "EscrowUpgradeable");
+    });
+
+    function clone(layout) {
+      return JSON.parse(JSON.stringify(layout));
+    }
+
+    it("Should accept implementations that only append state", async function () {
+      expect(compareStorageLayouts(tokenLayout, await getStorageLayout(hre, "SWATTokenUpgradeableV2"))).to.deep.equal([]);
+      expect(compareStorageLayouts(escrowLayout, await getStorageLayout(hre, "EscrowUpgradeableV2"))).to.deep.equal([]);
+    });
+
+    it("Should reject a variable inserted before existing state", async function () {
+      const changed = clone(escrowLayout);
+      changed.storage = [
+        { ...changed.storage[0], label: "inserted" },
+        ...changed.storage.slice(1).map((entry) => ({ ...entry, slot: String(Number(entry.slot) + 1) })),
+      ];
+
+      const errors = compareStorageLayouts(escrowLayout, changed);
+      expect(errors[0]).to.include("_offerIdCounter was replaced by inserted");
+    });
+
+    it("Should reject removed and retyped variables", async function () {
+      const removed = clone(escrowLayout);
+      const last = removed.storage.pop();
+      expect(compareStorageLayouts(escrowLayout, removed)).to.deep.equal([`${last.label} was removed`]);
+
+      const retyped = clone(escrowLayout);
+      const fee = retyped.storage.find((entry) => entry.label === "feeCollector");
+      fee.type = "t_uint256";
+      expect(compareStorageLayouts(escrowLayout, retyped)[0]).to.include("feeCollector: type changed");
+    });
+
+    it("Should accept state taken from the gap only while the gap ends at the same slot", async function () {
+      const gap = escrowLayout.storage[escrowLayout.storage.length - 1];
+      expect(gap.label).to.equal("__gap");
+      const gapSlots = Number(escrowLayout.types[gap.type].numberOfBytes) / 32;
+
+      // Add one uint256 in front of the gap
+      const grown = clone(escrowLayout);
+      grown.storage.splice(grown.storage.length - 1, 0, {
+        ...gap,
+        label: "added",
+        type: "t_uint256",
+      });
+      const shrunkGap = grown.storage[grown.storage.length - 1];
+      shrunkGap.slot = String(Number(gap.slot) + 1);
+      shrunkGap.type = `t_array(t_uint256)${gapSlots - 1}_storage`;
+      grown.types[shrunkGap.type] = {
+        ...grown.types[gap.type],
+        label: `uint256[${gapSlots - 1}]`,
+        numberOfBytes: String((gapSlots - 1) * 32),
+      };
+      grown.types.t_uint256 = grown.types.t_uint256 || { encoding: "inplace", label: "uint256", numberOfBytes: "32" };
+      expect(compareStorageLayouts(escrowLayout, grown)).to.deep.equal([]);
+
+      // Forgetting to shrink the gap pushes everything declared after it
+      const unshrunk = clone(grown);
+      unshrunk.storage[unshrunk.storage.length - 1].type = gap.type;
+      const errors = compareStorageLayouts(escrowLayout, unshrunk);
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.include("__gap ended at slot");
+    });
+
+    it("Should allow struct growth behind a mapping but not in an array", async function () {
+      const grown = clone(escrowLayout);
+      const offerType = Object.keys(grown.types).find((id) => id.startsWith("t_struct(Offer)"));
+      grown.types[offerType].members.push({ ...grown.types[offerType].members[0], label: "extra", slot: "99" });
+      expect(compareStorageLayouts(escrowLayout, grown)).to.deep.equal([]);
+
+      const grownToken = clone(tokenLayout);
+      const redemptionType = Object.keys(grownToken.types).find((id) => id.startsWith("t_struct(Redemption)"));
+      grownToken.types[redemptionType].members.push({
+        ...grownToken.types[redemptionType].members[0],
+        label: "extra",
+        slot: "99",
+      });
+      grownToken.types[redemptionType].numberOfBytes = String(Number(grownToken.types[redemptionType].numberOfBytes) + 32);
+
+      const errors = compareStorageLayouts(tokenLayout, grownToken);
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.include("redemptions");
+      expect(errors[0]).to.include("only safe behind a mapping");
+    });
+  });
+});